@@ -105,7 +105,30 @@ gulp.task('test', function()
     'test/test-parser.js',
     'test/test-properties.js',
     'test/test-UA-no-WebRTC.js',
-    'test/test-digestAuthentication.js'
+    'test/test-digestAuthentication.js',
+    'test/test-UA-subscriber.js',
+    'test/test-UA-notifier.js',
+    'test/test-UA-mwi.js',
+    'test/test-UA-publisher.js',
+    'test/test-UA-blf.js',
+    'test/test-UA-authentication.js',
+    'test/test-UA-keepAlive.js',
+    'test/test-UA-outbound.js',
+    'test/test-TcpSocketInterface.js',
+    'test/test-UA-udp.js',
+    'test/test-UA-networkChange.js',
+    'test/test-UA-reconnection.js',
+    'test/test-UA-sendQueue.js',
+    'test/test-UA-sockets.js',
+    'test/test-UA-probing.js',
+    'test/test-WebSocketInterface.js',
+    'test/test-LoopbackServer.js',
+    'test/test-UA-accounts.js',
+    'test/test-UA-serviceRoute.js',
+    'test/test-UA-bindings.js',
+    'test/test-UA-pushNotification.js',
+    'test/test-UA-regEvent.js',
+    'test/test-UA-100rel.js'
   ];
 
   return gulp.src(src)
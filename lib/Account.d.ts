@@ -0,0 +1,44 @@
+import {UAConfiguration, UAContact, UnRegisterOptions, CredentialsProvider} from './UA'
+import {Registrator} from './Registrator'
+import {URI} from './URI'
+
+export interface AccountConfiguration {
+  // mandatory parameters
+  uri: string;
+  // optional parameters
+  authorization_jwt?: string;
+  authorization_user?: string;
+  credentialsProvider?: CredentialsProvider;
+  display_name?: string;
+  password?: string;
+  realm?: string;
+  ha1?: string | { [algorithm: string]: string };
+  register?: boolean;
+  register_expires?: number;
+  registrar_server?: string;
+}
+
+export type AccountParameter =
+  'authorization_user' | 'password' | 'realm' | 'ha1' | 'authorization_jwt' | 'display_name';
+
+export class Account {
+  get uri(): URI;
+
+  get display_name(): string | null;
+
+  get contact(): UAContact;
+
+  get service_route(): string[];
+
+  registrator(): Registrator;
+
+  isRegistered(): boolean;
+
+  register(): void;
+
+  unregister(options?: UnRegisterOptions): void;
+
+  get<T extends AccountParameter>(parameter: T): UAConfiguration[T];
+
+  set<T extends AccountParameter>(parameter: T, value: UAConfiguration[T]): boolean;
+}
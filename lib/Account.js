@@ -0,0 +1,202 @@
+const Logger = require('./Logger');
+
+const logger = new Logger('Account');
+
+/**
+ * SIP account of a UA: its identity, credentials, Contact and registration.
+ * The main account is given by the UA configuration and registers through
+ * every outbound flow. The others (the 'accounts' configuration parameter)
+ * share the transport of the UA and register through it.
+ */
+module.exports = class Account
+{
+  constructor(ua, configuration, contact)
+  {
+    this._ua = ua;
+    this._configuration = configuration;
+    this._contact = contact;
+
+    // Own registrator, set by the UA unless this is the main account.
+    this._registrator = null;
+
+    // Whether the account must be registered once connected.
+    this._register = false;
+  }
+
+  get uri()
+  {
+    return this._configuration.uri;
+  }
+
+  get display_name()
+  {
+    return this._configuration.display_name;
+  }
+
+  get configuration()
+  {
+    return this._configuration;
+  }
+
+  get contact()
+  {
+    return this._contact;
+  }
+
+  /**
+   * Service route set (RFC 3608) of the registration, preloaded in the
+   * requests sent out of dialog.
+   */
+  get service_route()
+  {
+    const registrator = this._registrators().find(({ registered }) => registered);
+
+    return registrator ? registrator.service_route : [];
+  }
+
+  /**
+   * Get the Registrator instance.
+   */
+  registrator()
+  {
+    return this._registrators()[0];
+  }
+
+  /**
+   * Registration state (registered through any flow).
+   */
+  isRegistered()
+  {
+    return this._registrators().some(({ registered }) => registered);
+  }
+
+  /**
+   * Register.
+   */
+  register()
+  {
+    logger.debug('register()');
+
+    this._register = true;
+
+    if (this._registrator)
+    {
+      this._registrator.register();
+
+      return;
+    }
+
+    // Register every connected flow (and the main one anyway).
+    this._ua._flows.forEach(({ transport, registrator }, idx) =>
+    {
+      if (idx === 0 || transport.isConnected())
+      {
+        registrator.register();
+      }
+    });
+  }
+
+  /**
+   * Unregister.
+   */
+  unregister(options)
+  {
+    logger.debug('unregister()');
+
+    this._register = false;
+
+    for (const registrator of this._registrators())
+    {
+      registrator.unregister(options);
+    }
+  }
+
+  /**
+   * Allow retrieving credentials in runtime.
+   */
+  get(parameter)
+  {
+    switch (parameter)
+    {
+      case 'authorization_user':
+        return this._configuration.authorization_user;
+
+      case 'realm':
+        return this._configuration.realm;
+
+      case 'ha1':
+        return this._configuration.ha1;
+
+      case 'authorization_jwt':
+        return this._configuration.authorization_jwt;
+
+      default:
+        logger.warn('get() | cannot get "%s" parameter in runtime', parameter);
+
+        return undefined;
+    }
+  }
+
+  /**
+   * Allow credentials and display name changes in runtime.
+   * Returns true if the parameter could be set.
+   */
+  set(parameter, value)
+  {
+    switch (parameter)
+    {
+      case 'authorization_user': {
+        this._configuration.authorization_user = String(value);
+        break;
+      }
+
+      case 'password': {
+        this._configuration.password = String(value);
+        break;
+      }
+
+      case 'realm': {
+        this._configuration.realm = String(value);
+        break;
+      }
+
+      case 'ha1': {
+        this._configuration.ha1 = value && typeof value === 'object' ?
+          Object.assign({}, value) : String(value);
+        // Delete the plain SIP password.
+        this._configuration.password = null;
+        break;
+      }
+
+      case 'authorization_jwt': {
+        this._configuration.authorization_jwt = String(value);
+        break;
+      }
+
+      case 'display_name': {
+        this._configuration.display_name = value;
+        break;
+      }
+
+      default:
+        logger.warn('set() | cannot set "%s" parameter in runtime', parameter);
+
+        return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Registrators of the account, one per outbound flow for the main account.
+   */
+  _registrators()
+  {
+    if (this._registrator)
+    {
+      return [ this._registrator ];
+    }
+
+    return this._ua._flows.map(({ registrator }) => registrator);
+  }
+};
@@ -0,0 +1,52 @@
+import {EventEmitter} from 'events'
+
+import {ExtraHeaders} from './RTCSession'
+import {DialogInfoDialog, DialogInfoDocument} from './DialogInfo'
+import {Account} from './Account'
+
+declare enum BLFState {
+  STATE_UNKNOWN = 'unknown',
+  STATE_IDLE = 'idle',
+  STATE_RINGING = 'ringing',
+  STATE_BUSY = 'busy'
+}
+
+export interface BLFChangeEvent {
+  extension: string;
+  state: BLFState;
+  previousState: BLFState;
+  dialogs: DialogInfoDialog[];
+  info: DialogInfoDocument | null;
+}
+
+export type BLFChangeListener = (event: BLFChangeEvent) => void;
+
+export interface BLFEventMap {
+  change: BLFChangeListener;
+}
+
+export interface BLFOptions extends ExtraHeaders {
+  expires?: number;
+  account?: Account | string;
+  eventHandlers?: Partial<BLFEventMap>;
+}
+
+export class BLF extends EventEmitter {
+  static get C(): typeof BLFState;
+
+  get C(): typeof BLFState;
+
+  get extensions(): string[];
+
+  getState(extension: string): BLFState | null;
+
+  getDialogs(extension: string): DialogInfoDialog[];
+
+  add(extension: string): void;
+
+  remove(extension: string): void;
+
+  terminate(): void;
+
+  on<T extends keyof BLFEventMap>(type: T, listener: BLFEventMap[T]): this;
+}
@@ -0,0 +1,345 @@
+const EventEmitter = require('events').EventEmitter;
+const Logger = require('./Logger');
+const Utils = require('./Utils');
+const DialogInfo = require('./DialogInfo');
+
+const logger = new Logger('BLF');
+
+// Maximum time to wait before subscribing again after a failure.
+const MAX_RESUBSCRIBE_INTERVAL = 300; // In seconds.
+
+// Subscription termination reasons not worth subscribing again (RFC 6665 4.1.3).
+const FINAL_REASONS = [ 'noresource', 'rejected' ];
+
+const C = {
+  // Extension states.
+  STATE_UNKNOWN : 'unknown',
+  STATE_IDLE    : 'idle',
+  STATE_RINGING : 'ringing',
+  STATE_BUSY    : 'busy'
+};
+
+/**
+ * Busy lamp field.
+ * Subscribes to the dialog event package (RFC 4235) of a list of extensions
+ * and emits the state of each one of them.
+ */
+module.exports = class BLF extends EventEmitter
+{
+  // Expose C object.
+  static get C()
+  {
+    return C;
+  }
+
+  constructor(ua, extensions, options = {})
+  {
+    logger.debug('new()');
+
+    super();
+
+    if (!Array.isArray(extensions))
+    {
+      throw new TypeError('Invalid extensions: array expected');
+    }
+
+    const eventHandlers = Utils.cloneObject(options.eventHandlers);
+
+    this._ua = ua;
+    this._account = options.account;
+    this._expires = options.expires;
+    this._extraHeaders = Utils.cloneArray(options.extraHeaders);
+
+    // Monitored extensions indexed by extension.
+    this._extensions = {};
+
+    // Set event handlers.
+    for (const event in eventHandlers)
+    {
+      if (Object.prototype.hasOwnProperty.call(eventHandlers, event))
+      {
+        this.on(event, eventHandlers[event]);
+      }
+    }
+
+    for (const extension of extensions)
+    {
+      this.add(extension);
+    }
+  }
+
+  get C()
+  {
+    return C;
+  }
+
+  get extensions()
+  {
+    return Object.keys(this._extensions);
+  }
+
+  /**
+   * Current state of the given extension.
+   */
+  getState(extension)
+  {
+    const monitored = this._extensions[extension];
+
+    return monitored ? monitored.state : null;
+  }
+
+  /**
+   * Current dialogs of the given extension, as given by DialogInfo.parse().
+   */
+  getDialogs(extension)
+  {
+    const monitored = this._extensions[extension];
+
+    if (!monitored)
+    {
+      return [];
+    }
+
+    return Object.keys(monitored.dialogs).map((id) => monitored.dialogs[id]);
+  }
+
+  /**
+   * Start monitoring the given extension.
+   */
+  add(extension)
+  {
+    logger.debug(`add() [extension:${extension}]`);
+
+    if (this._extensions[extension])
+    {
+      return;
+    }
+
+    this._extensions[extension] = {
+      subscriber : null,
+      state      : C.STATE_UNKNOWN,
+      version    : null,
+      dialogs    : {},
+      // Failed subscription attempts in a row.
+      attempts   : 0,
+      timer      : null
+    };
+
+    this._subscribe(extension);
+  }
+
+  /**
+   * Stop monitoring the given extension.
+   */
+  remove(extension)
+  {
+    logger.debug(`remove() [extension:${extension}]`);
+
+    const monitored = this._extensions[extension];
+
+    if (!monitored)
+    {
+      return;
+    }
+
+    delete this._extensions[extension];
+
+    clearTimeout(monitored.timer);
+    monitored.subscriber.terminate();
+  }
+
+  /**
+   * Stop monitoring every extension.
+   */
+  terminate()
+  {
+    logger.debug('terminate()');
+
+    for (const extension of this.extensions)
+    {
+      this.remove(extension);
+    }
+  }
+
+  /**
+   * Private API.
+   */
+
+  _subscribe(extension)
+  {
+    const monitored = this._extensions[extension];
+
+    const subscriber = this._ua.subscribe(
+      extension, 'dialog', 'application/dialog-info+xml', {
+        account       : this._account,
+        expires       : this._expires,
+        extraHeaders  : this._extraHeaders,
+        eventHandlers : {
+          notify : ({ body, isFinal }) =>
+          {
+            if (!isFinal)
+            {
+              monitored.attempts = 0;
+              this._receiveDialogInfo(extension, body);
+            }
+          },
+          terminated : ({ reason, retryAfter }) =>
+          {
+            // The extension was removed or is being monitored again.
+            if (this._extensions[extension] !== monitored ||
+                monitored.subscriber !== subscriber)
+            {
+              return;
+            }
+
+            this._subscriptionTerminated(extension, reason, retryAfter);
+          }
+        }
+      });
+
+    monitored.subscriber = subscriber;
+  }
+
+  /**
+   * Subscribe again, honouring the retry-after given by the notifier or
+   * with a randomized exponential backoff.
+   */
+  _subscriptionTerminated(extension, reason, retryAfter)
+  {
+    const monitored = this._extensions[extension];
+
+    monitored.version = null;
+    monitored.dialogs = {};
+    this._setState(extension, C.STATE_UNKNOWN);
+
+    if (this._ua.status === this._ua.C.STATUS_USER_CLOSED ||
+        FINAL_REASONS.indexOf(reason) !== -1)
+    {
+      logger.debug(`not subscribing again [extension:${extension}, reason:${reason}]`);
+
+      return;
+    }
+
+    let interval = retryAfter;
+
+    if (!(interval >= 0))
+    {
+      interval = Math.min(MAX_RESUBSCRIBE_INTERVAL,
+        Math.floor((Math.random() * Math.pow(2, monitored.attempts)) + 1));
+    }
+
+    monitored.attempts += 1;
+
+    logger.debug(`subscribing again in ${interval} seconds [extension:${extension}]`);
+
+    monitored.timer = setTimeout(() =>
+    {
+      monitored.timer = null;
+
+      if (this._ua.status !== this._ua.C.STATUS_USER_CLOSED)
+      {
+        this._subscribe(extension);
+      }
+    }, interval * 1000);
+  }
+
+  _receiveDialogInfo(extension, body)
+  {
+    const monitored = this._extensions[extension];
+    const info = DialogInfo.parse(body);
+
+    if (!monitored || !info)
+    {
+      logger.debug('ignoring invalid dialog-info body');
+
+      return;
+    }
+
+    // RFC 4235 4.1.2. Discard outdated documents.
+    if (monitored.version !== null && info.version !== null &&
+        info.version <= monitored.version)
+    {
+      logger.debug(`ignoring outdated dialog-info [version:${info.version}]`);
+
+      return;
+    }
+
+    monitored.version = info.version;
+
+    if (info.state !== 'partial')
+    {
+      monitored.dialogs = {};
+    }
+
+    for (const dialog of info.dialogs)
+    {
+      if (dialog.state === 'terminated')
+      {
+        delete monitored.dialogs[dialog.id];
+      }
+      else
+      {
+        monitored.dialogs[dialog.id] = dialog;
+      }
+    }
+
+    this._setState(extension, this._computeState(monitored.dialogs), info);
+  }
+
+  _computeState(dialogs)
+  {
+    let state = C.STATE_IDLE;
+
+    for (const id in dialogs)
+    {
+      if (!Object.prototype.hasOwnProperty.call(dialogs, id))
+      {
+        continue;
+      }
+
+      const dialog = dialogs[id];
+
+      if (dialog.state === 'confirmed')
+      {
+        return C.STATE_BUSY;
+      }
+
+      // Incoming call ringing.
+      if ((dialog.state === 'trying' || dialog.state === 'proceeding' ||
+           dialog.state === 'early') && dialog.direction === 'recipient')
+      {
+        state = C.STATE_RINGING;
+      }
+      // Outgoing call in progress.
+      else if (state === C.STATE_IDLE)
+      {
+        state = C.STATE_BUSY;
+      }
+    }
+
+    return state;
+  }
+
+  _setState(extension, state, info = null)
+  {
+    const monitored = this._extensions[extension];
+    const previousState = monitored.state;
+
+    if (state === previousState)
+    {
+      return;
+    }
+
+    monitored.state = state;
+
+    logger.debug(`emit "change" [extension:${extension}, state:${state}]`);
+
+    this.emit('change', {
+      extension,
+      state,
+      previousState,
+      dialogs : this.getDialogs(extension),
+      info
+    });
+  }
+};
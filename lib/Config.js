@@ -14,11 +14,17 @@ exports.settings = {
   ha1                : null,
   authorization_jwt  : null,
 
+  // Function returning (or resolving with) credentials when challenged.
+  credentialsProvider : null,
+
   // SIP account.
   display_name : null,
   uri          : null,
   contact_uri  : null,
 
+  // Other SIP accounts sharing the transport.
+  accounts : null,
+
   // SIP instance id (GRUU).
   instance_id : null,
 
@@ -37,10 +43,28 @@ exports.settings = {
   register_from_tag_trail : '',
   registrar_server        : null,
 
+  // Subscribe to the registration event package (RFC 3680) once registered.
+  subscribe_reg_event : false,
+
+  // Push notification (RFC 8599) Contact URI params, { provider, param, prid }.
+  push_notification         : null,
+  push_notification_timeout : JsSIP_C.PUSH_NOTIFICATION_TIMEOUT,
+
   // Connection options.
   sockets                          : null,
   connection_recovery_max_interval : JsSIP_C.CONNECTION_RECOVERY_MAX_INTERVAL,
   connection_recovery_min_interval : JsSIP_C.CONNECTION_RECOVERY_MIN_INTERVAL,
+  connection_recovery_backoff      : JsSIP_C.CONNECTION_RECOVERY_BACKOFF,
+  connection_recovery_max_attempts : JsSIP_C.CONNECTION_RECOVERY_MAX_ATTEMPTS,
+  connection_keep_alive_interval   : JsSIP_C.CONNECTION_KEEP_ALIVE_INTERVAL,
+  connection_keep_alive_timeout    : JsSIP_C.CONNECTION_KEEP_ALIVE_TIMEOUT,
+  connection_send_queue_size       : JsSIP_C.CONNECTION_SEND_QUEUE_SIZE,
+  connection_send_queue_ttl        : JsSIP_C.CONNECTION_SEND_QUEUE_TTL,
+  connection_probe_interval        : JsSIP_C.CONNECTION_PROBE_INTERVAL,
+  connection_socket_selection      : JsSIP_C.CONNECTION_SOCKET_SELECTION,
+
+  // Keep a registered flow (RFC 5626) with each socket.
+  outbound_flows : false,
 
   // Global extra headers, to be added to every request and response
   extra_headers : null,
@@ -52,6 +76,12 @@ exports.settings = {
   via_host : `${Utils.createRandomToken(12)}.invalid`
 };
 
+// Parameters that can be given for each account in 'accounts', besides 'uri'.
+const account_parameters = [
+  'display_name', 'authorization_user', 'password', 'realm', 'ha1', 'authorization_jwt',
+  'credentialsProvider', 'register', 'register_expires', 'registrar_server'
+];
+
 // Configuration checks.
 const checks = {
   mandatory : {
@@ -118,6 +148,52 @@ const checks = {
 
   optional : {
 
+    accounts(accounts)
+    {
+      if (!Array.isArray(accounts))
+      {
+        return;
+      }
+
+      const _accounts = [];
+
+      for (const account of accounts)
+      {
+        if (!(account instanceof Object) || Utils.isEmpty(account.uri))
+        {
+          return;
+        }
+
+        const _account = { uri: checks.mandatory.uri(account.uri) };
+
+        // Each AOR once.
+        if (!_account.uri ||
+            _accounts.some(({ uri }) => uri.toAor() === _account.uri.toAor()))
+        {
+          return;
+        }
+
+        for (const parameter of account_parameters)
+        {
+          if (!Utils.isEmpty(account[parameter]))
+          {
+            const checked_value = checks.optional[parameter](account[parameter]);
+
+            if (checked_value === undefined)
+            {
+              return;
+            }
+
+            _account[parameter] = checked_value;
+          }
+        }
+
+        _accounts.push(_account);
+      }
+
+      return _accounts;
+    },
+
     authorization_user(authorization_user)
     {
       if (Grammar.parse(`"${authorization_user}"`, 'quoted_string') === -1)
@@ -136,6 +212,13 @@ const checks = {
         return authorization_jwt;
       }
     },
+    credentialsProvider(credentialsProvider)
+    {
+      if (typeof credentialsProvider === 'function')
+      {
+        return credentialsProvider;
+      }
+    },
     user_agent(user_agent)
     {
       if (typeof user_agent === 'string')
@@ -157,6 +240,113 @@ const checks = {
       }
     },
 
+    connection_recovery_backoff(connection_recovery_backoff)
+    {
+      // A function or the name of a built-in backoff policy.
+      if (Utils.isFunction(connection_recovery_backoff) ||
+          [ 'exponential', 'linear', 'constant' ].includes(connection_recovery_backoff))
+      {
+        return connection_recovery_backoff;
+      }
+    },
+
+    connection_recovery_max_attempts(connection_recovery_max_attempts)
+    {
+      // 0 means unlimited.
+      if (Utils.isDecimal(connection_recovery_max_attempts))
+      {
+        const value = Number(connection_recovery_max_attempts);
+
+        if (value >= 0)
+        {
+          return value;
+        }
+      }
+    },
+
+    outbound_flows(outbound_flows)
+    {
+      if (typeof outbound_flows === 'boolean')
+      {
+        return outbound_flows;
+      }
+    },
+
+    connection_keep_alive_interval(connection_keep_alive_interval)
+    {
+      if (Utils.isDecimal(connection_keep_alive_interval))
+      {
+        const value = Number(connection_keep_alive_interval);
+
+        if (value >= 0)
+        {
+          return value;
+        }
+      }
+    },
+
+    connection_keep_alive_timeout(connection_keep_alive_timeout)
+    {
+      if (Utils.isDecimal(connection_keep_alive_timeout))
+      {
+        const value = Number(connection_keep_alive_timeout);
+
+        if (value > 0)
+        {
+          return value;
+        }
+      }
+    },
+
+    connection_send_queue_size(connection_send_queue_size)
+    {
+      // 0 disables the queue.
+      if (Utils.isDecimal(connection_send_queue_size))
+      {
+        const value = Number(connection_send_queue_size);
+
+        if (value >= 0)
+        {
+          return value;
+        }
+      }
+    },
+
+    connection_send_queue_ttl(connection_send_queue_ttl)
+    {
+      if (Utils.isDecimal(connection_send_queue_ttl))
+      {
+        const value = Number(connection_send_queue_ttl);
+
+        if (value > 0)
+        {
+          return value;
+        }
+      }
+    },
+
+    connection_probe_interval(connection_probe_interval)
+    {
+      // 0 disables probing.
+      if (Utils.isDecimal(connection_probe_interval))
+      {
+        const value = Number(connection_probe_interval);
+
+        if (value >= 0)
+        {
+          return value;
+        }
+      }
+    },
+
+    connection_socket_selection(connection_socket_selection)
+    {
+      if ([ 'weight', 'latency' ].includes(connection_socket_selection))
+      {
+        return connection_socket_selection;
+      }
+    },
+
     connection_recovery_min_interval(connection_recovery_min_interval)
     {
       if (Utils.isDecimal(connection_recovery_min_interval))
@@ -259,6 +449,21 @@ const checks = {
 
     ha1(ha1)
     {
+      // ha1 indexed by Digest algorithm, ie: { 'MD5': '...', 'SHA-256': '...' }.
+      if (typeof ha1 === 'object')
+      {
+        for (const algorithm in ha1)
+        {
+          if (Object.prototype.hasOwnProperty.call(ha1, algorithm) &&
+              typeof ha1[algorithm] !== 'string')
+          {
+            return;
+          }
+        }
+
+        return Object.assign({}, ha1);
+      }
+
       return String(ha1);
     },
 
@@ -316,6 +521,47 @@ const checks = {
       }
     },
 
+    push_notification(push_notification)
+    {
+      if (!push_notification || typeof push_notification !== 'object')
+      {
+        return;
+      }
+
+      const { provider, param = null, prid = null } = push_notification;
+      const isValid = (value) => (
+        typeof value === 'string' && Grammar.parse(value, 'pvalue') !== -1
+      );
+
+      // pn-provider is mandatory, pn-param and pn-prid depend on the provider.
+      if (isValid(provider) && (param === null || isValid(param)) &&
+          (prid === null || isValid(prid)))
+      {
+        return { provider, param, prid };
+      }
+    },
+
+    push_notification_timeout(push_notification_timeout)
+    {
+      if (Utils.isDecimal(push_notification_timeout))
+      {
+        const value = Number(push_notification_timeout);
+
+        if (value > 0)
+        {
+          return value;
+        }
+      }
+    },
+
+    subscribe_reg_event(subscribe_reg_event)
+    {
+      if (typeof subscribe_reg_event === 'boolean')
+      {
+        return subscribe_reg_event;
+      }
+    },
+
     use_preloaded_route(use_preloaded_route)
     {
       if (typeof use_preloaded_route === 'boolean')
@@ -7,6 +7,7 @@ export declare enum causes {
   REQUEST_TIMEOUT = 'Request Timeout',
   SIP_FAILURE_CODE = 'SIP Failure Code',
   INTERNAL_ERROR = 'Internal Error',
+  SEND_QUEUE_TIMEOUT = 'Send Queue Timeout',
   BUSY = 'Busy',
   REJECTED = 'Rejected',
   REDIRECTED = 'Redirected',
@@ -16,12 +17,14 @@ export declare enum causes {
   INCOMPATIBLE_SDP = 'Incompatible SDP',
   MISSING_SDP = 'Missing SDP',
   AUTHENTICATION_ERROR = 'Authentication Error',
+  PUSH_NOTIFICATION_NOT_SUPPORTED = 'Push Notification Service Not Supported',
   BYE = 'Terminated',
   WEBRTC_ERROR = 'WebRTC Error',
   CANCELED = 'Canceled',
   NO_ANSWER = 'No Answer',
   EXPIRES = 'Expires',
   NO_ACK = 'No ACK',
+  NO_PRACK = 'No PRACK',
   DIALOG_ERROR = 'Dialog Error',
   USER_DENIED_MEDIA_ACCESS = 'User Denied Media Access',
   BAD_MEDIA_DESCRIPTION = 'Bad Media Description',
@@ -36,7 +39,8 @@ export const SIP_ERROR_CAUSES: {
   UNAVAILABLE: [480, 410, 408, 430],
   ADDRESS_INCOMPLETE: [484, 424],
   INCOMPATIBLE_SDP: [488, 606],
-  AUTHENTICATION_ERROR: [401, 407]
+  AUTHENTICATION_ERROR: [401, 407],
+  PUSH_NOTIFICATION_NOT_SUPPORTED: [555]
 }
 export const ACK = 'ACK'
 export const BYE = 'BYE'
@@ -50,6 +54,8 @@ export const REGISTER = 'REGISTER'
 export const REFER = 'REFER'
 export const UPDATE = 'UPDATE'
 export const SUBSCRIBE = 'SUBSCRIBE'
+export const PUBLISH = 'PUBLISH'
+export const PRACK = 'PRACK'
 
 export declare enum DTMF_TRANSPORT {
   INFO = 'INFO',
@@ -57,10 +63,19 @@ export declare enum DTMF_TRANSPORT {
 }
 
 export const REASON_PHRASE: Record<number, string>
-export const ALLOWED_METHODS = 'INVITE,ACK,CANCEL,BYE,UPDATE,MESSAGE,OPTIONS,REFER,INFO,NOTIFY'
+export const ALLOWED_METHODS = 'INVITE,ACK,CANCEL,BYE,UPDATE,MESSAGE,OPTIONS,REFER,INFO,NOTIFY,SUBSCRIBE,PRACK'
 export const ACCEPTED_BODY_TYPES = 'application/sdp, application/dtmf-relay'
 export const MAX_FORWARDS = 69
 export const SESSION_EXPIRES = 90
 export const MIN_SESSION_EXPIRES = 60
 export const CONNECTION_RECOVERY_MAX_INTERVAL = 30
 export const CONNECTION_RECOVERY_MIN_INTERVAL = 2
+export const CONNECTION_RECOVERY_BACKOFF = 'exponential'
+export const CONNECTION_RECOVERY_MAX_ATTEMPTS = 0
+export const CONNECTION_KEEP_ALIVE_INTERVAL = 0
+export const CONNECTION_KEEP_ALIVE_TIMEOUT = 10
+export const CONNECTION_SEND_QUEUE_SIZE = 0
+export const CONNECTION_SEND_QUEUE_TTL = 10
+export const CONNECTION_PROBE_INTERVAL = 0
+export const CONNECTION_SOCKET_SELECTION = 'weight'
+export const PUSH_NOTIFICATION_TIMEOUT = 30
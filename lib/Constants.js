@@ -10,10 +10,11 @@ module.exports = {
   // End and Failure causes.
   causes : {
     // Generic error causes.
-    CONNECTION_ERROR : 'Connection Error',
-    REQUEST_TIMEOUT  : 'Request Timeout',
-    SIP_FAILURE_CODE : 'SIP Failure Code',
-    INTERNAL_ERROR   : 'Internal Error',
+    CONNECTION_ERROR   : 'Connection Error',
+    REQUEST_TIMEOUT    : 'Request Timeout',
+    SIP_FAILURE_CODE   : 'SIP Failure Code',
+    INTERNAL_ERROR     : 'Internal Error',
+    SEND_QUEUE_TIMEOUT : 'Send Queue Timeout',
 
     // SIP error causes.
     BUSY                 : 'Busy',
@@ -26,6 +27,9 @@ module.exports = {
     MISSING_SDP          : 'Missing SDP',
     AUTHENTICATION_ERROR : 'Authentication Error',
 
+    // RFC 8599.
+    PUSH_NOTIFICATION_NOT_SUPPORTED : 'Push Notification Service Not Supported',
+
     // Session error causes.
     BYE                      : 'Terminated',
     WEBRTC_ERROR             : 'WebRTC Error',
@@ -33,6 +37,7 @@ module.exports = {
     NO_ANSWER                : 'No Answer',
     EXPIRES                  : 'Expires',
     NO_ACK                   : 'No ACK',
+    NO_PRACK                 : 'No PRACK',
     DIALOG_ERROR             : 'Dialog Error',
     USER_DENIED_MEDIA_ACCESS : 'User Denied Media Access',
     BAD_MEDIA_DESCRIPTION    : 'Bad Media Description',
@@ -47,7 +52,9 @@ module.exports = {
     UNAVAILABLE          : [ 480, 410, 408, 430 ],
     ADDRESS_INCOMPLETE   : [ 484, 424 ],
     INCOMPATIBLE_SDP     : [ 488, 606 ],
-    AUTHENTICATION_ERROR : [ 401, 407 ]
+    AUTHENTICATION_ERROR : [ 401, 407 ],
+
+    PUSH_NOTIFICATION_NOT_SUPPORTED : [ 555 ]
   },
 
   // SIP Methods.
@@ -63,6 +70,8 @@ module.exports = {
   REFER     : 'REFER',
   UPDATE    : 'UPDATE',
   SUBSCRIBE : 'SUBSCRIBE',
+  PUBLISH   : 'PUBLISH',
+  PRACK     : 'PRACK',
 
   // DTMF transport methods.
   DTMF_TRANSPORT : {
@@ -142,6 +151,7 @@ module.exports = {
     504 : 'Server Time-out',
     505 : 'Version Not Supported',
     513 : 'Message Too Large',
+    555 : 'Push Notification Service Not Supported', // RFC 8599
     580 : 'Precondition Failure', // RFC 3312
     600 : 'Busy Everywhere',
     603 : 'Decline',
@@ -149,11 +159,20 @@ module.exports = {
     606 : 'Not Acceptable'
   },
 
-  ALLOWED_METHODS                  : 'INVITE,ACK,CANCEL,BYE,UPDATE,MESSAGE,OPTIONS,REFER,INFO,NOTIFY',
+  ALLOWED_METHODS                  : 'INVITE,ACK,CANCEL,BYE,UPDATE,MESSAGE,OPTIONS,REFER,INFO,NOTIFY,SUBSCRIBE,PRACK',
   ACCEPTED_BODY_TYPES              : 'application/sdp, application/dtmf-relay',
   MAX_FORWARDS                     : 69,
   SESSION_EXPIRES                  : 90,
   MIN_SESSION_EXPIRES              : 60,
   CONNECTION_RECOVERY_MAX_INTERVAL : 30,
-  CONNECTION_RECOVERY_MIN_INTERVAL : 2
+  CONNECTION_RECOVERY_MIN_INTERVAL : 2,
+  CONNECTION_RECOVERY_BACKOFF      : 'exponential',
+  CONNECTION_RECOVERY_MAX_ATTEMPTS : 0,
+  CONNECTION_KEEP_ALIVE_INTERVAL   : 0,
+  CONNECTION_KEEP_ALIVE_TIMEOUT    : 10,
+  CONNECTION_SEND_QUEUE_SIZE       : 0,
+  CONNECTION_SEND_QUEUE_TTL        : 10,
+  CONNECTION_PROBE_INTERVAL        : 0,
+  CONNECTION_SOCKET_SELECTION      : 'weight',
+  PUSH_NOTIFICATION_TIMEOUT        : 30
 };
@@ -79,6 +79,7 @@ module.exports = class Dialog
       };
       this._state = state;
       this._local_seqnum = message.cseq;
+      this._invite_seqnum = message.cseq;
       this._local_uri = message.parseHeader('from').uri;
       this._remote_uri = message.parseHeader('to').uri;
       this._remote_target = contact.uri;
@@ -106,6 +107,16 @@ module.exports = class Dialog
     this._local_seqnum = num;
   }
 
+  get invite_seqnum()
+  {
+    return this._invite_seqnum;
+  }
+
+  set invite_seqnum(num)
+  {
+    this._invite_seqnum = num;
+  }
+
   get owner()
   {
     return this._owner;
@@ -160,9 +171,14 @@ module.exports = class Dialog
     const request = this._createRequest(method, extraHeaders, body);
 
     // Increase the local CSeq on authentication.
-    eventHandlers.onAuthenticated = () =>
+    eventHandlers.onAuthenticated = (authenticated) =>
     {
       this._local_seqnum += 1;
+
+      if (method === JsSIP_C.INVITE)
+      {
+        this._invite_seqnum = authenticated.cseq;
+      }
     };
 
     const request_sender = new Dialog_RequestSender(this, request, eventHandlers);
@@ -202,10 +218,17 @@ module.exports = class Dialog
 
     if (!this._local_seqnum) { this._local_seqnum = Math.floor(Math.random() * 10000); }
 
+    // ACK and CANCEL carry the CSeq of the INVITE, even if other requests
+    // (e.g. PRACK) have been sent since then.
     const cseq = (method === JsSIP_C.CANCEL || method === JsSIP_C.ACK) ?
-      this._local_seqnum :
+      this._invite_seqnum :
       this._local_seqnum += 1;
 
+    if (method === JsSIP_C.INVITE)
+    {
+      this._invite_seqnum = cseq;
+    }
+
     const request = new SIPMessage.OutgoingRequest(
       method,
       this._remote_target,
@@ -216,7 +239,8 @@ module.exports = class Dialog
         'from_tag'  : this._id.local_tag,
         'to_uri'    : this._remote_uri,
         'to_tag'    : this._id.remote_tag,
-        'route_set' : this._route_set
+        'route_set' : this._route_set,
+        'account'   : this._owner.account
       }, extraHeaders, body);
 
     return request;
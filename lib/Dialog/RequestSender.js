@@ -50,9 +50,9 @@ module.exports = class DialogRequestSender
       {
         this._eventHandlers.onRequestTimeout();
       },
-      onTransportError : () =>
+      onTransportError : (cause) =>
       {
-        this._eventHandlers.onTransportError();
+        this._eventHandlers.onTransportError(cause);
       },
       onAuthenticated : (request) =>
       {
@@ -111,6 +111,7 @@ module.exports = class DialogRequestSender
       else
       {
         this._request.cseq = this._dialog.local_seqnum += 1;
+        this._dialog.invite_seqnum = this._request.cseq;
         this._reattemptTimer = setTimeout(() =>
         {
           if (!this._dialog.isTerminated())
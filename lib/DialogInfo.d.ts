@@ -0,0 +1,33 @@
+import {NameAddrHeader} from './NameAddrHeader'
+
+export type DialogInfoDialogState = 'trying' | 'proceeding' | 'early' | 'confirmed' | 'terminated';
+
+export interface DialogInfoParticipant {
+  uri: string | null;
+  display: string | null;
+  identity: NameAddrHeader | null;
+  target: string | null;
+}
+
+export interface DialogInfoDialog {
+  id: string;
+  callId: string | null;
+  localTag: string | null;
+  remoteTag: string | null;
+  direction: 'initiator' | 'recipient' | null;
+  state: DialogInfoDialogState | null;
+  event: string | null;
+  code: number | null;
+  duration: number | null;
+  local: DialogInfoParticipant | null;
+  remote: DialogInfoParticipant | null;
+}
+
+export interface DialogInfoDocument {
+  entity: string | null;
+  version: number | null;
+  state: 'full' | 'partial' | null;
+  dialogs: DialogInfoDialog[];
+}
+
+export function parse(xml: string): DialogInfoDocument | null;
@@ -0,0 +1,114 @@
+const URI = require('./URI');
+const NameAddrHeader = require('./NameAddrHeader');
+const XML = require('./XML');
+
+/**
+ * Parse the local or remote participant of a dialog.
+ */
+function parseParticipant(xml)
+{
+  if (!xml)
+  {
+    return null;
+  }
+
+  const identity = XML.getElements(xml, 'identity')[0];
+  const target = XML.getElementAttributes(xml, 'target');
+  const participant = {
+    uri      : null,
+    display  : null,
+    identity : null,
+    target   : target !== null ? XML.getAttribute(target, 'uri') : null
+  };
+
+  if (identity)
+  {
+    participant.uri = XML.unescape(identity.content.trim());
+    participant.display = XML.getAttribute(identity.attributes, 'display');
+
+    const uri = URI.parse(participant.uri);
+
+    if (uri)
+    {
+      participant.identity = new NameAddrHeader(uri, participant.display);
+    }
+  }
+
+  return participant;
+}
+
+/**
+ * Parse an application/dialog-info+xml body (RFC 4235).
+ *
+ * Returns an object like:
+ *
+ *   {
+ *     entity  : 'sip:alice@example.com',
+ *     version : 1,
+ *     state   : 'full',
+ *     dialogs :
+ *     [
+ *       {
+ *         id        : 'as7d900as8',
+ *         callId    : 'a84b4c76e66710',
+ *         localTag  : '1928301774',
+ *         remoteTag : '456248',
+ *         direction : 'initiator',
+ *         state     : 'confirmed',
+ *         event     : null,
+ *         code      : null,
+ *         duration  : 274,
+ *         local     : { uri, display, identity: NameAddrHeader, target },
+ *         remote    : { uri, display, identity: NameAddrHeader, target }
+ *       }
+ *     ]
+ *   }
+ *
+ * or null if the body is not a dialog-info document.
+ */
+exports.parse = (xml) =>
+{
+  if (typeof xml !== 'string')
+  {
+    return null;
+  }
+
+  const info = XML.getElements(xml, 'dialog-info')[0];
+
+  if (!info)
+  {
+    return null;
+  }
+
+  const version = parseInt(XML.getAttribute(info.attributes, 'version'));
+
+  const dialogs = XML.getElements(info.content, 'dialog').map((dialog) =>
+  {
+    const state = XML.getElements(dialog.content, 'state')[0];
+    const code = state ? parseInt(XML.getAttribute(state.attributes, 'code')) : NaN;
+    const duration = parseInt(XML.getElementText(dialog.content, 'duration'));
+    const local = XML.getElements(dialog.content, 'local')[0];
+    const remote = XML.getElements(dialog.content, 'remote')[0];
+
+    return {
+      id        : XML.getAttribute(dialog.attributes, 'id'),
+      callId    : XML.getAttribute(dialog.attributes, 'call-id'),
+      localTag  : XML.getAttribute(dialog.attributes, 'local-tag'),
+      remoteTag : XML.getAttribute(dialog.attributes, 'remote-tag'),
+      direction : XML.getAttribute(dialog.attributes, 'direction'),
+      state     : state ? state.content.trim() : null,
+      event     : state ? XML.getAttribute(state.attributes, 'event') : null,
+      code      : isNaN(code) ? null : code,
+      duration  : isNaN(duration) ? null : duration,
+      local     : parseParticipant(local && local.content),
+      remote    : parseParticipant(remote && remote.content)
+    };
+  });
+
+  return {
+    entity  : XML.getAttribute(info.attributes, 'entity'),
+    version : isNaN(version) ? null : version,
+    state   : XML.getAttribute(info.attributes, 'state'),
+    dialogs
+  };
+};
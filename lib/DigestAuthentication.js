@@ -3,6 +3,32 @@ const Utils = require('./Utils');
 
 const logger = new Logger('DigestAuthentication');
 
+// Supported Digest algorithms (RFC 8760), the stronger the higher.
+const ALGORITHMS = {
+  'MD5'         : { strength: 1, hash: Utils.calculateMD5 },
+  'SHA-256'     : { strength: 2, hash: Utils.calculateSHA256 },
+  'SHA-512-256' : { strength: 3, hash: Utils.calculateSHA512_256 }
+};
+
+/**
+ * Get the precomputed ha1 for the given algorithm. It can be given as a string
+ * (MD5) or as an object indexed by algorithm, ie: { 'SHA-256': '...' }.
+ */
+function getStoredHa1(ha1, algorithm)
+{
+  if (!ha1)
+  {
+    return null;
+  }
+
+  if (typeof ha1 === 'string')
+  {
+    return algorithm === 'MD5' ? ha1 : null;
+  }
+
+  return ha1[algorithm] || null;
+}
+
 module.exports = class DigestAuthentication
 {
   constructor(credentials)
@@ -12,6 +38,8 @@ module.exports = class DigestAuthentication
     this._nc = 0;
     this._ncHex = '00000000';
     this._algorithm = null;
+    this._hashAlgorithm = null;
+    this._sess = false;
     this._realm = null;
     this._nonce = null;
     this._opaque = null;
@@ -31,7 +59,7 @@ module.exports = class DigestAuthentication
         return this._realm;
 
       case 'ha1':
-        return this._ha1;
+        return this._getHa1();
 
       default:
         logger.warn('get() | cannot get "%s" parameter', parameter);
@@ -40,6 +68,45 @@ module.exports = class DigestAuthentication
     }
   }
 
+  /**
+  * Choose the strongest of the given challenges that can be answered with
+  * the available credentials (RFC 8760 2.4).
+  * Returns undefined if none of them can be answered.
+  */
+  selectChallenge(challenges)
+  {
+    let selected;
+    let selectedStrength = 0;
+
+    for (const challenge of challenges)
+    {
+      if (challenge.scheme && challenge.scheme !== 'Digest')
+      {
+        continue;
+      }
+
+      const algorithm = (challenge.algorithm || 'MD5').toUpperCase()
+        .replace(/-SESS$/, '');
+      const supported = ALGORITHMS[algorithm];
+
+      if (!supported || supported.strength <= selectedStrength)
+      {
+        continue;
+      }
+
+      if (!this._credentials.password &&
+          !getStoredHa1(this._credentials.ha1, algorithm))
+      {
+        continue;
+      }
+
+      selected = challenge;
+      selectedStrength = supported.strength;
+    }
+
+    return selected;
+  }
+
   /**
   * Performs Digest authentication given a SIP request and the challenge
   * received in a response to that request.
@@ -47,26 +114,27 @@ module.exports = class DigestAuthentication
   */
   authenticate({ method, ruri, body }, challenge, cnonce = null /* test interface */)
   {
-    this._algorithm = challenge.algorithm;
     this._realm = challenge.realm;
     this._nonce = challenge.nonce;
     this._opaque = challenge.opaque;
     this._stale = challenge.stale;
 
-    if (this._algorithm)
-    {
-      if (this._algorithm !== 'MD5')
-      {
-        logger.warn('authenticate() | challenge with Digest algorithm different than "MD5", authentication aborted');
+    // The '-sess' variants use the same hash algorithm.
+    const algorithm = (challenge.algorithm || 'MD5').toUpperCase();
 
-        return false;
-      }
-    }
-    else
+    this._sess = /-SESS$/.test(algorithm);
+    this._hashAlgorithm = algorithm.replace(/-SESS$/, '');
+    this._algorithm = this._sess ? `${this._hashAlgorithm}-sess` : this._hashAlgorithm;
+
+    if (!ALGORITHMS[this._hashAlgorithm])
     {
-      this._algorithm = 'MD5';
+      logger.warn('authenticate() | challenge with unsupported Digest algorithm "%s", authentication aborted', this._algorithm);
+
+      return false;
     }
 
+    const hash = ALGORITHMS[this._hashAlgorithm].hash;
+
     if (!this._nonce)
     {
       logger.warn('authenticate() | challenge without Digest nonce, authentication aborted');
@@ -84,10 +152,10 @@ module.exports = class DigestAuthentication
     // If no plain SIP password is provided.
     if (!this._credentials.password)
     {
-      // If ha1 is not provided we cannot authenticate.
-      if (!this._credentials.ha1)
+      // If ha1 is not provided for this algorithm we cannot authenticate.
+      if (!getStoredHa1(this._credentials.ha1, this._hashAlgorithm))
       {
-        logger.warn('authenticate() | no plain SIP password nor ha1 provided, authentication aborted');
+        logger.warn('authenticate() | no plain SIP password nor ha1 provided for algorithm "%s", authentication aborted', this._hashAlgorithm);
 
         return false;
       }
@@ -147,52 +215,55 @@ module.exports = class DigestAuthentication
     // If we have plain SIP password then regenerate ha1.
     if (this._credentials.password)
     {
-      // HA1 = MD5(A1) = MD5(username:realm:password).
-      this._ha1 = Utils.calculateMD5(`${this._credentials.username}:${this._realm}:${this._credentials.password}`);
+      // HA1 = H(A1) = H(username:realm:password).
+      this._ha1 = hash(`${this._credentials.username}:${this._realm}:${this._credentials.password}`);
     }
     // Otherwise reuse the stored ha1.
     else
     {
-      this._ha1 = this._credentials.ha1;
+      this._ha1 = getStoredHa1(this._credentials.ha1, this._hashAlgorithm);
     }
 
+    // '-sess' variants: HA1 = H(H(username:realm:password):nonce:cnonce).
+    const ha1 = this._sess ? hash(`${this._ha1}:${this._nonce}:${this._cnonce}`) : this._ha1;
+
     let a2;
     let ha2;
 
     if (this._qop === 'auth')
     {
-      // HA2 = MD5(A2) = MD5(method:digestURI).
+      // HA2 = H(A2) = H(method:digestURI).
       a2 = `${this._method}:${this._uri}`;
-      ha2 = Utils.calculateMD5(a2);
+      ha2 = hash(a2);
 
       logger.debug('authenticate() | using qop=auth [a2:"%s"]', a2);
 
-      // Response = MD5(HA1:nonce:nonceCount:credentialsNonce:qop:HA2).
-      this._response = Utils.calculateMD5(`${this._ha1}:${this._nonce}:${this._ncHex}:${this._cnonce}:auth:${ha2}`);
+      // Response = H(HA1:nonce:nonceCount:credentialsNonce:qop:HA2).
+      this._response = hash(`${ha1}:${this._nonce}:${this._ncHex}:${this._cnonce}:auth:${ha2}`);
 
     }
     else if (this._qop === 'auth-int')
     {
-      // HA2 = MD5(A2) = MD5(method:digestURI:MD5(entityBody)).
-      a2 = `${this._method}:${this._uri}:${Utils.calculateMD5(body ? body : '')}`;
-      ha2 = Utils.calculateMD5(a2);
+      // HA2 = H(A2) = H(method:digestURI:H(entityBody)).
+      a2 = `${this._method}:${this._uri}:${hash(body ? body : '')}`;
+      ha2 = hash(a2);
 
       logger.debug('authenticate() | using qop=auth-int [a2:"%s"]', a2);
 
-      // Response = MD5(HA1:nonce:nonceCount:credentialsNonce:qop:HA2).
-      this._response = Utils.calculateMD5(`${this._ha1}:${this._nonce}:${this._ncHex}:${this._cnonce}:auth-int:${ha2}`);
+      // Response = H(HA1:nonce:nonceCount:credentialsNonce:qop:HA2).
+      this._response = hash(`${ha1}:${this._nonce}:${this._ncHex}:${this._cnonce}:auth-int:${ha2}`);
 
     }
     else if (this._qop === null)
     {
-      // HA2 = MD5(A2) = MD5(method:digestURI).
+      // HA2 = H(A2) = H(method:digestURI).
       a2 = `${this._method}:${this._uri}`;
-      ha2 = Utils.calculateMD5(a2);
+      ha2 = hash(a2);
 
       logger.debug('authenticate() | using qop=null [a2:"%s"]', a2);
 
-      // Response = MD5(HA1:nonce:HA2).
-      this._response = Utils.calculateMD5(`${this._ha1}:${this._nonce}:${ha2}`);
+      // Response = H(HA1:nonce:HA2).
+      this._response = hash(`${ha1}:${this._nonce}:${ha2}`);
     }
 
     logger.debug('authenticate() | response generated');
@@ -228,7 +299,39 @@ module.exports = class DigestAuthentication
       auth_params.push(`cnonce="${this._cnonce}"`);
       auth_params.push(`nc=${this._ncHex}`);
     }
+    else if (this._sess)
+    {
+      auth_params.push(`cnonce="${this._cnonce}"`);
+    }
 
     return `Digest ${auth_params.join(', ')}`;
   }
+
+  /**
+  * Get the ha1 to be stored for further authentications. A string for MD5
+  * (unless the stored one is indexed by algorithm), otherwise an object
+  * indexed by algorithm.
+  */
+  _getHa1()
+  {
+    const stored = this._credentials.ha1;
+
+    if (!this._ha1 ||
+        (this._hashAlgorithm === 'MD5' && (!stored || typeof stored === 'string')))
+    {
+      return this._ha1;
+    }
+
+    const ha1 = {};
+
+    // Keep the ha1 of other algorithms if they belong to the same realm.
+    if (stored && this._credentials.realm === this._realm)
+    {
+      Object.assign(ha1, typeof stored === 'string' ? { 'MD5': stored } : stored);
+    }
+
+    ha1[this._hashAlgorithm] = this._ha1;
+
+    return ha1;
+  }
 };
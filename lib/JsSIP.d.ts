@@ -3,14 +3,22 @@ import {Debug} from 'debug'
 import * as C from './Constants'
 import * as Exceptions from './Exceptions'
 import * as Grammar from './Grammar'
+import * as MessageSummary from './MessageSummary'
+import * as DialogInfo from './DialogInfo'
+import * as RegInfo from './RegInfo'
+import * as PIDF from './PIDF'
 import * as Utils from './Utils'
 
-export { C, Exceptions, Grammar, Utils };
+export { C, Exceptions, Grammar, MessageSummary, DialogInfo, RegInfo, PIDF, Utils };
 
 export {UA} from './UA'
 export {URI} from './URI'
 export {NameAddrHeader} from './NameAddrHeader'
-export {WebSocketInterface, Socket, WeightedSocket} from './WebSocketInterface'
+export {WebSocketInterface, WebSocketInterfaceOptions, WebSocketHandshakeParams, Socket, WeightedSocket} from './WebSocketInterface'
+export {TcpSocketInterface, TcpSocketInterfaceOptions} from './TcpSocketInterface'
+export {UdpSocketInterface, UdpSocketInterfaceOptions} from './UdpSocketInterface'
+export {LoopbackSocket} from './LoopbackSocket'
+export {LoopbackServer, LoopbackServerOptions} from './LoopbackServer'
 
 export const debug: Debug
 export const name: string
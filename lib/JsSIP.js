@@ -6,7 +6,15 @@ const UA = require('./UA');
 const URI = require('./URI');
 const NameAddrHeader = require('./NameAddrHeader');
 const Grammar = require('./Grammar');
+const MessageSummary = require('./MessageSummary');
+const DialogInfo = require('./DialogInfo');
+const RegInfo = require('./RegInfo');
+const PIDF = require('./PIDF');
 const WebSocketInterface = require('./WebSocketInterface');
+const TcpSocketInterface = require('./TcpSocketInterface');
+const UdpSocketInterface = require('./UdpSocketInterface');
+const LoopbackSocket = require('./LoopbackSocket');
+const LoopbackServer = require('./LoopbackServer');
 const debug = require('debug')('JsSIP');
 
 debug('version %s', pkg.version);
@@ -22,7 +30,15 @@ module.exports = {
   URI,
   NameAddrHeader,
   WebSocketInterface,
+  TcpSocketInterface,
+  UdpSocketInterface,
+  LoopbackSocket,
+  LoopbackServer,
   Grammar,
+  MessageSummary,
+  DialogInfo,
+  RegInfo,
+  PIDF,
   // Expose the debug module.
   debug : require('debug'),
   get name() { return pkg.title; },
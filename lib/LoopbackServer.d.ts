@@ -0,0 +1,17 @@
+import { LoopbackSocket } from './LoopbackSocket';
+
+export interface LoopbackServerOptions {
+  host?: string;
+}
+
+export class LoopbackServer {
+  constructor(options?: LoopbackServerOptions)
+
+  get host(): string;
+
+  createSocket(): LoopbackSocket;
+
+  getBindings(aor: string): string[];
+
+  close(): void;
+}
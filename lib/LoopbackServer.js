@@ -0,0 +1,390 @@
+const Logger = require('./Logger');
+const JsSIP_C = require('./Constants');
+const Parser = require('./Parser');
+const SIPMessage = require('./SIPMessage');
+const Utils = require('./Utils');
+const LoopbackSocket = require('./LoopbackSocket');
+
+const logger = new Logger('LoopbackServer');
+
+const DEFAULT_EXPIRES = 3600; // In seconds.
+
+// Via branch prefix of the forwarded requests, followed by the id of the
+// connection the request came from.
+const BRANCH_PREFIX = 'z9hG4bK.lb';
+
+/**
+ * Minimal in-process SIP registrar and stateless proxy, so several UAs can
+ * talk to each other without network (ie: end-to-end tests). Each UA connects
+ * through a LoopbackSocket given by createSocket().
+ *
+ * Requests are routed by Request-URI, first to the registered bindings of the
+ * AOR and then to the connection that sent the Contact (for in-dialog
+ * requests). Responses are routed back by the Via header added by the server.
+ */
+module.exports = class LoopbackServer
+{
+  constructor({ host = 'loopback.invalid' } = {})
+  {
+    logger.debug('new()');
+
+    this._host = host;
+
+    // Connections by id, { id, socket }.
+    this._connections = new Map();
+    this._connection_id = 0;
+
+    // Registered bindings by AOR, [{ contact, expires, connection }].
+    this._bindings = new Map();
+
+    // Connection that sent each Contact, by user@host.
+    this._contacts = new Map();
+  }
+
+  get host()
+  {
+    return this._host;
+  }
+
+  /**
+   * A socket connected to the server, to be given to a UA.
+   */
+  createSocket()
+  {
+    const id = ++this._connection_id;
+    const [ socket, server_socket ] = LoopbackSocket.pair(
+      `ws://${this._host}/${id}`, `sip:${this._host};transport=ws`);
+    const connection = { id, socket: server_socket };
+
+    server_socket.onconnect = () =>
+    {
+      logger.debug(`connection ${id} established`);
+    };
+    server_socket.ondisconnect = () => this._onConnectionClosed(connection);
+    server_socket.ondata = (data) => this._receive(connection, data);
+    server_socket.connect();
+
+    this._connections.set(id, connection);
+
+    return socket;
+  }
+
+  /**
+   * Registered Contact URIs of the given AOR.
+   */
+  getBindings(aor)
+  {
+    return this._getBindings(aorKey(aor))
+      .map(({ contact }) => contact.uri.toString());
+  }
+
+  /**
+   * Close every connection and forget the registrations.
+   */
+  close()
+  {
+    logger.debug('close()');
+
+    for (const connection of this._connections.values())
+    {
+      connection.socket.disconnect();
+    }
+
+    this._connections.clear();
+    this._bindings.clear();
+    this._contacts.clear();
+  }
+
+  _receive(connection, data)
+  {
+    const message = Parser.parseMessage(data, null);
+
+    if (!message)
+    {
+      return;
+    }
+
+    if (message instanceof SIPMessage.IncomingRequest)
+    {
+      this._receiveRequest(connection, message);
+    }
+    else
+    {
+      this._receiveResponse(connection, message);
+    }
+  }
+
+  _receiveRequest(connection, request)
+  {
+    if (request.method !== JsSIP_C.REGISTER)
+    {
+      this._learnContact(connection, request);
+    }
+
+    // Addressed to the server.
+    if (!request.ruri.user)
+    {
+      switch (request.method)
+      {
+        case JsSIP_C.REGISTER:
+          this._register(connection, request);
+          break;
+        case JsSIP_C.OPTIONS:
+          this._reply(connection, request, 200, 'OK');
+          break;
+        case JsSIP_C.ACK:
+          break;
+        default:
+          this._reply(connection, request, 405, 'Method Not Allowed');
+      }
+
+      return;
+    }
+
+    const target = this._findTarget(request.ruri);
+
+    if (!target)
+    {
+      if (request.method !== JsSIP_C.ACK)
+      {
+        this._reply(connection, request, 404, 'Not Found');
+      }
+
+      return;
+    }
+
+    const max_forwards = parseInt(request.getHeader('max-forwards'), 10);
+
+    if (max_forwards <= 0)
+    {
+      if (request.method !== JsSIP_C.ACK)
+      {
+        this._reply(connection, request, 483, 'Too Many Hops');
+      }
+
+      return;
+    }
+
+    // Same branch for retransmissions and CANCEL (RFC 3261 16.11).
+    const branch = `${BRANCH_PREFIX}${connection.id}.${request.via_branch}`;
+    const via = `Via: SIP/2.0/WS ${this._host};branch=${branch}`;
+    const first_line_end = request.data.indexOf('\r\n');
+    let data = request.data;
+
+    data = `${data.slice(0, first_line_end)}\r\n${via}${data.slice(first_line_end)}`;
+    data = data.replace(/^(Max-Forwards\s*:\s*)(\d+)/im,
+      (match, name, value) => `${name}${value - 1}`);
+
+    logger.debug(`forwarding ${request.method} to connection ${target.id}`);
+
+    target.socket.send(data);
+  }
+
+  _receiveResponse(connection, response)
+  {
+    const branch = response.via_branch || '';
+
+    if (!branch.startsWith(BRANCH_PREFIX))
+    {
+      logger.debug('response not for a forwarded request, discarded');
+
+      return;
+    }
+
+    const target = this._connections.get(
+      parseInt(branch.slice(BRANCH_PREFIX.length), 10));
+
+    if (!target)
+    {
+      return;
+    }
+
+    this._learnContact(connection, response);
+
+    // Remove the Via of the server.
+    const data = response.data.replace(/\r\n(Via|v)\s*:[^\r\n]*/i, '');
+
+    target.socket.send(data);
+  }
+
+  /**
+   * RFC 3261 10.3.
+   */
+  _register(connection, request)
+  {
+    const aor = aorKey(request.to.uri);
+    const expires = request.hasHeader('expires') ?
+      parseInt(request.getHeader('expires'), 10) : DEFAULT_EXPIRES;
+    let bindings = this._getBindings(aor);
+
+    if (request.getHeader('contact') === '*')
+    {
+      bindings = [];
+    }
+    else
+    {
+      for (const { parsed: contact } of request.headers.Contact || [])
+      {
+        const contact_expires = contact.hasParam('expires') ?
+          parseInt(contact.getParam('expires'), 10) : expires;
+        const uri = contact.uri.toString();
+
+        bindings = bindings.filter((binding) => binding.contact.uri.toString() !== uri);
+
+        if (contact_expires > 0)
+        {
+          contact.deleteParam('expires');
+
+          bindings.push({
+            contact,
+            expires : Date.now() + (contact_expires * 1000),
+            connection
+          });
+        }
+      }
+    }
+
+    this._bindings.set(aor, bindings);
+
+    // Current bindings with their remaining time.
+    const contacts = bindings.map((binding) =>
+    {
+      const contact = binding.contact.clone();
+
+      contact.setParam('expires', Math.round((binding.expires - Date.now()) / 1000));
+
+      return `Contact: ${contact.toString()}`;
+    });
+
+    this._reply(connection, request, 200, 'OK', contacts);
+  }
+
+  /**
+   * Bindings of the given AOR not expired yet.
+   */
+  _getBindings(aor)
+  {
+    const bindings = (this._bindings.get(aor) || [])
+      .filter(({ expires }) => expires > Date.now());
+
+    if (bindings.length > 0)
+    {
+      this._bindings.set(aor, bindings);
+    }
+    else
+    {
+      this._bindings.delete(aor);
+    }
+
+    return bindings;
+  }
+
+  _findTarget(uri)
+  {
+    const key = aorKey(uri);
+    const bindings = this._getBindings(key);
+    let connection;
+
+    // The latest registered one.
+    if (bindings.length > 0)
+    {
+      connection = bindings[bindings.length - 1].connection;
+    }
+    else
+    {
+      connection = this._contacts.get(key);
+    }
+
+    if (!connection || !connection.socket.isConnected())
+    {
+      return null;
+    }
+
+    return connection;
+  }
+
+  _learnContact(connection, message)
+  {
+    if (!message.hasHeader('contact'))
+    {
+      return;
+    }
+
+    const contact = message.parseHeader('contact');
+
+    if (contact)
+    {
+      this._contacts.set(aorKey(contact.uri), connection);
+    }
+  }
+
+  _onConnectionClosed(connection)
+  {
+    logger.debug(`connection ${connection.id} closed`);
+
+    this._connections.delete(connection.id);
+
+    // Its bindings and Contacts are not reachable anymore.
+    for (const [ aor, bindings ] of this._bindings)
+    {
+      const remaining = bindings.filter((binding) => binding.connection !== connection);
+
+      if (remaining.length > 0)
+      {
+        this._bindings.set(aor, remaining);
+      }
+      else
+      {
+        this._bindings.delete(aor);
+      }
+    }
+
+    for (const [ key, contact_connection ] of this._contacts)
+    {
+      if (contact_connection === connection)
+      {
+        this._contacts.delete(key);
+      }
+    }
+  }
+
+  _reply(connection, request, status_code, reason_phrase, extraHeaders = [])
+  {
+    let response = `SIP/2.0 ${status_code} ${reason_phrase}\r\n`;
+    let to = request.getHeader('to');
+
+    if (!request.to_tag)
+    {
+      to += `;tag=${Utils.newTag()}`;
+    }
+
+    for (const via of request.getHeaders('via'))
+    {
+      response += `Via: ${via}\r\n`;
+    }
+
+    response += `To: ${to}\r\n`;
+    response += `From: ${request.getHeader('from')}\r\n`;
+    response += `Call-ID: ${request.call_id}\r\n`;
+    response += `CSeq: ${request.cseq} ${request.method}\r\n`;
+
+    for (const header of extraHeaders)
+    {
+      response += `${header}\r\n`;
+    }
+
+    response += 'Content-Length: 0\r\n\r\n';
+
+    connection.socket.send(response);
+  }
+};
+
+/**
+ * user@host key of the given URI (or URI string).
+ */
+function aorKey(uri)
+{
+  const aor = String(uri).replace(/^sips?:/i, '');
+
+  return aor.split(';')[0].toLowerCase();
+}
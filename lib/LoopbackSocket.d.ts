@@ -0,0 +1,7 @@
+import { Socket } from './Socket';
+
+export class LoopbackSocket extends Socket {
+  static pair(url?: string, sip_uri?: string): [LoopbackSocket, LoopbackSocket];
+
+  constructor(url: string, sip_uri: string)
+}
@@ -0,0 +1,151 @@
+const Logger = require('./Logger');
+
+const logger = new Logger('LoopbackSocket');
+
+/**
+ * In-memory JsSIP.Socket. Created in pairs, what is sent by one end is received
+ * by the other one. The link is established once both ends have called
+ * connect(), so an end waits for the other one to connect (ie: a server end
+ * listening for clients). Events are delivered asynchronously, as a network
+ * would do.
+ */
+module.exports = class LoopbackSocket
+{
+  /**
+   * Create two linked sockets.
+   */
+  static pair(url = 'ws://loopback.invalid', sip_uri = 'sip:loopback.invalid;transport=ws')
+  {
+    const socket1 = new LoopbackSocket(url, sip_uri);
+    const socket2 = new LoopbackSocket(url, sip_uri);
+
+    socket1._peer = socket2;
+    socket2._peer = socket1;
+
+    return [ socket1, socket2 ];
+  }
+
+  constructor(url, sip_uri)
+  {
+    logger.debug('new() [url:"%s"]', url);
+
+    this._url = url;
+    this._sip_uri = sip_uri;
+    this._via_transport = 'WS';
+    this._peer = null;
+
+    // Whether connect() has been called.
+    this._open = false;
+    // Whether onconnect() has been called for the current link.
+    this._linked = false;
+  }
+
+  get via_transport()
+  {
+    return this._via_transport;
+  }
+
+  set via_transport(value)
+  {
+    this._via_transport = value.toUpperCase();
+  }
+
+  get sip_uri()
+  {
+    return this._sip_uri;
+  }
+
+  get url()
+  {
+    return this._url;
+  }
+
+  connect()
+  {
+    logger.debug('connect()');
+
+    if (this._linked)
+    {
+      return;
+    }
+
+    this._open = true;
+
+    setTimeout(() => this._link(), 0);
+  }
+
+  disconnect()
+  {
+    logger.debug('disconnect()');
+
+    if (!this._open)
+    {
+      return;
+    }
+
+    const linked = this._linked;
+
+    this._open = false;
+    this._linked = false;
+
+    // Closed by the other end. It keeps open, waiting for a new link.
+    if (linked && this._peer._linked)
+    {
+      this._peer._linked = false;
+
+      setTimeout(() => this._peer.ondisconnect(false, 1000, 'Closed'), 0);
+    }
+  }
+
+  send(message)
+  {
+    if (!this.isConnected())
+    {
+      logger.warn('unable to send message, socket is not connected');
+
+      return false;
+    }
+
+    const peer = this._peer;
+
+    setTimeout(() =>
+    {
+      if (peer._linked)
+      {
+        peer.ondata(message);
+      }
+    }, 0);
+
+    return true;
+  }
+
+  isConnected()
+  {
+    return this._linked;
+  }
+
+  isConnecting()
+  {
+    return this._open && !this._linked;
+  }
+
+  _link()
+  {
+    const peer = this._peer;
+
+    if (!this._open || this._linked || !peer || !peer._open)
+    {
+      return;
+    }
+
+    this._linked = true;
+    this.onconnect();
+
+    // The other end was waiting.
+    if (!peer._linked)
+    {
+      peer._linked = true;
+      peer.onconnect();
+    }
+  }
+};
@@ -4,6 +4,7 @@ import {ExtraHeaders, Originator, OutgoingListener, SessionDirection, TerminateO
 import {IncomingResponse} from './SIPMessage'
 import {NameAddrHeader} from './NameAddrHeader'
 import {causes} from './Constants';
+import {Account} from './Account'
 
 export interface AcceptOptions extends ExtraHeaders {
   body?: string;
@@ -27,9 +28,12 @@ export interface SendMessageOptions extends ExtraHeaders {
   eventHandlers?: Partial<MessageEventMap>;
   fromUserName?: string;
   fromDisplayName?: string;
+  account?: Account | string;
 }
 
 export class Message extends EventEmitter {
+  get account(): Account;
+
   get direction(): SessionDirection;
 
   get local_identity(): NameAddrHeader;
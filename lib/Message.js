@@ -11,11 +11,12 @@ const logger = new Logger('Message');
 
 module.exports = class Message extends EventEmitter
 {
-  constructor(ua)
+  constructor(ua, account = null)
   {
     super();
 
     this._ua = ua;
+    this._account = ua._getAccount(account);
     this._request = null;
     this._closed = false;
 
@@ -30,6 +31,11 @@ module.exports = class Message extends EventEmitter
     this._data = {};
   }
 
+  get account()
+  {
+    return this._account;
+  }
+
   get direction()
   {
     return this._direction;
@@ -66,13 +72,13 @@ module.exports = class Message extends EventEmitter
     const eventHandlers = Utils.cloneObject(options.eventHandlers);
     const contentType = options.contentType || 'text/plain';
 
-    const requestParams = {};
+    const requestParams = { account: this._account };
 
     if (options.fromUserName)
     {
-      requestParams.from_uri = new URI('sip', options.fromUserName, this._ua.configuration.uri.host);
+      requestParams.from_uri = new URI('sip', options.fromUserName, this._account.uri.host);
 
-      extraHeaders.push(`P-Preferred-Identity: ${this._ua.configuration.uri.toString()}`);
+      extraHeaders.push(`P-Preferred-Identity: ${this._account.uri.toString()}`);
     }
 
     if (options.fromDisplayName)
@@ -104,9 +110,9 @@ module.exports = class Message extends EventEmitter
       {
         this._onRequestTimeout();
       },
-      onTransportError : () =>
+      onTransportError : (cause) =>
       {
-        this._onTransportError();
+        this._onTransportError(cause);
       },
       onReceiveResponse : (response) =>
       {
@@ -223,13 +229,13 @@ module.exports = class Message extends EventEmitter
     this._failed('system', null, JsSIP_C.causes.REQUEST_TIMEOUT);
   }
 
-  _onTransportError()
+  _onTransportError(cause = JsSIP_C.causes.CONNECTION_ERROR)
   {
     if (this._closed)
     {
       return;
     }
-    this._failed('system', null, JsSIP_C.causes.CONNECTION_ERROR);
+    this._failed('system', null, cause);
   }
 
   _close()
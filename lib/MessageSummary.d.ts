@@ -0,0 +1,22 @@
+export interface MessageCounts {
+  newMessages: number;
+  oldMessages: number;
+  newUrgentMessages: number;
+  oldUrgentMessages: number;
+}
+
+export interface MessageSummary {
+  messagesWaiting: boolean;
+  messageAccount: string | null;
+  messages: {
+    voice?: MessageCounts;
+    fax?: MessageCounts;
+    pager?: MessageCounts;
+    multimedia?: MessageCounts;
+    text?: MessageCounts;
+    none?: MessageCounts;
+    [messageClass: string]: MessageCounts | undefined;
+  };
+}
+
+export function parse(body: string): MessageSummary | null;
@@ -0,0 +1,94 @@
+const Logger = require('./Logger');
+
+const logger = new Logger('MessageSummary');
+
+/**
+ * Parse an application/simple-message-summary body (RFC 3842).
+ *
+ * Returns an object like:
+ *
+ *   {
+ *     messagesWaiting : true,
+ *     messageAccount  : 'sip:alice@vmail.example.com',
+ *     messages        :
+ *     {
+ *       voice : { newMessages: 2, oldMessages: 8, newUrgentMessages: 0, oldUrgentMessages: 2 }
+ *     }
+ *   }
+ *
+ * or null if the body is not a valid message summary.
+ */
+exports.parse = (body) =>
+{
+  if (typeof body !== 'string')
+  {
+    return null;
+  }
+
+  const summary = {
+    messagesWaiting : null,
+    messageAccount  : null,
+    messages        : {}
+  };
+
+  // Message headers may follow an empty line. Just the summary is parsed.
+  const lines = body.split(/\r?\n\r?\n/)[0].split(/\r?\n/);
+
+  for (const line of lines)
+  {
+    const idx = line.indexOf(':');
+
+    if (idx === -1)
+    {
+      continue;
+    }
+
+    const name = line.substring(0, idx).trim()
+      .toLowerCase();
+    const value = line.substring(idx + 1).trim();
+
+    if (name === 'messages-waiting')
+    {
+      if (/^yes$/i.test(value))
+      {
+        summary.messagesWaiting = true;
+      }
+      else if (/^no$/i.test(value))
+      {
+        summary.messagesWaiting = false;
+      }
+    }
+    else if (name === 'message-account')
+    {
+      summary.messageAccount = value;
+    }
+    else if (/-message$/.test(name) || name === 'none')
+    {
+      const counts = value.match(/^(\d+)\s*\/\s*(\d+)(?:\s*\(\s*(\d+)\s*\/\s*(\d+)\s*\))?$/);
+
+      if (!counts)
+      {
+        logger.debug(`ignoring invalid message-summary line: "${line}"`);
+
+        continue;
+      }
+
+      summary.messages[name.replace(/-message$/, '')] = {
+        newMessages       : parseInt(counts[1]),
+        oldMessages       : parseInt(counts[2]),
+        newUrgentMessages : counts[3] !== undefined ? parseInt(counts[3]) : 0,
+        oldUrgentMessages : counts[4] !== undefined ? parseInt(counts[4]) : 0
+      };
+    }
+  }
+
+  // Messages-Waiting is mandatory.
+  if (summary.messagesWaiting === null)
+  {
+    logger.debug('missing or invalid Messages-Waiting line');
+
+    return null;
+  }
+
+  return summary;
+};
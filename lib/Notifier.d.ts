@@ -0,0 +1,93 @@
+import {EventEmitter} from 'events'
+
+import {ExtraHeaders, Originator, RejectOptions} from './RTCSession'
+import {IncomingRequest} from './SIPMessage'
+import {Account} from './Account'
+
+declare enum NotifierTerminatedCode {
+  NOTIFY_RESPONSE_TIMEOUT = 0,
+  NOTIFY_TRANSPORT_ERROR = 1,
+  NOTIFY_NON_OK_RESPONSE = 2,
+  NOTIFY_AUTHENTICATION_FAILED = 3,
+  SEND_FINAL_NOTIFY = 4,
+  RECEIVE_UNSUBSCRIBE = 5,
+  SUBSCRIPTION_EXPIRED = 6,
+  SUBSCRIBE_NOT_REPLIED = 7
+}
+
+declare enum NotifierState {
+  STATE_INIT = 0,
+  STATE_PENDING = 1,
+  STATE_ACTIVE = 2,
+  STATE_TERMINATED = 3
+}
+
+export interface NotifierSubscribeEvent {
+  request: IncomingRequest;
+  body?: string;
+  contentType?: string;
+  isUnsubscribe: boolean;
+}
+
+export interface NotifierTerminatedEvent {
+  terminationCode: NotifierTerminatedCode;
+}
+
+export type NotifierSubscribeListener = (event: NotifierSubscribeEvent) => void;
+export type NotifierTerminatedListener = (event: NotifierTerminatedEvent) => void;
+
+export interface NotifierEventMap {
+  subscribe: NotifierSubscribeListener;
+  terminated: NotifierTerminatedListener;
+}
+
+export interface NotifyOptions extends ExtraHeaders {
+  contentType?: string;
+}
+
+export interface NotifierAcceptOptions extends NotifyOptions {
+  expires?: number;
+  pending?: boolean;
+  body?: string;
+}
+
+export interface IncomingSubscribeEvent {
+  originator: Originator.REMOTE;
+  notifier: Notifier;
+  event: { event: string; params?: Record<string, string> };
+  request: IncomingRequest;
+}
+
+export class Notifier extends EventEmitter {
+  static get C(): typeof NotifierTerminatedCode & typeof NotifierState;
+
+  get C(): typeof NotifierTerminatedCode & typeof NotifierState;
+
+  get id(): string;
+
+  get state(): NotifierState;
+
+  get event_name(): string;
+
+  get request(): IncomingRequest;
+
+  get account(): Account;
+
+  get data(): any;
+
+  set data(_data: any);
+
+  isTerminated(): boolean;
+
+  accept(options?: NotifierAcceptOptions): void;
+
+  reject(options?: RejectOptions): void;
+
+  setActiveState(): void;
+
+  notify(body?: string, options?: NotifyOptions): void;
+
+  terminate(body?: string, reason?: string, retryAfter?: number, options?: NotifyOptions): void;
+
+  on<T extends keyof NotifierEventMap>(type: T, listener: NotifierEventMap[T]): this;
+}
@@ -0,0 +1,545 @@
+const EventEmitter = require('events').EventEmitter;
+const Logger = require('./Logger');
+const JsSIP_C = require('./Constants');
+const Utils = require('./Utils');
+const Timers = require('./Timers');
+const Dialog = require('./Dialog');
+const Exceptions = require('./Exceptions');
+
+const logger = new Logger('Notifier');
+
+const C = {
+  // Termination codes.
+  NOTIFY_RESPONSE_TIMEOUT      : 0,
+  NOTIFY_TRANSPORT_ERROR       : 1,
+  NOTIFY_NON_OK_RESPONSE       : 2,
+  NOTIFY_AUTHENTICATION_FAILED : 3,
+  SEND_FINAL_NOTIFY            : 4,
+  RECEIVE_UNSUBSCRIBE          : 5,
+  SUBSCRIPTION_EXPIRED         : 6,
+  SUBSCRIBE_NOT_REPLIED        : 7,
+
+  // Notifier states.
+  STATE_INIT       : 0,
+  STATE_PENDING    : 1,
+  STATE_ACTIVE     : 2,
+  STATE_TERMINATED : 3
+};
+
+const DEFAULT_EXPIRES = 900; // In seconds.
+
+/**
+ * RFC 6665 notifier.
+ * Created by the UA for every incoming initial SUBSCRIBE request.
+ */
+module.exports = class Notifier extends EventEmitter
+{
+  // Expose C object.
+  static get C()
+  {
+    return C;
+  }
+
+  constructor(ua, account = null)
+  {
+    super();
+
+    this._ua = ua;
+    this._account = ua._getAccount(account);
+    this._request = null;
+    this._dialog = null;
+    this._contact = this._account.contact.toString();
+
+    this._event_name = null;
+    this._event_id = null;
+
+    this._state = C.STATE_INIT;
+    this._expires = null;
+    this._expiresTimestamp = null;
+    this._expiresTimer = null;
+
+    // Whether the initial SUBSCRIBE has been replied.
+    this._is_replied = false;
+    this._replyTimer = null;
+
+    // Whether a NOTIFY has been sent while processing a SUBSCRIBE.
+    this._notified = false;
+
+    // Custom notifier empty object for high level use.
+    this._data = {};
+  }
+
+  get C()
+  {
+    return C;
+  }
+
+  get id()
+  {
+    return this._dialog ? this._dialog.id.toString() : null;
+  }
+
+  get state()
+  {
+    return this._state;
+  }
+
+  get event_name()
+  {
+    return this._event_name;
+  }
+
+  get request()
+  {
+    return this._request;
+  }
+
+  get account()
+  {
+    return this._account;
+  }
+
+  get data()
+  {
+    return this._data;
+  }
+
+  set data(_data)
+  {
+    this._data = _data;
+  }
+
+  isTerminated()
+  {
+    return this._state === C.STATE_TERMINATED;
+  }
+
+  init_incoming(request)
+  {
+    const event = request.parseHeader('event');
+
+    if (!event)
+    {
+      request.reply(400, 'Missing Event header field');
+
+      return;
+    }
+
+    this._request = request;
+    this._event_name = event.event;
+    this._event_id = event.params && event.params.id;
+    this._expires = this._getRequestExpires(request);
+
+    // Set the to_tag before replying a response code that will create a dialog.
+    request.to_tag = Utils.newTag();
+
+    const dialog = new Dialog(this, request, 'UAS');
+
+    if (dialog.error)
+    {
+      logger.warn(dialog.error);
+      request.reply(400, 'Missing Contact header field');
+
+      return;
+    }
+
+    this._dialog = dialog;
+
+    this._ua.newNotifier(this, {
+      originator : 'remote',
+      notifier   : this,
+      event,
+      request
+    });
+
+    if (this._is_replied || this._state === C.STATE_TERMINATED)
+    {
+      return;
+    }
+
+    // Reject the SUBSCRIBE if not replied before the subscriber gives up (Timer F).
+    this._replyTimer = setTimeout(() =>
+    {
+      this._replyTimer = null;
+
+      logger.debug('SUBSCRIBE not replied');
+
+      this._is_replied = true;
+      this._request.reply(480);
+      this._dialogTerminated(C.SUBSCRIBE_NOT_REPLIED);
+    }, Timers.TIMER_F / 2);
+  }
+
+  /**
+   * Accept the incoming SUBSCRIBE and send the initial NOTIFY.
+   */
+  accept(options = {})
+  {
+    logger.debug('accept()');
+
+    const extraHeaders = Utils.cloneArray(options.extraHeaders);
+
+    if (this._is_replied)
+    {
+      throw new Error('incoming SUBSCRIBE already replied');
+    }
+
+    // The notifier may reduce the subscription duration.
+    if (options.expires !== undefined && options.expires < this._expires)
+    {
+      this._expires = options.expires;
+    }
+
+    this._is_replied = true;
+    this._clearReplyTimer();
+    this._state = options.pending ? C.STATE_PENDING : C.STATE_ACTIVE;
+
+    extraHeaders.push(`Expires: ${this._expires}`);
+    extraHeaders.push(`Contact: ${this._contact}`);
+
+    this._request.reply(200, null, extraHeaders);
+
+    // A fetch (Expires: 0) gets a single NOTIFY terminating the subscription.
+    if (this._expires === 0)
+    {
+      this._sendNotify('terminated;reason=timeout', options.body, {
+        contentType : options.contentType
+      });
+      this._dialogTerminated(C.SUBSCRIPTION_EXPIRED);
+
+      return;
+    }
+
+    this._scheduleExpiration();
+
+    // RFC 6665 4.2.1.2. Send a NOTIFY immediately.
+    this.notify(options.body, {
+      contentType : options.contentType
+    });
+  }
+
+  /**
+   * Reject the incoming SUBSCRIBE.
+   */
+  reject(options = {})
+  {
+    logger.debug('reject()');
+
+    const status_code = options.status_code || 403;
+    const reason_phrase = options.reason_phrase;
+    const extraHeaders = Utils.cloneArray(options.extraHeaders);
+
+    if (this._is_replied)
+    {
+      throw new Error('incoming SUBSCRIBE already replied');
+    }
+
+    if (status_code < 300 || status_code >= 700)
+    {
+      throw new TypeError(`Invalid status_code: ${status_code}`);
+    }
+
+    this._is_replied = true;
+    this._clearReplyTimer();
+    this._request.reply(status_code, reason_phrase, extraHeaders);
+
+    this._close();
+  }
+
+  /**
+   * Move a pending subscription to the active state.
+   * Takes effect with the next NOTIFY.
+   */
+  setActiveState()
+  {
+    logger.debug('setActiveState()');
+
+    if (this._state === C.STATE_PENDING)
+    {
+      this._state = C.STATE_ACTIVE;
+    }
+  }
+
+  /**
+   * Send a NOTIFY with the current subscription state.
+   */
+  notify(body = null, options = {})
+  {
+    logger.debug('notify()');
+
+    if (this._state === C.STATE_INIT || this._state === C.STATE_TERMINATED)
+    {
+      throw new Exceptions.InvalidStateError(this._state);
+    }
+
+    let state = this._state === C.STATE_ACTIVE ? 'active' : 'pending';
+
+    state += `;expires=${this._getRemainingExpires()}`;
+
+    this._sendNotify(state, body, options);
+  }
+
+  /**
+   * Terminate the subscription sending a final NOTIFY.
+   */
+  terminate(body = null, reason = null, retryAfter = null, options = {})
+  {
+    logger.debug('terminate()');
+
+    if (this._state === C.STATE_TERMINATED)
+    {
+      return;
+    }
+
+    // Not accepted yet, reject it.
+    if (this._state === C.STATE_INIT)
+    {
+      this.reject({ status_code: 480 });
+
+      return;
+    }
+
+    let state = 'terminated';
+
+    if (reason)
+    {
+      state += `;reason=${reason}`;
+    }
+
+    if (retryAfter !== null)
+    {
+      state += `;retry-after=${retryAfter}`;
+    }
+
+    this._sendNotify(state, body, options);
+    this._dialogTerminated(C.SEND_FINAL_NOTIFY);
+  }
+
+  /**
+   * In-dialog request received (called by the Dialog).
+   */
+  receiveRequest(request)
+  {
+    if (request.method !== JsSIP_C.SUBSCRIBE)
+    {
+      request.reply(405);
+
+      return;
+    }
+
+    const event = request.parseHeader('event');
+    const event_id = event && event.params && event.params.id;
+
+    if (!event || event.event !== this._event_name || event_id !== this._event_id)
+    {
+      request.reply(489);
+
+      return;
+    }
+
+    if (this._state === C.STATE_TERMINATED)
+    {
+      request.reply(481);
+
+      return;
+    }
+
+    const expires = Math.min(this._getRequestExpires(request), this._expires);
+    const is_unsubscribe = expires === 0;
+
+    request.reply(200, null, [
+      `Expires: ${expires}`,
+      `Contact: ${this._contact}`
+    ]);
+
+    if (!is_unsubscribe)
+    {
+      this._scheduleExpiration(expires);
+    }
+
+    this._notified = false;
+
+    logger.debug('emit "subscribe"');
+
+    this.emit('subscribe', {
+      request,
+      body          : request.body,
+      contentType   : request.getHeader('content-type'),
+      isUnsubscribe : is_unsubscribe
+    });
+
+    if (this._state === C.STATE_TERMINATED)
+    {
+      return;
+    }
+
+    if (is_unsubscribe)
+    {
+      this._sendNotify('terminated', null, {});
+      this._dialogTerminated(C.RECEIVE_UNSUBSCRIBE);
+    }
+    // RFC 6665 4.2.1.2. Send a NOTIFY immediately after a refresh.
+    else if (!this._notified)
+    {
+      this.notify();
+    }
+  }
+
+  onTransportError()
+  {
+    this._dialogTerminated(C.NOTIFY_TRANSPORT_ERROR);
+  }
+
+  onRequestTimeout()
+  {
+    this._dialogTerminated(C.NOTIFY_RESPONSE_TIMEOUT);
+  }
+
+  onDialogError()
+  {
+    this._dialogTerminated(C.NOTIFY_NON_OK_RESPONSE);
+  }
+
+  /**
+   * Private API.
+   */
+
+  _sendNotify(state, body, options)
+  {
+    const extraHeaders = Utils.cloneArray(options.extraHeaders);
+    let eventValue = this._event_name;
+
+    if (this._event_id)
+    {
+      eventValue += `;id=${this._event_id}`;
+    }
+
+    extraHeaders.push(`Event: ${eventValue}`);
+    extraHeaders.push(`Subscription-State: ${state}`);
+    extraHeaders.push(`Contact: ${this._contact}`);
+
+    if (body)
+    {
+      extraHeaders.push(`Content-Type: ${options.contentType || 'text/plain'}`);
+    }
+
+    this._notified = true;
+
+    this._dialog.sendRequest(JsSIP_C.NOTIFY, {
+      extraHeaders,
+      body,
+      eventHandlers : {
+        onRequestTimeout : () =>
+        {
+          this.onRequestTimeout();
+        },
+        onTransportError : () =>
+        {
+          this.onTransportError();
+        },
+        onDialogError : () =>
+        {
+          this.onDialogError();
+        },
+        onErrorResponse : (response) =>
+        {
+          if (response.status_code === 401 || response.status_code === 407)
+          {
+            this._dialogTerminated(C.NOTIFY_AUTHENTICATION_FAILED);
+          }
+          else
+          {
+            this._dialogTerminated(C.NOTIFY_NON_OK_RESPONSE);
+          }
+        }
+      }
+    });
+  }
+
+  _getRequestExpires(request)
+  {
+    if (request.hasHeader('expires'))
+    {
+      const expires = parseInt(request.getHeader('expires'));
+
+      if (!isNaN(expires) && expires >= 0)
+      {
+        return expires;
+      }
+    }
+
+    return DEFAULT_EXPIRES;
+  }
+
+  _getRemainingExpires()
+  {
+    const remaining = Math.ceil((this._expiresTimestamp - new Date().getTime()) / 1000);
+
+    return Math.max(remaining, 0);
+  }
+
+  _scheduleExpiration(expires = this._expires)
+  {
+    if (this._expiresTimer !== null)
+    {
+      clearTimeout(this._expiresTimer);
+    }
+
+    this._expiresTimestamp = new Date().getTime() + (expires * 1000);
+
+    this._expiresTimer = setTimeout(() =>
+    {
+      this._expiresTimer = null;
+
+      logger.debug('subscription expired');
+
+      this._sendNotify('terminated;reason=timeout', null, {});
+      this._dialogTerminated(C.SUBSCRIPTION_EXPIRED);
+    }, expires * 1000);
+  }
+
+  _dialogTerminated(terminationCode)
+  {
+    if (this._state === C.STATE_TERMINATED)
+    {
+      return;
+    }
+
+    this._close();
+
+    logger.debug(`emit "terminated" [code:${terminationCode}]`);
+
+    this.emit('terminated', {
+      terminationCode
+    });
+  }
+
+  _clearReplyTimer()
+  {
+    if (this._replyTimer !== null)
+    {
+      clearTimeout(this._replyTimer);
+      this._replyTimer = null;
+    }
+  }
+
+  _close()
+  {
+    this._state = C.STATE_TERMINATED;
+
+    this._clearReplyTimer();
+
+    if (this._expiresTimer !== null)
+    {
+      clearTimeout(this._expiresTimer);
+      this._expiresTimer = null;
+    }
+
+    if (this._dialog)
+    {
+      this._dialog.terminate();
+    }
+
+    this._ua.destroyNotifier(this);
+  }
+};
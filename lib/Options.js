@@ -10,11 +10,12 @@ const logger = new Logger('Options');
 
 module.exports = class Options extends EventEmitter
 {
-  constructor(ua)
+  constructor(ua, account = null)
   {
     super();
 
     this._ua = ua;
+    this._account = ua._getAccount(account);
     this._request = null;
     this._closed = false;
 
@@ -29,6 +30,11 @@ module.exports = class Options extends EventEmitter
     this._data = {};
   }
 
+  get account()
+  {
+    return this._account;
+  }
+
   get direction()
   {
     return this._direction;
@@ -77,7 +83,7 @@ module.exports = class Options extends EventEmitter
     extraHeaders.push(`Content-Type: ${contentType}`);
 
     this._request = new SIPMessage.OutgoingRequest(
-      JsSIP_C.OPTIONS, target, this._ua, null, extraHeaders);
+      JsSIP_C.OPTIONS, target, this._ua, { account: this._account }, extraHeaders);
 
     if (body)
     {
@@ -89,9 +95,9 @@ module.exports = class Options extends EventEmitter
       {
         this._onRequestTimeout();
       },
-      onTransportError : () =>
+      onTransportError : (cause) =>
       {
-        this._onTransportError();
+        this._onTransportError(cause);
       },
       onReceiveResponse : (response) =>
       {
@@ -208,13 +214,13 @@ module.exports = class Options extends EventEmitter
     this._failed('system', null, JsSIP_C.causes.REQUEST_TIMEOUT);
   }
 
-  _onTransportError()
+  _onTransportError(cause = JsSIP_C.causes.CONNECTION_ERROR)
   {
     if (this._closed)
     {
       return;
     }
-    this._failed('system', null, JsSIP_C.causes.CONNECTION_ERROR);
+    this._failed('system', null, cause);
   }
 
   _close()
@@ -0,0 +1,29 @@
+export type BasicStatus = 'open' | 'closed';
+
+export interface PIDFBuildOptions {
+  entity: string;
+  basic?: BasicStatus;
+  note?: string;
+  activities?: string[];
+  contact?: string;
+  id?: string;
+}
+
+export interface PIDFTuple {
+  id: string | null;
+  basic: BasicStatus | null;
+  contact: string | null;
+  note: string | null;
+}
+
+export interface PIDFDocument {
+  entity: string | null;
+  basic: BasicStatus | null;
+  note: string | null;
+  activities: string[];
+  tuples: PIDFTuple[];
+}
+
+export function build(options: PIDFBuildOptions): string;
+
+export function parse(xml: string): PIDFDocument | null;
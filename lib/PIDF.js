@@ -0,0 +1,150 @@
+const Utils = require('./Utils');
+const XML = require('./XML');
+
+/**
+ * Minimal PIDF (RFC 3863) builder and parser, including the RPID (RFC 4480)
+ * activities element.
+ */
+
+/**
+ * Build a PIDF document.
+ *
+ * -param {Object} options
+ * -param {String} options.entity Presentity URI.
+ * -param {String} [options.basic] 'open' (default) or 'closed'.
+ * -param {String} [options.note]
+ * -param {Array} [options.activities] RPID activities, ie: [ 'away' ].
+ * -param {String} [options.contact]
+ * -param {String} [options.id] Tuple id.
+ *
+ * -returns {String}
+ */
+exports.build = ({ entity, basic = 'open', note, activities = [], contact, id } = {}) =>
+{
+  if (!entity)
+  {
+    throw new TypeError('Not enough arguments');
+  }
+
+  if (basic !== 'open' && basic !== 'closed')
+  {
+    throw new TypeError(`Invalid basic status: ${basic}`);
+  }
+
+  // Activities become element names.
+  for (const activity of activities)
+  {
+    if (typeof activity !== 'string' || !/^[A-Za-z_][\w.-]*$/.test(activity))
+    {
+      throw new TypeError(`Invalid activity: ${activity}`);
+    }
+  }
+
+  const tupleId = id || `t${Utils.createRandomToken(8)}`;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<presence xmlns="urn:ietf:params:xml:ns:pidf"',
+    '    xmlns:dm="urn:ietf:params:xml:ns:pidf:data-model"',
+    '    xmlns:rpid="urn:ietf:params:xml:ns:pidf:rpid"',
+    `    entity="${XML.escape(entity)}">`,
+    `  <tuple id="${XML.escape(tupleId)}">`,
+    `    <status><basic>${basic}</basic></status>`
+  ];
+
+  if (contact)
+  {
+    lines.push(`    <contact>${XML.escape(contact)}</contact>`);
+  }
+
+  if (note)
+  {
+    lines.push(`    <note>${XML.escape(note)}</note>`);
+  }
+
+  lines.push('  </tuple>');
+
+  if (activities.length > 0)
+  {
+    lines.push(`  <dm:person id="p${XML.escape(tupleId)}">`);
+    lines.push('    <rpid:activities>');
+
+    for (const activity of activities)
+    {
+      lines.push(`      <rpid:${activity}/>`);
+    }
+
+    lines.push('    </rpid:activities>');
+    lines.push('  </dm:person>');
+  }
+
+  lines.push('</presence>');
+
+  return lines.join('\r\n');
+};
+
+/**
+ * Parse a PIDF document.
+ *
+ * Returns an object like:
+ *
+ *   {
+ *     entity     : 'sip:alice@example.com',
+ *     basic      : 'open',
+ *     note       : 'Out for lunch',
+ *     activities : [ 'lunch' ],
+ *     tuples     : [ { id: 't1', basic: 'open', contact: null, note: 'Out for lunch' } ]
+ *   }
+ *
+ * or null if the body is not a PIDF document.
+ */
+exports.parse = (xml) =>
+{
+  if (typeof xml !== 'string')
+  {
+    return null;
+  }
+
+  const presence = XML.getElements(xml, 'presence')[0];
+
+  if (!presence)
+  {
+    return null;
+  }
+
+  const tuples = XML.getElements(presence.content, 'tuple').map((tuple) =>
+  {
+    return {
+      id      : XML.getAttribute(tuple.attributes, 'id'),
+      basic   : XML.getElementText(tuple.content, 'basic'),
+      contact : XML.getElementText(tuple.content, 'contact'),
+      note    : XML.getElementText(tuple.content, 'note')
+    };
+  });
+
+  const activities = [];
+
+  for (const element of XML.getElements(presence.content, 'activities'))
+  {
+    const regexp = /<(?:[\w-]+:)?([\w-]+)[^>]*\/?>/g;
+    let match;
+
+    while ((match = regexp.exec(element.content)) !== null)
+    {
+      // Skip free text notes.
+      if (match[1] !== 'note')
+      {
+        activities.push(match[1]);
+      }
+    }
+  }
+
+  const tuple_note = tuples.map((tuple) => tuple.note).find((note) => note);
+
+  return {
+    entity : XML.getAttribute(presence.attributes, 'entity'),
+    basic  : tuples.length > 0 ? tuples[0].basic : null,
+    note   : tuple_note || XML.getElementText(presence.content, 'note'),
+    activities,
+    tuples
+  };
+};
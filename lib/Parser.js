@@ -203,6 +203,23 @@ function parseHeader(message, data, headerStart, headerEnd)
         }
       }
       break;
+    // Same syntax as Record-Route (RFC 3608).
+    case 'service-route':
+      parsed = Grammar.parse(headerValue, 'Record_Route');
+
+      if (parsed === -1)
+      {
+        parsed = undefined;
+      }
+      else
+      {
+        for (const header of parsed)
+        {
+          message.addHeader('service-route', headerValue.substring(header.possition, header.offset));
+          message.headers['Service-Route'][message.getHeaders('service-route').length - 1].parsed = header.parsed;
+        }
+      }
+      break;
     case 'call-id':
     case 'i':
       message.setHeader('call-id', headerValue);
@@ -220,6 +237,11 @@ function parseHeader(message, data, headerStart, headerEnd)
       {
         parsed = undefined;
       }
+      // Contact: * (ie: REGISTER removing every binding).
+      else if (parsed.length === 0)
+      {
+        message.addHeader('contact', headerValue);
+      }
       else
       {
         for (const header of parsed)
@@ -0,0 +1,77 @@
+import {EventEmitter} from 'events'
+
+import {ExtraHeaders} from './RTCSession'
+import {IncomingResponse} from './SIPMessage'
+import {URI} from './URI'
+import {causes} from './Constants'
+import {Account} from './Account'
+
+declare enum PublisherState {
+  STATE_INIT = 0,
+  STATE_PUBLISHING = 1,
+  STATE_PUBLISHED = 2,
+  STATE_REMOVING = 3,
+  STATE_TERMINATED = 4
+}
+
+export interface PublisherPublishedEvent {
+  response: IncomingResponse;
+  etag: string;
+}
+
+export interface PublisherFailedEvent {
+  response: IncomingResponse | null;
+  cause: causes;
+}
+
+export interface PublisherRemovedEvent {
+  response: IncomingResponse | null;
+}
+
+export type PublisherPublishedListener = (event: PublisherPublishedEvent) => void;
+export type PublisherFailedListener = (event: PublisherFailedEvent) => void;
+export type PublisherRemovedListener = (event: PublisherRemovedEvent) => void;
+
+export interface PublisherEventMap {
+  published: PublisherPublishedListener;
+  failed: PublisherFailedListener;
+  removed: PublisherRemovedListener;
+}
+
+export interface PublisherOptions extends ExtraHeaders {
+  target?: string | URI;
+  expires?: number;
+  contentType?: string;
+  account?: Account | string;
+  eventHandlers?: Partial<PublisherEventMap>;
+}
+
+export class Publisher extends EventEmitter {
+  static get C(): typeof PublisherState;
+
+  get C(): typeof PublisherState;
+
+  get id(): string;
+
+  get state(): PublisherState;
+
+  get event_name(): string;
+
+  get etag(): string | null;
+
+  get account(): Account;
+
+  get data(): any;
+
+  set data(_data: any);
+
+  isTerminated(): boolean;
+
+  publish(body: string): void;
+
+  refresh(): void;
+
+  terminate(): void;
+
+  on<T extends keyof PublisherEventMap>(type: T, listener: PublisherEventMap[T]): this;
+}
@@ -0,0 +1,508 @@
+const EventEmitter = require('events').EventEmitter;
+const Logger = require('./Logger');
+const JsSIP_C = require('./Constants');
+const Utils = require('./Utils');
+const Grammar = require('./Grammar');
+const SIPMessage = require('./SIPMessage');
+const RequestSender = require('./RequestSender');
+
+const logger = new Logger('Publisher');
+
+const C = {
+  // Publisher states.
+  STATE_INIT       : 0,
+  STATE_PUBLISHING : 1,
+  STATE_PUBLISHED  : 2,
+  STATE_REMOVING   : 3,
+  STATE_TERMINATED : 4
+};
+
+const DEFAULT_EXPIRES = 3600; // In seconds.
+
+/**
+ * RFC 3903 event state publication.
+ * Sends PUBLISH requests, keeps the entity-tag given by the event state
+ * compositor and refreshes the publication before it expires.
+ */
+module.exports = class Publisher extends EventEmitter
+{
+  // Expose C object.
+  static get C()
+  {
+    return C;
+  }
+
+  constructor(ua, eventName, options = {})
+  {
+    logger.debug('new()');
+
+    super();
+
+    if (eventName === undefined)
+    {
+      throw new TypeError('Not enough arguments');
+    }
+
+    const parsed = Grammar.parse(eventName, 'Event');
+
+    if (parsed === -1)
+    {
+      throw new TypeError(`Invalid event name: ${eventName}`);
+    }
+
+    const account = ua._getAccount(options.account);
+
+    // Publish to our own AOR by default.
+    const originalTarget = options.target || account.uri;
+    const target = ua.normalizeTarget(originalTarget);
+
+    if (!target)
+    {
+      throw new TypeError(`Invalid target: ${originalTarget}`);
+    }
+
+    const eventHandlers = Utils.cloneObject(options.eventHandlers);
+
+    this._ua = ua;
+    this._account = account;
+    this._target = target;
+    this._event_name = eventName;
+    this._content_type = options.contentType || 'application/pidf+xml';
+    this._extraHeaders = Utils.cloneArray(options.extraHeaders);
+
+    this._expires = options.expires;
+    if (this._expires !== 0 && !this._expires)
+    {
+      this._expires = DEFAULT_EXPIRES;
+    }
+
+    // Call-ID and CSeq shared by all the PUBLISH requests.
+    this._call_id = Utils.createRandomToken(22);
+    this._cseq = 0;
+
+    this._state = C.STATE_INIT;
+
+    // Entity-tag of the published event state (SIP-ETag).
+    this._etag = null;
+
+    // Last published body, needed to recover from a 412 response.
+    this._body = null;
+
+    // PUBLISH in progress and next action to perform once it completes.
+    this._sending = false;
+    this._pending = null;
+
+    this._refreshTimer = null;
+
+    // Custom publisher empty object for high level use.
+    this._data = {};
+
+    // Set event handlers.
+    for (const event in eventHandlers)
+    {
+      if (Object.prototype.hasOwnProperty.call(eventHandlers, event))
+      {
+        this.on(event, eventHandlers[event]);
+      }
+    }
+
+    this._ua.newPublisher(this);
+  }
+
+  get C()
+  {
+    return C;
+  }
+
+  get id()
+  {
+    return this._call_id;
+  }
+
+  get state()
+  {
+    return this._state;
+  }
+
+  get event_name()
+  {
+    return this._event_name;
+  }
+
+  get etag()
+  {
+    return this._etag;
+  }
+
+  get account()
+  {
+    return this._account;
+  }
+
+  get data()
+  {
+    return this._data;
+  }
+
+  set data(_data)
+  {
+    this._data = _data;
+  }
+
+  isTerminated()
+  {
+    return this._state === C.STATE_TERMINATED;
+  }
+
+  /**
+   * Publish the given event state, or modify the already published one.
+   */
+  publish(body)
+  {
+    logger.debug('publish()');
+
+    if (this._state === C.STATE_REMOVING || this._state === C.STATE_TERMINATED)
+    {
+      logger.debug('publication already terminated');
+
+      return;
+    }
+
+    if (!body)
+    {
+      throw new TypeError('Not enough arguments');
+    }
+
+    this._body = body;
+
+    this._send({ body });
+  }
+
+  /**
+   * Refresh the published event state without changing it.
+   */
+  refresh()
+  {
+    logger.debug('refresh()');
+
+    if (this._state !== C.STATE_PUBLISHED || this._sending)
+    {
+      return;
+    }
+
+    this._send({ body: null });
+  }
+
+  /**
+   * Remove the published event state.
+   */
+  terminate()
+  {
+    logger.debug('terminate()');
+
+    if (this._state === C.STATE_REMOVING || this._state === C.STATE_TERMINATED)
+    {
+      return;
+    }
+
+    this._clearRefreshTimer();
+
+    // Nothing has been published, or the PUBLISH is still in progress and
+    // no entity-tag is known.
+    if (!this._etag && !this._sending)
+    {
+      this._close();
+
+      return;
+    }
+
+    this._state = C.STATE_REMOVING;
+
+    this._send({ remove: true });
+  }
+
+  /**
+   * Private API.
+   */
+
+  _send({ body = null, remove = false })
+  {
+    // Wait for the ongoing PUBLISH transaction to complete.
+    if (this._sending)
+    {
+      this._pending = { body, remove };
+
+      return;
+    }
+
+    const extraHeaders = this._extraHeaders.slice();
+    const expires = remove ? 0 : this._expires;
+
+    extraHeaders.push(`Event: ${this._event_name}`);
+    extraHeaders.push(`Expires: ${expires}`);
+
+    // Refresh, modification and removal of a known event state (RFC 3903 4.1).
+    if (this._etag)
+    {
+      extraHeaders.push(`SIP-If-Match: ${this._etag}`);
+    }
+
+    if (body)
+    {
+      extraHeaders.push(`Content-Type: ${this._content_type}`);
+    }
+
+    this._cseq += 1;
+
+    const request = new SIPMessage.OutgoingRequest(
+      JsSIP_C.PUBLISH, this._target, this._ua, {
+        'call_id' : this._call_id,
+        'cseq'    : this._cseq,
+        'account' : this._account
+      }, extraHeaders, body);
+
+    const request_sender = new RequestSender(this._ua, request, {
+      onRequestTimeout : () =>
+      {
+        this._failed(null, JsSIP_C.causes.REQUEST_TIMEOUT);
+      },
+      onTransportError : (cause = JsSIP_C.causes.CONNECTION_ERROR) =>
+      {
+        this._failed(null, cause);
+      },
+      // Increase the CSeq on authentication.
+      onAuthenticated : () =>
+      {
+        this._cseq += 1;
+      },
+      onReceiveResponse : (response) =>
+      {
+        this._receivePublishResponse(response, { body, remove });
+      }
+    });
+
+    this._sending = true;
+
+    if (!remove && !this._etag)
+    {
+      this._state = C.STATE_PUBLISHING;
+    }
+
+    request_sender.send();
+  }
+
+  _receivePublishResponse(response, { body, remove })
+  {
+    // Ignore provisional responses.
+    if (response.status_code < 200)
+    {
+      return;
+    }
+
+    this._sending = false;
+
+    // Removal completed, whatever the result.
+    if (remove)
+    {
+      this._close();
+
+      logger.debug('emit "removed"');
+
+      this.emit('removed', { response });
+
+      return;
+    }
+
+    switch (true)
+    {
+      case /^2[0-9]{2}$/.test(response.status_code):
+      {
+        const etag = response.getHeader('sip-etag');
+
+        if (!etag)
+        {
+          logger.debug('no SIP-ETag header in response to PUBLISH');
+
+          this._failed(response, JsSIP_C.causes.SIP_FAILURE_CODE);
+
+          return;
+        }
+
+        this._etag = etag;
+
+        // terminate() was called meanwhile, the removal is pending.
+        if (this._state === C.STATE_REMOVING)
+        {
+          break;
+        }
+
+        this._state = C.STATE_PUBLISHED;
+
+        let expires = this._expires;
+
+        if (response.hasHeader('expires'))
+        {
+          expires = Number(response.getHeader('expires'));
+        }
+
+        this._scheduleRefresh(expires);
+
+        // Do not notify plain refreshes.
+        if (body)
+        {
+          logger.debug('emit "published"');
+
+          this.emit('published', { response, etag });
+        }
+
+        break;
+      }
+
+      // The event state compositor does not know our entity-tag (RFC 3903 4.1).
+      // Publish the whole event state again.
+      case /^412$/.test(response.status_code):
+      {
+        if (!this._etag)
+        {
+          this._failed(response, JsSIP_C.causes.SIP_FAILURE_CODE);
+
+          return;
+        }
+
+        logger.debug('412 received, publishing the event state again');
+
+        this._etag = null;
+
+        if (!this._pending)
+        {
+          this._pending = { body: this._body, remove: false };
+        }
+
+        break;
+      }
+
+      // Interval too brief.
+      case /^423$/.test(response.status_code):
+      {
+        if (!response.hasHeader('min-expires'))
+        {
+          logger.debug('423 response received for PUBLISH without Min-Expires');
+
+          this._failed(response, JsSIP_C.causes.SIP_FAILURE_CODE);
+
+          return;
+        }
+
+        this._expires = Number(response.getHeader('min-expires'));
+
+        if (!this._pending)
+        {
+          this._pending = { body, remove: false };
+        }
+
+        break;
+      }
+
+      default:
+      {
+        this._failed(response, Utils.sipErrorCause(response.status_code));
+
+        return;
+      }
+    }
+
+    this._sendPending();
+  }
+
+  _sendPending()
+  {
+    const pending = this._pending;
+
+    if (!pending)
+    {
+      return;
+    }
+
+    this._pending = null;
+
+    // A refresh without entity-tag must carry the whole event state.
+    if (!pending.body && !pending.remove && !this._etag)
+    {
+      pending.body = this._body;
+    }
+
+    // Nothing to remove.
+    if (pending.remove && !this._etag)
+    {
+      this._close();
+
+      return;
+    }
+
+    this._send(pending);
+  }
+
+  _scheduleRefresh(expires)
+  {
+    this._clearRefreshTimer();
+
+    if (!expires)
+    {
+      return;
+    }
+
+    // Short expiration values leave no room for the usual 5 seconds margin.
+    const timeout = expires > 64
+      ? (expires * 1000 / 2) +
+        Math.floor(((expires / 2) - 32) * 1000 * Math.random())
+      : Math.max((expires * 1000) - 5000, expires * 1000 / 2);
+
+    this._refreshTimer = setTimeout(() =>
+    {
+      this._refreshTimer = null;
+      this.refresh();
+    }, timeout);
+  }
+
+  _clearRefreshTimer()
+  {
+    if (this._refreshTimer !== null)
+    {
+      clearTimeout(this._refreshTimer);
+      this._refreshTimer = null;
+    }
+  }
+
+  _failed(response, cause)
+  {
+    this._sending = false;
+
+    const removing = this._state === C.STATE_REMOVING;
+
+    this._close();
+
+    if (removing)
+    {
+      logger.debug('emit "removed"');
+
+      this.emit('removed', { response });
+
+      return;
+    }
+
+    logger.debug(`emit "failed" [cause:${cause}]`);
+
+    this.emit('failed', { response, cause });
+  }
+
+  _close()
+  {
+    this._state = C.STATE_TERMINATED;
+    this._etag = null;
+    this._pending = null;
+
+    this._clearRefreshTimer();
+
+    this._ua.destroyPublisher(this);
+  }
+};
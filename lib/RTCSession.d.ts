@@ -4,6 +4,7 @@ import {IncomingRequest, IncomingResponse, OutgoingRequest} from './SIPMessage'
 import {NameAddrHeader} from './NameAddrHeader'
 import {URI} from './URI'
 import {causes, DTMF_TRANSPORT} from './Constants'
+import {Account} from './Account'
 
 interface RTCPeerConnectionDeprecated extends RTCPeerConnection {
   /**
@@ -37,6 +38,7 @@ export interface AnswerOptions extends ExtraHeaders {
   rtcAnswerConstraints?: RTCOfferOptions;
   rtcOfferConstraints?: RTCOfferOptions;
   sessionTimersExpires?: number;
+  '100rel'?: 'none' | 'supported' | 'required';
 }
 
 export interface RejectOptions extends ExtraHeaders {
@@ -171,6 +173,10 @@ export interface IncomingAckEvent {
   ack: IncomingRequest;
 }
 
+export interface NetworkChangeEvent {
+  state: 'reconnecting' | 'restartingIce' | 'reconnected' | 'failed';
+}
+
 // listener
 export type GenericErrorListener = (error: any) => void;
 export type PeerConnectionListener = (event: PeerConnectionEvent) => void;
@@ -196,6 +202,7 @@ export type UpdateListener = ReInviteListener;
 export type ReferListener = (event: ReferEvent) => void;
 export type SDPListener = (event: SDPEvent) => void;
 export type IceCandidateListener = (event: IceCandidateEvent) => void;
+export type NetworkChangeListener = (event: NetworkChangeEvent) => void;
 
 export interface RTCSessionEventMap {
   'peerconnection': PeerConnectionListener;
@@ -218,6 +225,7 @@ export interface RTCSessionEventMap {
   'replaces': ReferListener;
   'sdp': SDPListener;
   'icecandidate': IceCandidateListener;
+  'networkchange': NetworkChangeListener;
   'getusermediafailed': GenericErrorListener;
   'peerconnection:createofferfailed': GenericErrorListener;
   'peerconnection:createanswerfailed': GenericErrorListener;
@@ -254,6 +262,8 @@ export class RTCSession extends EventEmitter {
 
   get contact(): string;
 
+  get account(): Account;
+
   get direction(): SessionDirection;
 
   get local_identity(): NameAddrHeader;
@@ -37,6 +37,33 @@ const C = {
  * Local variables.
  */
 const holdMediaTypes = [ 'audio', 'video' ];
+const rel100Options = [ 'none', 'supported', 'required' ];
+
+/**
+ * Whether the given option tag is present in the given header (ie: Require).
+ */
+function hasOptionTag(message, header, tag)
+{
+  return message.getHeaders(header).some((value) =>
+  {
+    return value.split(',').some((option) => option.trim().toLowerCase() === tag);
+  });
+}
+
+/**
+ * Get the '100rel' option (RFC 3262) given to connect() or answer().
+ */
+function getRel100Option(options)
+{
+  const rel100 = options['100rel'] || 'none';
+
+  if (rel100Options.indexOf(rel100) === -1)
+  {
+    throw new TypeError(`Invalid 100rel option: ${rel100}`);
+  }
+
+  return rel100;
+}
 
 module.exports = class RTCSession extends EventEmitter
 {
@@ -48,7 +75,7 @@ module.exports = class RTCSession extends EventEmitter
     return C;
   }
 
-  constructor(ua)
+  constructor(ua, account = null)
   {
     logger.debug('new');
 
@@ -56,10 +83,12 @@ module.exports = class RTCSession extends EventEmitter
 
     this._id = null;
     this._ua = ua;
+    this._account = ua._getAccount(account);
     this._status = C.STATUS_NULL;
     this._dialog = null;
     this._earlyDialogs = {};
     this._contact = null;
+    this._contactOptions = {};
     this._from_tag = null;
     this._to_tag = null;
 
@@ -96,12 +125,18 @@ module.exports = class RTCSession extends EventEmitter
     // Flag to indicate ICE candidate gathering is finished even if iceGatheringState is not yet 'complete'.
     this._iceReady = false;
 
+    // Flag to indicate ICE must be restarted once the transport recovers from
+    // a network change.
+    this._networkChanged = false;
+
     // SIP Timers.
     this._timers = {
       ackTimer          : null,
       expiresTimer      : null,
       invite2xxTimer    : null,
-      userNoAnswerTimer : null
+      userNoAnswerTimer : null,
+      rel100Timer       : null,
+      iceRestartTimer   : null
     };
 
     // Session info.
@@ -132,6 +167,25 @@ module.exports = class RTCSession extends EventEmitter
     // Map of ReferSubscriber instances indexed by the REFER's CSeq number.
     this._referSubscribers = {};
 
+    // Reliable provisional responses (RFC 3262).
+    this._rel100 = {
+      // UAC: RSeq of the last reliable provisional response of each early dialog.
+      remoteRSeq      : {},
+      // UAC: SDP answer received within a reliable provisional response.
+      earlyAnswer     : false,
+      // UAS: 100rel support of the remote peer.
+      remoteSupported : false,
+      remoteRequired  : false,
+      // UAS: RSeq of the last reliable provisional response sent.
+      localRSeq       : null,
+      // UAS: SDP answer sent within a reliable provisional response.
+      localAnswer     : false,
+      // UAS: reliable provisional response waiting for PRACK.
+      pending         : null,
+      // UAS: resolved once every reliable provisional response is acknowledged.
+      queue           : Promise.resolve()
+    };
+
     // Custom session empty object for high level use.
     this._data = {};
   }
@@ -167,6 +221,11 @@ module.exports = class RTCSession extends EventEmitter
     return this._contact;
   }
 
+  get account()
+  {
+    return this._account;
+  }
+
   get direction()
   {
     return this._direction;
@@ -278,6 +337,7 @@ module.exports = class RTCSession extends EventEmitter
     const pcConfig = Utils.cloneObject(options.pcConfig, { iceServers: [] });
     const rtcConstraints = options.rtcConstraints || null;
     const rtcOfferConstraints = options.rtcOfferConstraints || null;
+    const rel100 = getRel100Option(options);
 
     this._rtcOfferConstraints = rtcOfferConstraints;
     this._rtcAnswerConstraints = options.rtcAnswerConstraints || null;
@@ -340,26 +400,27 @@ module.exports = class RTCSession extends EventEmitter
     // Set anonymous property.
     const anonymous = options.anonymous || false;
 
-    const requestParams = { from_tag: this._from_tag };
+    const requestParams = { from_tag: this._from_tag, account: this._account };
 
-    this._contact = this._ua.contact.toString({
+    this._contactOptions = {
       anonymous,
       outbound : true
-    });
+    };
+    this._contact = this._account.contact.toString(this._contactOptions);
 
     if (anonymous)
     {
       requestParams.from_display_name = 'Anonymous';
       requestParams.from_uri = new URI('sip', 'anonymous', 'anonymous.invalid');
 
-      extraHeaders.push(`P-Preferred-Identity: ${this._ua.configuration.uri.toString()}`);
+      extraHeaders.push(`P-Preferred-Identity: ${this._account.uri.toString()}`);
       extraHeaders.push('Privacy: id');
     }
     else if (options.fromUserName)
     {
-      requestParams.from_uri = new URI('sip', options.fromUserName, this._ua.configuration.uri.host);
+      requestParams.from_uri = new URI('sip', options.fromUserName, this._account.uri.host);
 
-      extraHeaders.push(`P-Preferred-Identity: ${this._ua.configuration.uri.toString()}`);
+      extraHeaders.push(`P-Preferred-Identity: ${this._account.uri.toString()}`);
     }
 
     if (options.fromDisplayName)
@@ -369,6 +430,10 @@ module.exports = class RTCSession extends EventEmitter
 
     extraHeaders.push(`Contact: ${this._contact}`);
     extraHeaders.push('Content-Type: application/sdp');
+    if (rel100 === 'required')
+    {
+      extraHeaders.push('Require: 100rel');
+    }
     if (this._sessionTimers.enabled)
     {
       extraHeaders.push(`Session-Expires: ${this._sessionTimers.defaultExpires}${this._ua.configuration.session_timers_force_refresher ? ';refresher=uac' : ''}`);
@@ -377,6 +442,8 @@ module.exports = class RTCSession extends EventEmitter
     this._request = new SIPMessage.InitialOutgoingInviteRequest(
       target, this._ua, requestParams, extraHeaders);
 
+    this._request.rel100 = rel100 !== 'none';
+
     this._id = this._request.call_id + this._from_tag;
 
     // Create a new RTCPeerConnection instance.
@@ -419,7 +486,7 @@ module.exports = class RTCSession extends EventEmitter
     this._from_tag = request.from_tag;
     this._id = request.call_id + this._from_tag;
     this._request = request;
-    this._contact = this._ua.contact.toString();
+    this._contact = this._account.contact.toString();
 
     // Get the Expires header value if exists.
     if (request.hasHeader('expires'))
@@ -449,6 +516,10 @@ module.exports = class RTCSession extends EventEmitter
       this._late_sdp = true;
     }
 
+    this._rel100.remoteRequired = hasOptionTag(request, 'require', '100rel');
+    this._rel100.remoteSupported = this._rel100.remoteRequired ||
+      hasOptionTag(request, 'supported', '100rel');
+
     this._status = C.STATUS_WAITING_FOR_ANSWER;
 
     // Set userNoAnswerTimer.
@@ -495,8 +566,15 @@ module.exports = class RTCSession extends EventEmitter
       return;
     }
 
-    // Reply 180.
-    request.reply(180, null, [ `Contact: ${this._contact}` ]);
+    // Reply 180, reliably if the remote peer requires it.
+    if (this._rel100.remoteRequired)
+    {
+      this._sendReliableProvisional(180);
+    }
+    else
+    {
+      request.reply(180, null, [ `Contact: ${this._contact}` ]);
+    }
 
     // Fire 'progress' event.
     // TODO: Document that 'response' field in 'progress' event is null for incoming calls.
@@ -518,6 +596,7 @@ module.exports = class RTCSession extends EventEmitter
     const rtcConstraints = options.rtcConstraints || null;
     const rtcAnswerConstraints = options.rtcAnswerConstraints || null;
     const rtcOfferConstraints = Utils.cloneObject(options.rtcOfferConstraints);
+    const rel100 = getRel100Option(options);
 
     let tracks;
     let peerHasAudioLine = false;
@@ -558,6 +637,15 @@ module.exports = class RTCSession extends EventEmitter
       }
     }
 
+    // RFC 3262 3. The remote peer does not support reliable provisional responses.
+    if (rel100 === 'required' && !this._rel100.remoteSupported)
+    {
+      request.reply(421, null, [ 'Require: 100rel' ]);
+      this._failed('local', null, JsSIP_C.causes.REJECTED);
+
+      return;
+    }
+
     this._status = C.STATUS_ANSWERED;
 
     // An error on dialog creation will fire 'failed' event.
@@ -772,6 +860,18 @@ module.exports = class RTCSession extends EventEmitter
             });
         }
       })
+      // Send the SDP answer within a reliable provisional response if possible, and
+      // wait for every reliable provisional response to be acknowledged.
+      .then((desc) =>
+      {
+        if (rel100 !== 'none' && this._rel100.remoteSupported && !this._late_sdp)
+        {
+          this._rel100.localAnswer = true;
+          this._sendReliableProvisional(183, desc);
+        }
+
+        return this._rel100.queue.then(() => desc);
+      })
       // Send reply.
       .then((desc) =>
       {
@@ -782,13 +882,16 @@ module.exports = class RTCSession extends EventEmitter
 
         this._handleSessionTimersInIncomingRequest(request, extraHeaders);
 
+        // The SDP answer was already sent within a reliable provisional response.
+        const body = this._rel100.localAnswer ? null : desc;
+
         request.reply(200, null, extraHeaders,
-          desc,
+          body,
           () =>
           {
             this._status = C.STATUS_WAITING_FOR_ACK;
 
-            this._setInvite2xxTimer(request, desc);
+            this._setInvite2xxTimer(request, body);
             this._setACKTimer();
             this._accepted('local');
           },
@@ -1624,6 +1727,9 @@ module.exports = class RTCSession extends EventEmitter
             request.reply(403, 'Wrong Status');
           }
           break;
+        case JsSIP_C.PRACK:
+          this._receivePrack(request);
+          break;
         default:
           request.reply(501);
       }
@@ -1634,7 +1740,7 @@ module.exports = class RTCSession extends EventEmitter
    * Session Callbacks
    */
 
-  onTransportError()
+  onTransportError(cause = JsSIP_C.causes.CONNECTION_ERROR)
   {
     logger.warn('onTransportError()');
 
@@ -1642,8 +1748,8 @@ module.exports = class RTCSession extends EventEmitter
     {
       this.terminate({
         status_code   : 500,
-        reason_phrase : JsSIP_C.causes.CONNECTION_ERROR,
-        cause         : JsSIP_C.causes.CONNECTION_ERROR
+        reason_phrase : cause,
+        cause
       });
     }
   }
@@ -1676,6 +1782,44 @@ module.exports = class RTCSession extends EventEmitter
     }
   }
 
+  // Called from UA.handleNetworkChange().
+  onNetworkChange()
+  {
+    logger.debug('onNetworkChange()');
+
+    if (!this.isEstablished() || this.isEnded())
+    {
+      return;
+    }
+
+    this._networkChanged = true;
+
+    // Forget a deferred ICE restart, a new one will follow.
+    clearTimeout(this._timers.iceRestartTimer);
+
+    this._emitNetworkChange('reconnecting');
+  }
+
+  // Called from UA once connected (and registered) again after a network change.
+  onNetworkRecovered()
+  {
+    logger.debug('onNetworkRecovered()');
+
+    if (!this._networkChanged)
+    {
+      return;
+    }
+
+    this._networkChanged = false;
+
+    if (this.isEnded())
+    {
+      return;
+    }
+
+    this._restartIce();
+  }
+
   // Called from DTMF handler.
   newDTMF(data)
   {
@@ -1692,6 +1836,56 @@ module.exports = class RTCSession extends EventEmitter
     this.emit('newInfo', data);
   }
 
+  /**
+   * Send a re-INVITE restarting ICE. If another negotiation is in progress,
+   * wait for it to complete.
+   */
+  _restartIce()
+  {
+    if (!this._isReadyToReOffer())
+    {
+      logger.debug('restartIce() | deferred until the pending negotiation completes');
+
+      this._timers.iceRestartTimer = setTimeout(() => this._restartIce(), Timers.T1);
+
+      return;
+    }
+
+    // The Contact may have changed (ie: new GRUU).
+    this._contact = this._account.contact.toString(this._contactOptions);
+
+    this._emitNetworkChange('restartingIce');
+
+    this._sendReinvite({
+      rtcOfferConstraints : Object.assign({}, this._rtcOfferConstraints, {
+        iceRestart : true
+      }),
+      eventHandlers : {
+        succeeded : () =>
+        {
+          this._emitNetworkChange('reconnected');
+        },
+        failed : () =>
+        {
+          this._emitNetworkChange('failed');
+
+          this.terminate({
+            cause         : JsSIP_C.causes.WEBRTC_ERROR,
+            status_code   : 500,
+            reason_phrase : 'Media Renegotiation Failed'
+          });
+        }
+      }
+    });
+  }
+
+  _emitNetworkChange(state)
+  {
+    logger.debug(`emit "networkchange" [state:${state}]`);
+
+    this.emit('networkchange', { state });
+  }
+
   /**
    * Check if RTCSession is ready for an outgoing re-INVITE or UPDATE with SDP.
    */
@@ -1770,6 +1964,12 @@ module.exports = class RTCSession extends EventEmitter
     // Clear Session Timers.
     clearTimeout(this._sessionTimers.timer);
 
+    // Settle the reliable provisional response waiting for PRACK.
+    if (this._rel100.pending)
+    {
+      this._rel100.pending.acknowledge();
+    }
+
     // Terminate confirmed dialog.
     if (this._dialog)
     {
@@ -2472,7 +2672,7 @@ module.exports = class RTCSession extends EventEmitter
         return false;
       }
 
-      const session = new RTCSession(this._ua);
+      const session = new RTCSession(this._ua, this._account);
 
       session.on('progress', ({ response }) =>
       {
@@ -2583,7 +2783,7 @@ module.exports = class RTCSession extends EventEmitter
         return false;
       }
 
-      const session = new RTCSession(this._ua);
+      const session = new RTCSession(this._ua, this._account);
 
       // Terminate the current session when the new one is confirmed.
       session.on('confirmed', () =>
@@ -2618,9 +2818,9 @@ module.exports = class RTCSession extends EventEmitter
       {
         this.onRequestTimeout();
       },
-      onTransportError : () =>
+      onTransportError : (cause) =>
       {
-        this.onTransportError();
+        this.onTransportError(cause);
       },
       // Update the request on authentication.
       onAuthenticated : (request) =>
@@ -2841,14 +3041,28 @@ module.exports = class RTCSession extends EventEmitter
           }
         }
 
+        const reliable = hasOptionTag(response, 'require', '100rel');
+
+        // Send PRACK, or ignore retransmitted reliable provisional responses.
+        if (reliable && !this._receiveReliableProvisional(response))
+        {
+          break;
+        }
+
         this._status = C.STATUS_1XX_RECEIVED;
 
-        if (!response.body)
+        // The SDP answer may have been received within a reliable provisional response.
+        if (!response.body || this._rel100.earlyAnswer)
         {
           this._progress('remote', response);
           break;
         }
 
+        if (reliable)
+        {
+          this._rel100.earlyAnswer = true;
+        }
+
         const e = { originator: 'remote', type: 'answer', sdp: response.body };
 
         logger.debug('emit "sdp"');
@@ -2872,6 +3086,24 @@ module.exports = class RTCSession extends EventEmitter
       {
         this._status = C.STATUS_CONFIRMED;
 
+        // The SDP answer was received within a reliable provisional response,
+        // ignore the body of the 2xx (if any, it repeats the answer).
+        if (this._rel100.earlyAnswer)
+        {
+          // An error on dialog creation will fire 'failed' event.
+          if (!this._createDialog(response, 'UAC'))
+          {
+            break;
+          }
+
+          this._handleSessionTimersInIncomingResponse(response);
+
+          this._accepted('remote', response);
+          this.sendRequest(JsSIP_C.ACK);
+          this._confirmed('local', null);
+          break;
+        }
+
         if (!response.body)
         {
           this._acceptAndTerminate(response, 400, JsSIP_C.causes.MISSING_SDP);
@@ -2942,6 +3174,161 @@ module.exports = class RTCSession extends EventEmitter
     }
   }
 
+  /**
+   * Reception of a reliable provisional response (RFC 3262 4).
+   * Returns false if the response must be ignored.
+   */
+  _receiveReliableProvisional(response)
+  {
+    const rseq = parseInt(response.getHeader('rseq'));
+    const id = response.call_id + response.from_tag + response.to_tag;
+    const dialog = this._earlyDialogs[id];
+
+    if (isNaN(rseq) || !dialog)
+    {
+      logger.debug('reliable provisional response without RSeq or Contact, processed as unreliable');
+
+      return true;
+    }
+
+    const last_rseq = this._rel100.remoteRSeq[id];
+
+    // Retransmission or response received out of order.
+    if (last_rseq !== undefined && rseq !== last_rseq + 1)
+    {
+      logger.debug(`ignoring reliable provisional response [rseq:${rseq}]`);
+
+      return false;
+    }
+
+    this._rel100.remoteRSeq[id] = rseq;
+
+    dialog.sendRequest(JsSIP_C.PRACK, {
+      extraHeaders  : [ `RAck: ${rseq} ${response.cseq} ${JsSIP_C.INVITE}` ],
+      eventHandlers : {
+        onErrorResponse : (prack_response) =>
+        {
+          logger.debug(`PRACK failed [status_code:${prack_response.status_code}]`);
+        }
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Send a reliable provisional response to the initial INVITE (RFC 3262 3).
+   * It is retransmitted until the corresponding PRACK is received. A new one
+   * is not sent until the previous one has been acknowledged.
+   */
+  _sendReliableProvisional(status_code, body = null)
+  {
+    const request = this._request;
+
+    const send = () => new Promise((resolve) =>
+    {
+      if (this._status !== C.STATUS_WAITING_FOR_ANSWER &&
+          this._status !== C.STATUS_ANSWERED)
+      {
+        resolve();
+
+        return;
+      }
+
+      const rseq = this._rel100.localRSeq === null ?
+        Math.floor(Math.random() * 10000) + 1 : this._rel100.localRSeq + 1;
+      const extraHeaders = [
+        `Contact: ${this._contact}`,
+        'Require: 100rel',
+        `RSeq: ${rseq}`
+      ];
+
+      let interval = Timers.T1;
+      let elapsed = 0;
+
+      const retransmit = () =>
+      {
+        this._timers.rel100Timer = setTimeout(() =>
+        {
+          elapsed += interval;
+
+          // No PRACK received after 64*T1, reject the INVITE.
+          if (elapsed >= 64 * Timers.T1)
+          {
+            this._rel100.pending = null;
+
+            request.reply(504, 'No PRACK Received');
+            this._failed('system', null, JsSIP_C.causes.NO_PRACK);
+
+            resolve();
+
+            return;
+          }
+
+          request.reply(status_code, null, extraHeaders, body);
+
+          interval = Math.min(interval * 2, Timers.T2);
+          retransmit();
+        }, interval);
+      };
+
+      this._rel100.localRSeq = rseq;
+      this._rel100.pending = {
+        rseq,
+        acknowledge : () =>
+        {
+          clearTimeout(this._timers.rel100Timer);
+          this._rel100.pending = null;
+
+          resolve();
+        }
+      };
+
+      request.reply(status_code, null, extraHeaders, body);
+      retransmit();
+    });
+
+    this._rel100.queue = this._rel100.queue.then(send);
+
+    return this._rel100.queue;
+  }
+
+  /**
+   * In dialog PRACK Reception (RFC 3262 3)
+   */
+  _receivePrack(request)
+  {
+    logger.debug('receivePrack()');
+
+    const rack = (request.getHeader('rack') || '').trim().split(/\s+/);
+    const rseq = parseInt(rack[0]);
+    const cseq = parseInt(rack[1]);
+    const pending = this._rel100.pending;
+
+    if (this._direction !== 'incoming' ||
+        cseq !== this._request.cseq || rack[2] !== JsSIP_C.INVITE)
+    {
+      request.reply(481);
+
+      return;
+    }
+
+    if (pending && rseq === pending.rseq)
+    {
+      request.reply(200);
+      pending.acknowledge();
+    }
+    // PRACK for an already acknowledged response.
+    else if (!pending && rseq === this._rel100.localRSeq)
+    {
+      request.reply(200);
+    }
+    else
+    {
+      request.reply(481);
+    }
+  }
+
   /**
    * Send Re-INVITE
    */
@@ -2989,9 +3376,9 @@ module.exports = class RTCSession extends EventEmitter
             {
               onFailed.call(this, response);
             },
-            onTransportError : () =>
+            onTransportError : (cause) =>
             {
-              this.onTransportError(); // Do nothing because session ends.
+              this.onTransportError(cause); // Do nothing because session ends.
             },
             onRequestTimeout : () =>
             {
@@ -3124,9 +3511,9 @@ module.exports = class RTCSession extends EventEmitter
               {
                 onFailed.call(this, response);
               },
-              onTransportError : () =>
+              onTransportError : (cause) =>
               {
-                this.onTransportError(); // Do nothing because session ends.
+                this.onTransportError(cause); // Do nothing because session ends.
               },
               onRequestTimeout : () =>
               {
@@ -3159,9 +3546,9 @@ module.exports = class RTCSession extends EventEmitter
           {
             onFailed.call(this, response);
           },
-          onTransportError : () =>
+          onTransportError : (cause) =>
           {
-            this.onTransportError(); // Do nothing because session ends.
+            this.onTransportError(cause); // Do nothing because session ends.
           },
           onRequestTimeout : () =>
           {
@@ -122,9 +122,9 @@ module.exports = class DTMF extends EventEmitter
         {
           this._session.onRequestTimeout();
         },
-        onTransportError : () =>
+        onTransportError : (cause) =>
         {
-          this._session.onTransportError();
+          this._session.onTransportError(cause);
         },
         onDialogError : () =>
         {
@@ -71,9 +71,9 @@ module.exports = class Info extends EventEmitter
             response
           });
         },
-        onTransportError : () =>
+        onTransportError : (cause) =>
         {
-          this._session.onTransportError();
+          this._session.onTransportError(cause);
         },
         onRequestTimeout : () =>
         {
@@ -57,7 +57,8 @@ module.exports = class ReferSubscriber extends EventEmitter
     // Referred-By header field (if not already present).
     if (!extraHeaders.some((header) => header.toLowerCase().startsWith('referred-by:')))
     {
-      const referredBy = `Referred-By: <${this._session._ua._configuration.uri._scheme}:${this._session._ua._configuration.uri._user}@${this._session._ua._configuration.uri._host}>`;
+      const uri = this._session.account.uri;
+      const referredBy = `Referred-By: <${uri.scheme}:${uri.user}@${uri.host}>`;
 
       extraHeaders.push(referredBy);
     }
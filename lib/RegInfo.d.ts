@@ -0,0 +1,35 @@
+export type RegInfoContactState = 'active' | 'terminated';
+
+export type RegInfoContactEvent =
+  'registered' | 'created' | 'refreshed' | 'shortened' | 'expired' | 'deactivated' |
+  'probation' | 'unregistered' | 'rejected';
+
+export interface RegInfoContact {
+  id: string;
+  state: RegInfoContactState | null;
+  event: RegInfoContactEvent | null;
+  uri: string | null;
+  displayName: string | null;
+  expires: number | null;
+  retryAfter: number | null;
+  durationRegistered: number | null;
+  q: number | null;
+  callId: string | null;
+  cseq: number | null;
+  params: Record<string, string>;
+}
+
+export interface RegInfoRegistration {
+  aor: string;
+  id: string;
+  state: 'init' | 'active' | 'terminated' | null;
+  contacts: RegInfoContact[];
+}
+
+export interface RegInfoDocument {
+  version: number | null;
+  state: 'full' | 'partial' | null;
+  registrations: RegInfoRegistration[];
+}
+
+export function parse(xml: string): RegInfoDocument | null;
@@ -0,0 +1,107 @@
+const XML = require('./XML');
+
+function parseNumber(value)
+{
+  const number = parseFloat(value);
+
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Parse a registered contact of an AOR.
+ */
+function parseContact(contact)
+{
+  const attributes = contact.attributes;
+  const params = {};
+
+  for (const param of XML.getElements(contact.content, 'unknown-param'))
+  {
+    params[XML.getAttribute(param.attributes, 'name')] = XML.unescape(param.content.trim());
+  }
+
+  return {
+    id                 : XML.getAttribute(attributes, 'id'),
+    state              : XML.getAttribute(attributes, 'state'),
+    event              : XML.getAttribute(attributes, 'event'),
+    uri                : XML.getElementText(contact.content, 'uri'),
+    displayName        : XML.getElementText(contact.content, 'display-name'),
+    expires            : parseNumber(XML.getAttribute(attributes, 'expires')),
+    retryAfter         : parseNumber(XML.getAttribute(attributes, 'retry-after')),
+    durationRegistered : parseNumber(XML.getAttribute(attributes, 'duration-registered')),
+    q                  : parseNumber(XML.getAttribute(attributes, 'q')),
+    callId             : XML.getAttribute(attributes, 'callid'),
+    cseq               : parseNumber(XML.getAttribute(attributes, 'cseq')),
+    params
+  };
+}
+
+/**
+ * Parse an application/reginfo+xml body (RFC 3680).
+ *
+ * Returns an object like:
+ *
+ *   {
+ *     version       : 1,
+ *     state         : 'partial',
+ *     registrations :
+ *     [
+ *       {
+ *         aor      : 'sip:alice@example.com',
+ *         id       : 'a7',
+ *         state    : 'active',
+ *         contacts :
+ *         [
+ *           {
+ *             id                 : '76',
+ *             state              : 'terminated',
+ *             event              : 'probation',
+ *             uri                : 'sip:alice@pc887.example.com',
+ *             displayName        : null,
+ *             expires            : null,
+ *             retryAfter         : 60,
+ *             durationRegistered : 7322,
+ *             q                  : 0.8,
+ *             callId             : null,
+ *             cseq               : null,
+ *             params             : { '+sip.instance': '"<urn:uuid:...>"', 'reg-id': '1' }
+ *           }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * or null if the body is not a reginfo document.
+ */
+exports.parse = (xml) =>
+{
+  if (typeof xml !== 'string')
+  {
+    return null;
+  }
+
+  const info = XML.getElements(xml, 'reginfo')[0];
+
+  if (!info)
+  {
+    return null;
+  }
+
+  const version = parseInt(XML.getAttribute(info.attributes, 'version'));
+
+  const registrations = XML.getElements(info.content, 'registration').map((registration) =>
+  {
+    return {
+      aor      : XML.getAttribute(registration.attributes, 'aor'),
+      id       : XML.getAttribute(registration.attributes, 'id'),
+      state    : XML.getAttribute(registration.attributes, 'state'),
+      contacts : XML.getElements(registration.content, 'contact').map(parseContact)
+    };
+  });
+
+  return {
+    version : isNaN(version) ? null : version,
+    state   : XML.getAttribute(info.attributes, 'state'),
+    registrations
+  };
+};
@@ -1,12 +1,45 @@
 import {UA} from './UA'
 import {Transport} from './Transport'
+import {Account} from './Account'
+import {NameAddrHeader} from './NameAddrHeader'
+import {URI} from './URI'
+import {IncomingResponse} from './SIPMessage'
 
 export type ExtraContactParams = Record<string, string | number | boolean>;
 
+export interface RegistrationBinding {
+  uri: URI;
+  contact: NameAddrHeader;
+  expires: number | null;
+  q: number | null;
+  instance_id: string | null;
+  reg_id: number | null;
+  own: boolean;
+}
+
+export interface BindingsRequestError extends Error {
+  cause: string;
+  response: IncomingResponse | null;
+}
+
 export class Registrator {
-  constructor(ua: UA, transport: Transport);
+  constructor(ua: UA, transport: Transport | null, reg_id?: number, account?: Account);
+
+  get reg_id(): number;
+
+  get registered(): boolean;
+
+  get account(): Account;
+
+  get service_route(): string[];
 
   setExtraHeaders(extraHeaders: string[]): void;
 
   setExtraContactParams(extraContactParams: ExtraContactParams): void;
+
+  queryBindings(): Promise<RegistrationBinding[]>;
+
+  removeBinding(binding: RegistrationBinding | URI | string): Promise<RegistrationBinding[]>;
+
+  removeAllBindings(): Promise<RegistrationBinding[]>;
 }
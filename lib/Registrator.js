@@ -3,29 +3,38 @@ const Utils = require('./Utils');
 const JsSIP_C = require('./Constants');
 const SIPMessage = require('./SIPMessage');
 const RequestSender = require('./RequestSender');
+const URI = require('./URI');
+const RegInfo = require('./RegInfo');
 
 const logger = new Logger('Registrator');
 
 const MIN_REGISTER_EXPIRES = 10; // In seconds.
+const DEFAULT_FLOW_TIMER = 120; // In seconds.
 
 module.exports = class Registrator
 {
-  constructor(ua, transport)
+  constructor(ua, transport, reg_id = 1, account = ua.account)
   {
-    // Force reg_id to 1.
-    this._reg_id = 1;
+    // Flow (RFC 5626) identifier.
+    this._reg_id = reg_id;
 
     this._ua = ua;
+    // Register through the given transport (ie: a flow) or the UA one.
     this._transport = transport;
+    this._account = account;
 
-    this._registrar = ua.configuration.registrar_server;
-    this._expires = ua.configuration.register_expires;
+    this._registrar = account.configuration.registrar_server;
+    this._expires = account.configuration.register_expires;
 
     // Call-ID and CSeq values RFC3261 10.2.
     this._call_id = Utils.createRandomToken(22);
     this._cseq = 0;
 
-    this._to_uri = ua.configuration.uri;
+    // Call-ID and CSeq of the bindings query and removal requests.
+    this._bindings_call_id = Utils.createRandomToken(22);
+    this._bindings_cseq = 0;
+
+    this._to_uri = account.configuration.uri;
 
     this._registrationTimer = null;
 
@@ -35,8 +44,35 @@ module.exports = class Registrator
     // Set status.
     this._registered = false;
 
+    // Service route set (RFC 3608) of the last registration.
+    this._service_route = [];
+
+    // Registration event package (RFC 3680) subscription, the version of the
+    // last reginfo document and the last known state of each contact (by id).
+    this._regEventSubscriber = null;
+    this._regEventVersion = null;
+    this._regEventContacts = {};
+
     // Contact header.
-    this._contact = this._ua.contact.toString();
+    this._contact = account.contact.toString();
+
+    // Push notification (RFC 8599) params in the Contact URI.
+    if (ua.configuration.push_notification)
+    {
+      const { provider, param, prid } = ua.configuration.push_notification;
+      let push_params = `;pn-provider=${provider}`;
+
+      if (param)
+      {
+        push_params += `;pn-param=${param}`;
+      }
+      if (prid)
+      {
+        push_params += `;pn-prid=${prid}`;
+      }
+
+      this._contact = this._contact.replace(/>$/, `${push_params}>`);
+    }
 
     // Sip.ice media feature tag (RFC 5768).
     this._contact += ';+sip.ice';
@@ -54,11 +90,27 @@ module.exports = class Registrator
     this._contact += `;+sip.instance=${this._sipInstance}`;
   }
 
+  get reg_id()
+  {
+    return this._reg_id;
+  }
+
   get registered()
   {
     return this._registered;
   }
 
+  get account()
+  {
+    return this._account;
+  }
+
+  // Only valid while registered.
+  get service_route()
+  {
+    return this._registered ? this._service_route : [];
+  }
+
   setExtraHeaders(extraHeaders)
   {
     if (!Array.isArray(extraHeaders))
@@ -128,7 +180,8 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
         'to_uri'   : this._to_uri,
         'call_id'  : this._call_id,
         'cseq'     : (this._cseq += 1),
-        'from_tag' : fromTag
+        'from_tag' : fromTag,
+        'account'  : this._account
       }, extraHeaders);
 
     const request_sender = new RequestSender(this._ua, request, {
@@ -136,9 +189,9 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
       {
         this._registrationFailure(null, JsSIP_C.causes.REQUEST_TIMEOUT);
       },
-      onTransportError : () =>
+      onTransportError : (cause = JsSIP_C.causes.CONNECTION_ERROR) =>
       {
-        this._registrationFailure(null, JsSIP_C.causes.CONNECTION_ERROR);
+        this._registrationFailure(null, cause);
       },
       // Increase the CSeq on authentication.
       onAuthenticated : () =>
@@ -183,19 +236,7 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
               .reduce((a, b) => a.concat(b.parsed), []);
 
             // Get the Contact pointing to us and update the expires value accordingly.
-            // Try to find a matching Contact using sip.instance and reg-id.
-            let contact = contacts.find((element) => (
-              (this._sipInstance === element.getParam('+sip.instance')) &&
-              (this._reg_id === parseInt(element.getParam('reg-id')))
-            ));
-
-            // If no match was found using the sip.instance try comparing the URIs.
-            if (!contact)
-            {
-              contact = contacts.find((element) => (
-                (element.uri.user === this._ua.contact.uri.user)
-              ));
-            }
+            const contact = this._findContact(contacts);
 
             if (!contact)
             {
@@ -204,20 +245,13 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
               break;
             }
 
-            let expires = contact.getParam('expires');
-
-            if (!expires && response.hasHeader('expires'))
-            {
-              expires = response.getHeader('expires');
-            }
+            let expires = contactExpires(contact, response);
 
-            if (!expires)
+            if (expires === null)
             {
               expires = this._expires;
             }
 
-            expires = Number(expires);
-
             if (expires < MIN_REGISTER_EXPIRES)
               expires = MIN_REGISTER_EXPIRES;
 
@@ -239,24 +273,52 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
               }
               else
               {
-                this._ua.emit('registrationExpiring');
+                this._ua.emit('registrationExpiring', { account: this._account });
               }
             }, timeout);
 
+            // RFC 5626 4.4.1. Send keep alives as requested by the registrar, or
+            // every 95-120 seconds if it supports outbound. Left to the main
+            // account when registering through the UA transport.
+            if (this._transport && response.hasHeader('Flow-Timer'))
+            {
+              const flow_timer = parseInt(response.getHeader('Flow-Timer'));
+
+              if (flow_timer > 0)
+              {
+                this._transport.setFlowTimer(flow_timer);
+              }
+            }
+            else if (this._transport &&
+                response.getHeaders('require').some((value) => /\boutbound\b/i.test(value)))
+            {
+              this._transport.setFlowTimer(DEFAULT_FLOW_TIMER);
+            }
+
+            // Replaced on every registration refresh (RFC 3608 6).
+            this._service_route = response.getHeaders('service-route');
+
             // Save gruu values.
             if (contact.hasParam('temp-gruu'))
             {
-              this._ua.contact.temp_gruu = contact.getParam('temp-gruu').replace(/"/g, '');
+              this._account.contact.temp_gruu = contact.getParam('temp-gruu').replace(/"/g, '');
             }
             if (contact.hasParam('pub-gruu'))
             {
-              this._ua.contact.pub_gruu = contact.getParam('pub-gruu').replace(/"/g, '');
+              this._account.contact.pub_gruu = contact.getParam('pub-gruu').replace(/"/g, '');
             }
 
             if (!this._registered)
             {
               this._registered = true;
-              this._ua.registered({ response });
+              this._ua.registered({ response, account: this._account });
+            }
+
+            // Once per account (not per flow).
+            if (this._ua.configuration.subscribe_reg_event &&
+                this._reg_id === 1 && !this._regEventSubscriber)
+            {
+              this._subscribeRegEvent();
             }
 
             break;
@@ -294,7 +356,7 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
           }
         }
       }
-    });
+    }, this._transport);
 
     this._registering = true;
     request_sender.send();
@@ -318,6 +380,8 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
       this._registrationTimer = null;
     }
 
+    this._unsubscribeRegEvent();
+
     const extraHeaders = this._extraHeaders.slice();
 
     if (options.all)
@@ -335,7 +399,8 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
       JsSIP_C.REGISTER, this._registrar, this._ua, {
         'to_uri'  : this._to_uri,
         'call_id' : this._call_id,
-        'cseq'    : (this._cseq += 1)
+        'cseq'    : (this._cseq += 1),
+        'account' : this._account
       }, extraHeaders);
 
     const request_sender = new RequestSender(this._ua, request, {
@@ -343,9 +408,9 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
       {
         this._unregistered(null, JsSIP_C.causes.REQUEST_TIMEOUT);
       },
-      onTransportError : () =>
+      onTransportError : (cause = JsSIP_C.causes.CONNECTION_ERROR) =>
       {
-        this._unregistered(null, JsSIP_C.causes.CONNECTION_ERROR);
+        this._unregistered(null, cause);
       },
       // Increase the CSeq on authentication.
       onAuthenticated : () =>
@@ -370,11 +435,48 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
           }
         }
       }
-    });
+    }, this._transport);
 
     request_sender.send();
   }
 
+  /**
+   * Fetch the current bindings of the AOR (RFC 3261 10.2.3). Resolves with
+   * the list of bindings or rejects with an Error having the failure cause
+   * and response.
+   */
+  queryBindings()
+  {
+    logger.debug('queryBindings()');
+
+    return this._manageBindings([]);
+  }
+
+  /**
+   * Remove the given binding (as given by queryBindings() or its Contact URI),
+   * ie: a stale registration of another device. Resolves with the remaining
+   * bindings.
+   */
+  removeBinding(binding)
+  {
+    logger.debug('removeBinding()');
+
+    const uri = binding && binding.uri ? binding.uri.toString() : String(binding);
+
+    return this._manageBindings([ `Contact: <${uri}>;expires=0` ]);
+  }
+
+  /**
+   * Remove every binding of the AOR, including ours if registered, even when
+   * this registrator is not registered.
+   */
+  removeAllBindings()
+  {
+    logger.debug('removeAllBindings()');
+
+    return this._manageBindings([ 'Contact: *', 'Expires: 0' ]);
+  }
+
   close()
   {
     if (this._registered)
@@ -396,8 +498,314 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
     if (this._registered)
     {
       this._registered = false;
-      this._ua.unregistered({});
+      this._ua.unregistered({ account: this._account });
+    }
+  }
+
+  /**
+   * Send a REGISTER with the given Contact related headers (none for a
+   * query) and resolve with the bindings in the response. It uses its own
+   * Call-ID so it does not interfere with our registration.
+   */
+  _manageBindings(headers)
+  {
+    const request = new SIPMessage.OutgoingRequest(
+      JsSIP_C.REGISTER, this._registrar, this._ua, {
+        'to_uri'  : this._to_uri,
+        'call_id' : this._bindings_call_id,
+        'cseq'    : (this._bindings_cseq += 1),
+        'account' : this._account
+      }, this._extraHeaders.concat(headers));
+
+    return new Promise((resolve, reject) =>
+    {
+      const failed = (response, cause) =>
+      {
+        const error = new Error(`bindings request failed: ${cause}`);
+
+        error.cause = cause;
+        error.response = response;
+
+        reject(error);
+      };
+
+      const request_sender = new RequestSender(this._ua, request, {
+        onRequestTimeout : () =>
+        {
+          failed(null, JsSIP_C.causes.REQUEST_TIMEOUT);
+        },
+        onTransportError : (cause = JsSIP_C.causes.CONNECTION_ERROR) =>
+        {
+          failed(null, cause);
+        },
+        // Increase the CSeq on authentication.
+        onAuthenticated : () =>
+        {
+          this._bindings_cseq += 1;
+        },
+        onReceiveResponse : (response) =>
+        {
+          if (response.status_code < 200)
+          {
+            return;
+          }
+
+          if (response.status_code >= 300)
+          {
+            failed(response, Utils.sipErrorCause(response.status_code));
+
+            return;
+          }
+
+          const contacts = response.headers['Contact'] ? response.headers['Contact']
+            .reduce((a, b) => a.concat(b.parsed), []) : [];
+          const own = this._findContact(contacts);
+
+          // Our binding is gone (ie: removed).
+          if (this._registered && !own)
+          {
+            if (this._registrationTimer !== null)
+            {
+              clearTimeout(this._registrationTimer);
+              this._registrationTimer = null;
+            }
+
+            this._unregistered(response);
+          }
+
+          resolve(contacts.map((contact) => (
+            toBinding(contact, response, contact === own)
+          )));
+        }
+      }, this._transport);
+
+      request_sender.send();
+    });
+  }
+
+  /**
+   * Subscribe to the registration state of the AOR (RFC 3680).
+   */
+  _subscribeRegEvent()
+  {
+    logger.debug('subscribing to the reg event');
+
+    const subscriber = this._ua.subscribe(
+      this._to_uri, 'reg', 'application/reginfo+xml', {
+        account       : this._account,
+        eventHandlers : {
+          notify : ({ body }) =>
+          {
+            if (this._regEventSubscriber === subscriber)
+            {
+              this._receiveRegInfo(body);
+            }
+          },
+          terminated : () =>
+          {
+            // Subscribed again once registered again.
+            if (this._regEventSubscriber === subscriber)
+            {
+              this._regEventSubscriber = null;
+            }
+          }
+        }
+      });
+
+    this._regEventSubscriber = subscriber;
+    this._regEventVersion = null;
+    this._regEventContacts = {};
+  }
+
+  _unsubscribeRegEvent()
+  {
+    const subscriber = this._regEventSubscriber;
+
+    if (subscriber)
+    {
+      this._regEventSubscriber = null;
+      subscriber.terminate();
+    }
+  }
+
+  /**
+   * Emit 'bindingChanged' for every contact of the AOR whose state changed,
+   * and handle the termination of ours.
+   */
+  _receiveRegInfo(body)
+  {
+    const info = RegInfo.parse(body);
+
+    if (!info)
+    {
+      logger.debug('ignoring invalid reginfo body');
+
+      return;
+    }
+
+    // Discard outdated documents (RFC 3680).
+    if (this._regEventVersion !== null && info.version !== null &&
+        info.version <= this._regEventVersion)
+    {
+      logger.debug(`ignoring outdated reginfo [version:${info.version}]`);
+
+      return;
+    }
+
+    this._regEventVersion = info.version;
+
+    const aor = this._to_uri.toAor();
+    const registration = info.registrations.find((element) =>
+    {
+      const uri = URI.parse(element.aor);
+
+      return uri && uri.toAor() === aor;
+    });
+
+    if (!registration)
+    {
+      return;
+    }
+
+    const known = this._regEventContacts;
+    let terminated = null;
+
+    if (info.state === 'full')
+    {
+      this._regEventContacts = {};
+    }
+
+    for (const contact of registration.contacts)
+    {
+      const previous = known[contact.id];
+
+      this._regEventContacts[contact.id] = contact;
+
+      // Unchanged.
+      if (previous &&
+          previous.state === contact.state && previous.event === contact.event)
+      {
+        continue;
+      }
+
+      const own = this._isOwnRegInfoContact(contact);
+
+      this._ua.emit('bindingChanged', {
+        account : this._account,
+        contact,
+        own,
+        info
+      });
+
+      if (own && contact.state === 'terminated')
+      {
+        terminated = contact;
+      }
+    }
+
+    if (terminated)
+    {
+      this._registrationTerminated(terminated);
+    }
+  }
+
+  /**
+   * Our binding was terminated by the registrar (RFC 3680). Register
+   * again unless removed on purpose.
+   */
+  _registrationTerminated({ event, retryAfter })
+  {
+    if (!this._registered)
+    {
+      return;
+    }
+
+    logger.debug(`registration terminated [event:${event}]`);
+
+    if (this._registrationTimer !== null)
+    {
+      clearTimeout(this._registrationTimer);
+      this._registrationTimer = null;
+    }
+
+    this._unregistered(null);
+    this._ua.emit('registrationTerminated', {
+      account     : this._account,
+      reason      : event,
+      retry_after : retryAfter
+    });
+
+    switch (event)
+    {
+      // Re-register right away (ie: to move to another registrar).
+      case 'deactivated':
+      case 'expired':
+      {
+        this.register();
+        break;
+      }
+
+      // Re-register after the given time.
+      case 'probation':
+      {
+        this._registrationTimer = setTimeout(() =>
+        {
+          this._registrationTimer = null;
+          this.register();
+        }, (retryAfter || 0) * 1000);
+        break;
+      }
+
+      // Removed (ie: by an administrator or another device) or rejected.
+      default:
+      {
+        this._unsubscribeRegEvent();
+      }
+    }
+  }
+
+  /**
+   * Whether the given reginfo contact is ours, by sip.instance and reg-id or
+   * else by URI.
+   */
+  _isOwnRegInfoContact({ uri, params })
+  {
+    const instance = params['+sip.instance'];
+
+    if (instance)
+    {
+      const reg_id = params['reg-id'];
+
+      return (instance.replace(/["<>]|urn:uuid:/g, '') ===
+        this._ua.configuration.instance_id) &&
+        (!reg_id || parseInt(reg_id) === this._reg_id);
+    }
+
+    const contact_uri = URI.parse(uri);
+
+    return Boolean(contact_uri) && contact_uri.user === this._account.contact.uri.user;
+  }
+
+  /**
+   * Get the Contact pointing to us among the given ones.
+   */
+  _findContact(contacts)
+  {
+    // Try to find a matching Contact using sip.instance and reg-id.
+    let contact = contacts.find((element) => (
+      (this._sipInstance === element.getParam('+sip.instance')) &&
+      (this._reg_id === parseInt(element.getParam('reg-id')))
+    ));
+
+    // If no match was found using the sip.instance try comparing the URIs.
+    if (!contact)
+    {
+      contact = contacts.find((element) => (
+        (element.uri.user === this._account.contact.uri.user)
+      ));
     }
+
+    return contact;
   }
 
   _registrationFailure(response, cause)
@@ -405,7 +813,8 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
     this._registering = false;
     this._ua.registrationFailed({
       response : response || null,
-      cause
+      cause,
+      account  : this._account
     });
 
     if (this._registered)
@@ -413,7 +822,8 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
       this._registered = false;
       this._ua.unregistered({
         response : response || null,
-        cause
+        cause,
+        account  : this._account
       });
     }
   }
@@ -424,7 +834,47 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
     this._registered = false;
     this._ua.unregistered({
       response : response || null,
-      cause    : cause || null
+      cause    : cause || null,
+      account  : this._account
     });
   }
 };
+
+/**
+ * Expires value (in seconds) of the given Contact of a REGISTER response, or
+ * null if none.
+ */
+function contactExpires(contact, response)
+{
+  if (contact.hasParam('expires'))
+  {
+    return Number(contact.getParam('expires'));
+  }
+
+  if (response.hasHeader('expires'))
+  {
+    return Number(response.getHeader('expires'));
+  }
+
+  return null;
+}
+
+/**
+ * Binding (as given by queryBindings()) of the given Contact of a REGISTER
+ * response.
+ */
+function toBinding(contact, response, own)
+{
+  const instance = contact.getParam('+sip.instance');
+  const reg_id = contact.getParam('reg-id');
+
+  return {
+    uri         : contact.uri,
+    contact,
+    expires     : contactExpires(contact, response),
+    q           : contact.hasParam('q') ? Number(contact.getParam('q')) : null,
+    instance_id : instance ? instance.replace(/^"<|>"$/g, '') : null,
+    reg_id      : reg_id ? parseInt(reg_id) : null,
+    own
+  };
+}
@@ -2,6 +2,7 @@ const Logger = require('./Logger');
 const JsSIP_C = require('./Constants');
 const DigestAuthentication = require('./DigestAuthentication');
 const Transactions = require('./Transactions');
+const Timers = require('./Timers');
 
 const logger = new Logger('RequestSender');
 
@@ -15,15 +16,20 @@ const EventHandlers = {
 
 module.exports = class RequestSender
 {
-  constructor(ua, request, eventHandlers)
+  constructor(ua, request, eventHandlers, transport = null)
   {
     this._ua = ua;
+    // Account whose credentials are used.
+    this._account = request.account;
+    // Send through the given transport (ie: a specific flow) or the UA one.
+    this._transport = transport;
     this._eventHandlers = eventHandlers;
     this._method = request.method;
     this._request = request;
     this._auth = null;
     this._challenged = false;
     this._staled = false;
+    this._tokenRefreshTimer = null;
 
     // Define the undefined handlers.
     for (const handler in EventHandlers)
@@ -52,28 +58,30 @@ module.exports = class RequestSender
   {
     const eventHandlers = {
       onRequestTimeout  : () => { this._eventHandlers.onRequestTimeout(); },
-      onTransportError  : () => { this._eventHandlers.onTransportError(); },
+      onTransportError  : (cause) => { this._eventHandlers.onTransportError(cause); },
       onReceiveResponse : (response) => { this._receiveResponse(response); }
     };
 
+    const transport = this._transport || this._ua.transport;
+
     switch (this._method)
     {
       case 'INVITE':
         this.clientTransaction = new Transactions.InviteClientTransaction(
-          this._ua, this._ua.transport, this._request, eventHandlers);
+          this._ua, transport, this._request, eventHandlers);
         break;
       case 'ACK':
         this.clientTransaction = new Transactions.AckClientTransaction(
-          this._ua, this._ua.transport, this._request, eventHandlers);
+          this._ua, transport, this._request, eventHandlers);
         break;
       default:
         this.clientTransaction = new Transactions.NonInviteClientTransaction(
-          this._ua, this._ua.transport, this._request, eventHandlers);
+          this._ua, transport, this._request, eventHandlers);
     }
     // If authorization JWT is present, use it.
-    if (this._ua._configuration.authorization_jwt)
+    if (this._account.configuration.authorization_jwt)
     {
-      this._request.setHeader('Authorization', this._ua._configuration.authorization_jwt);
+      this._request.setHeader('Authorization', this._account.configuration.authorization_jwt);
     }
 
     this.clientTransaction.send();
@@ -85,85 +93,244 @@ module.exports = class RequestSender
   */
   _receiveResponse(response)
   {
-    let challenge;
-    let authorization_header_name;
     const status_code = response.status_code;
+    const configuration = this._account.configuration;
 
-    /*
-    * Authentication
-    * Authenticate once. _challenged_ flag used to avoid infinite authentications.
-    */
     if ((status_code === 401 || status_code === 407) &&
-        (this._ua.configuration.password !== null || this._ua.configuration.ha1 !== null))
+        (configuration.password !== null || configuration.ha1 !== null ||
+        configuration.authorization_jwt !== null || configuration.credentialsProvider))
     {
+      this._authenticate(response);
+    }
+    else
+    {
+      this._eventHandlers.onReceiveResponse(response);
+    }
+  }
 
-      // Get and parse the appropriate WWW-Authenticate or Proxy-Authenticate header.
-      if (response.status_code === 401)
-      {
-        challenge = response.parseHeader('www-authenticate');
-        authorization_header_name = 'authorization';
-      }
-      else
+  /**
+  * Authenticate the request given a 401 or 407 response.
+  */
+  _authenticate(response)
+  {
+    let challenge_header_name;
+    let authorization_header_name;
+
+    // Get the appropriate WWW-Authenticate or Proxy-Authenticate header.
+    if (response.status_code === 401)
+    {
+      challenge_header_name = 'www-authenticate';
+      authorization_header_name = 'authorization';
+    }
+    else
+    {
+      challenge_header_name = 'proxy-authenticate';
+      authorization_header_name = 'proxy-authorization';
+    }
+
+    // Parse every challenge.
+    const challenges = response.getHeaders(challenge_header_name)
+      .map((value, idx) => response.parseHeader(challenge_header_name, idx))
+      .filter((parsed) => parsed);
+
+    if (challenges.length === 0)
+    {
+      logger.debug(`${response.status_code} with wrong or missing challenge, cannot authenticate`);
+      this._eventHandlers.onReceiveResponse(response);
+
+      return;
+    }
+
+    const configuration = this._account.configuration;
+    const credentialsProvider = configuration.credentialsProvider;
+
+    const bearer = challenges.find((challenge) => challenge.scheme === 'Bearer');
+
+    // Static bearer token rejected (RFC 8898), ask the application for a new one.
+    if (!credentialsProvider && bearer &&
+        configuration.password === null && configuration.ha1 === null)
+    {
+      this._refreshToken(response, bearer, authorization_header_name);
+
+      return;
+    }
+
+    // Static credentials.
+    if (!credentialsProvider)
+    {
+      if (!this._auth)
       {
-        challenge = response.parseHeader('proxy-authenticate');
-        authorization_header_name = 'proxy-authorization';
+        this._auth = new DigestAuthentication({
+          username : configuration.authorization_user,
+          password : configuration.password,
+          realm    : configuration.realm,
+          ha1      : configuration.ha1
+        });
       }
 
-      // Verify it seems a valid challenge.
-      if (!challenge)
-      {
-        logger.debug(`${response.status_code} with wrong or missing challenge, cannot authenticate`);
-        this._eventHandlers.onReceiveResponse(response);
+      this._digestAuthenticate(response, challenges, authorization_header_name, true);
 
-        return;
-      }
+      return;
+    }
 
-      if (!this._challenged || (!this._staled && challenge.stale === true))
-      {
-        if (!this._auth)
-        {
-          this._auth = new DigestAuthentication({
-            username : this._ua.configuration.authorization_user,
-            password : this._ua.configuration.password,
-            realm    : this._ua.configuration.realm,
-            ha1      : this._ua.configuration.ha1
-          });
-        }
+    // Authenticate once (or twice if the nonce was stale).
+    if (this._challenged &&
+        (this._staled || !challenges.some((challenge) => challenge.stale === true)))
+    {
+      this._eventHandlers.onReceiveResponse(response);
+
+      return;
+    }
 
-        // Verify that the challenge is really valid.
-        if (!this._auth.authenticate(this._request, challenge))
+    Promise.resolve()
+      .then(() => credentialsProvider({
+        realm : challenges[0].realm || null,
+        challenges,
+        response
+      }))
+      .then((credentials) =>
+      {
+        if (!credentials)
         {
+          logger.debug('no credentials given by credentialsProvider, cannot authenticate');
           this._eventHandlers.onReceiveResponse(response);
 
           return;
         }
-        this._challenged = true;
-
-        // Update ha1 and realm in the UA.
-        this._ua.set('realm', this._auth.get('realm'));
-        this._ua.set('ha1', this._auth.get('ha1'));
 
-        if (challenge.stale)
+        if (credentials.token)
         {
-          this._staled = true;
+          this._challenged = true;
+          this._resend(authorization_header_name, `Bearer ${credentials.token}`);
+
+          return;
         }
 
-        this._request = this._request.clone();
-        this._request.cseq += 1;
-        this._request.setHeader('cseq', `${this._request.cseq} ${this._method}`);
-        this._request.setHeader(authorization_header_name, this._auth.toString());
+        // These credentials are not stored in the account.
+        this._auth = new DigestAuthentication({
+          username : credentials.username || configuration.authorization_user,
+          password : credentials.password || null,
+          realm    : credentials.realm || challenges[0].realm,
+          ha1      : credentials.ha1 || null
+        });
 
-        this._eventHandlers.onAuthenticated(this._request);
-        this.send();
-      }
-      else
+        this._digestAuthenticate(response, challenges, authorization_header_name, false);
+      }, (error) =>
       {
+        logger.warn(`credentialsProvider failed, cannot authenticate: ${error}`);
         this._eventHandlers.onReceiveResponse(response);
+      });
+  }
+
+  /**
+  * Emit 'tokenExpired' in the UA and send the request again once the
+  * application provides a new token. If no token is given within 64*T1
+  * the response is passed to the applicant.
+  */
+  _refreshToken(response, challenge, authorization_header_name)
+  {
+    // Authenticate once.
+    if (this._challenged || this._ua.listeners('tokenExpired').length === 0)
+    {
+      this._eventHandlers.onReceiveResponse(response);
+
+      return;
+    }
+
+    this._tokenRefreshTimer = setTimeout(() =>
+    {
+      this._tokenRefreshTimer = null;
+
+      logger.debug('bearer token not refreshed, cannot authenticate');
+      this._eventHandlers.onReceiveResponse(response);
+    }, Timers.TIMER_F);
+
+    const refresh = (token) =>
+    {
+      if (!this._tokenRefreshTimer)
+      {
+        return;
       }
+
+      clearTimeout(this._tokenRefreshTimer);
+      this._tokenRefreshTimer = null;
+
+      // Use the new token for further requests.
+      this._account.set('authorization_jwt', `Bearer ${token}`);
+
+      this._challenged = true;
+      this._resend(authorization_header_name, `Bearer ${token}`);
+    };
+
+    this._ua.tokenExpired({
+      response,
+      challenge,
+      account : this._account,
+      refresh
+    });
+  }
+
+  /**
+  * Authenticate the request with Digest. If _store_ is true the obtained
+  * realm and ha1 are stored in the account.
+  */
+  _digestAuthenticate(response, challenges, authorization_header_name, store)
+  {
+    // Choose the strongest challenge.
+    const challenge = this._auth.selectChallenge(challenges);
+
+    // Verify it seems a valid challenge.
+    if (!challenge)
+    {
+      logger.debug(`${response.status_code} with unsupported challenge, cannot authenticate`);
+      this._eventHandlers.onReceiveResponse(response);
+
+      return;
     }
-    else
+
+    // Authenticate once. _challenged_ flag used to avoid infinite authentications.
+    if (this._challenged && (this._staled || challenge.stale !== true))
     {
       this._eventHandlers.onReceiveResponse(response);
+
+      return;
     }
+
+    // Verify that the challenge is really valid.
+    if (!this._auth.authenticate(this._request, challenge))
+    {
+      this._eventHandlers.onReceiveResponse(response);
+
+      return;
+    }
+    this._challenged = true;
+
+    // Update ha1 and realm in the account.
+    if (store)
+    {
+      this._account.set('realm', this._auth.get('realm'));
+      this._account.set('ha1', this._auth.get('ha1'));
+    }
+
+    if (challenge.stale)
+    {
+      this._staled = true;
+    }
+
+    this._resend(authorization_header_name, this._auth.toString());
+  }
+
+  /**
+  * Send the request again with the given authorization header.
+  */
+  _resend(authorization_header_name, authorization)
+  {
+    this._request = this._request.clone();
+    this._request.cseq += 1;
+    this._request.setHeader('cseq', `${this._request.cseq} ${this._method}`);
+    this._request.setHeader(authorization_header_name, authorization);
+
+    this._eventHandlers.onAuthenticated(this._request);
+    this.send();
   }
 };
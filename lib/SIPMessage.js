@@ -14,6 +14,7 @@ const logger = new Logger('SIPMessage');
  * -param {Object} params parameters that will have priority over ua.configuration parameters:
  * <br>
  *  - cseq, call_id, from_tag, from_uri, from_display_name, to_uri, to_tag, route_set
+ *  - account: sending account, the main one by default
  * -param {Object} [headers] extra headers
  * -param {String} [body]
  */
@@ -30,6 +31,7 @@ class OutgoingRequest
     params = params || {};
 
     this.ua = ua;
+    this.account = params.account || ua.account;
     this.headers = {};
     this.method = method;
     this.ruri = ruri;
@@ -48,9 +50,25 @@ class OutgoingRequest
     {
       this.setHeader('route', params.route_set);
     }
-    else if (ua.configuration.use_preloaded_route)
+    else
     {
-      this.setHeader('route', `<${ua.transport.sip_uri};lr>`);
+      const route_set = [];
+
+      if (ua.configuration.use_preloaded_route)
+      {
+        route_set.push(`<${ua.transport.sip_uri};lr>`);
+      }
+
+      // Service route (RFC 3608) of the registration, but for REGISTER.
+      if (method !== JsSIP_C.REGISTER)
+      {
+        route_set.push(...this.account.service_route);
+      }
+
+      if (route_set.length > 0)
+      {
+        this.setHeader('route', route_set);
+      }
     }
 
     // Via.
@@ -69,7 +87,7 @@ class OutgoingRequest
     this.setHeader('to', this.to.toString());
 
     // From.
-    const from_uri = params.from_uri || ua.configuration.uri;
+    const from_uri = params.from_uri || this.account.configuration.uri;
     const from_params = { tag: params.from_tag || Utils.newTag() };
     let display_name;
 
@@ -77,9 +95,9 @@ class OutgoingRequest
     {
       display_name = params.from_display_name;
     }
-    else if (ua.configuration.display_name)
+    else if (this.account.configuration.display_name)
     {
-      display_name = ua.configuration.display_name;
+      display_name = this.account.configuration.display_name;
     }
     else
     {
@@ -272,10 +290,14 @@ class OutgoingRequest
         {
           supported.push('timer');
         }
-        if (this.ua.contact.pub_gruu || this.ua.contact.temp_gruu)
+        if (this.account.contact.pub_gruu || this.account.contact.temp_gruu)
         {
           supported.push('gruu');
         }
+        if (this.rel100)
+        {
+          supported.push('100rel');
+        }
         supported.push('ice', 'replaces');
         break;
       case JsSIP_C.UPDATE:
@@ -313,7 +335,12 @@ class OutgoingRequest
 
   clone()
   {
-    const request = new OutgoingRequest(this.method, this.ruri, this.ua);
+    const request = new OutgoingRequest(this.method, this.ruri, this.ua, {
+      account : this.account
+    });
+
+    // The very same headers (ie: no Route learnt since then).
+    request.headers = {};
 
     Object.keys(this.headers).forEach(function(name)
     {
@@ -338,6 +365,9 @@ class InitialOutgoingInviteRequest extends OutgoingRequest
     super(JsSIP_C.INVITE, ruri, ua, params, extraHeaders, body);
 
     this.transaction = null;
+
+    // Whether reliable provisional responses (RFC 3262) are supported.
+    this.rel100 = false;
   }
 
   cancel(reason)
@@ -347,7 +377,12 @@ class InitialOutgoingInviteRequest extends OutgoingRequest
 
   clone()
   {
-    const request = new InitialOutgoingInviteRequest(this.ruri, this.ua);
+    const request = new InitialOutgoingInviteRequest(this.ruri, this.ua, {
+      account : this.account
+    });
+
+    // The very same headers (ie: no Route learnt since then).
+    request.headers = {};
 
     Object.keys(this.headers).forEach(function(name)
     {
@@ -360,6 +395,7 @@ class InitialOutgoingInviteRequest extends OutgoingRequest
     request.from = this.from;
     request.call_id = this.call_id;
     request.cseq = this.cseq;
+    request.rel100 = this.rel100;
 
     request.transaction = this.transaction;
 
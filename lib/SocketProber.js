@@ -0,0 +1,200 @@
+const Logger = require('./Logger');
+const JsSIP_C = require('./Constants');
+const SIPMessage = require('./SIPMessage');
+const URI = require('./URI');
+const RequestSender = require('./RequestSender');
+const Transport = require('./Transport');
+
+const logger = new Logger('SocketProber');
+
+/**
+ * Periodically sends an OPTIONS request over each socket of a transport and
+ * records the round-trip time, or the failure, in the transport. Idle
+ * candidate sockets are connected just for the probe.
+ */
+module.exports = class SocketProber
+{
+  constructor(ua, transport, interval, ondata)
+  {
+    this._ua = ua;
+    this._transport = transport;
+    // Interval in seconds between probes.
+    this._interval = interval;
+    // Deliver the data received by probe connections to the UA.
+    this._ondata = ondata;
+    this._timer = null;
+    // Probes in progress by socket, { cancel }.
+    this._probing = new Map();
+  }
+
+  start()
+  {
+    if (this._timer !== null)
+    {
+      return;
+    }
+
+    this._timer = setInterval(() => this.probe(), this._interval * 1000);
+  }
+
+  stop()
+  {
+    clearInterval(this._timer);
+    this._timer = null;
+
+    for (const socket of Array.from(this._probing.keys()))
+    {
+      this.release(socket);
+    }
+  }
+
+  /**
+   * Cancel the probe of the given socket, if any, without recording a result.
+   * Must be called before the transport uses an idle socket, so the probe
+   * connection gets out of the way.
+   */
+  release(socket)
+  {
+    const probe = this._probing.get(socket);
+
+    if (probe)
+    {
+      this._probing.delete(socket);
+      probe.cancel();
+    }
+  }
+
+  /**
+   * Probe every socket of the transport not being probed already.
+   */
+  probe()
+  {
+    if (!this._transport.isConnected())
+    {
+      return;
+    }
+
+    for (const { socket } of this._transport.sockets)
+    {
+      if (this._probing.has(socket))
+      {
+        continue;
+      }
+
+      if (socket === this._transport.socket)
+      {
+        const probe = { cancel: () => {} };
+
+        this._probing.set(socket, probe);
+        this._sendOptions(socket, this._transport, probe, () => {});
+      }
+      else
+      {
+        this._probeIdle(socket);
+      }
+    }
+  }
+
+  /**
+   * Connect an idle socket, probe it and disconnect it.
+   */
+  _probeIdle(socket)
+  {
+    logger.debug(`probing idle socket ${socket.url}`);
+
+    const transport = new Transport({ socket });
+    let sending = false;
+    let done = false;
+
+    // Disconnect, also detaching the probe handlers from the socket.
+    const close = () =>
+    {
+      if (done)
+      {
+        return;
+      }
+
+      done = true;
+      transport.disconnect();
+    };
+
+    const probe = { cancel: close };
+
+    transport.onconnecting = () => {};
+    transport.onconnect = () =>
+    {
+      sending = true;
+      this._sendOptions(socket, transport, probe, close);
+    };
+    transport.ondisconnect = () =>
+    {
+      // Could not connect. Otherwise the OPTIONS transaction fails by itself.
+      if (!done && !sending)
+      {
+        this._probing.delete(socket);
+        this._transport.setProbeResult(socket, null);
+      }
+
+      close();
+    };
+    transport.ondata = this._ondata;
+
+    this._probing.set(socket, probe);
+    transport.connect();
+  }
+
+  /**
+   * Send an OPTIONS request answered by the server at the other side of the
+   * socket and record the round-trip time, unless the probe is cancelled.
+   */
+  _sendOptions(socket, transport, probe, onFinished)
+  {
+    const request = new SIPMessage.OutgoingRequest(
+      JsSIP_C.OPTIONS, URI.parse(socket.sip_uri), this._ua);
+    let sent_at = null;
+
+    // Answered by the first proxy (RFC 3261 11).
+    request.setHeader('max-forwards', 0);
+
+    const finish = (rtt) =>
+    {
+      if (this._probing.get(socket) !== probe)
+      {
+        return;
+      }
+
+      this._probing.delete(socket);
+      this._transport.setProbeResult(socket, rtt);
+      onFinished();
+    };
+
+    const onFailure = () =>
+    {
+      logger.debug(`probe of socket ${socket.url} failed`);
+
+      finish(null);
+    };
+
+    const request_sender = new RequestSender(this._ua, request, {
+      onRequestTimeout  : onFailure,
+      onTransportError  : onFailure,
+      onReceiveResponse : (response) =>
+      {
+        // Any final response proves the server alive.
+        if (response.status_code < 200)
+        {
+          return;
+        }
+
+        const rtt = Date.now() - sent_at;
+
+        logger.debug(`probe of socket ${socket.url} took ${rtt} ms`);
+
+        finish(rtt);
+      }
+    }, transport);
+
+    sent_at = Date.now();
+    request_sender.send();
+  }
+};
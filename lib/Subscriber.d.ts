@@ -0,0 +1,90 @@
+import {EventEmitter} from 'events'
+
+import {ExtraHeaders} from './RTCSession'
+import {IncomingRequest, IncomingResponse} from './SIPMessage'
+import {Account} from './Account'
+
+declare enum SubscriberTerminatedCode {
+  SUBSCRIBE_RESPONSE_TIMEOUT = 0,
+  SUBSCRIBE_TRANSPORT_ERROR = 1,
+  SUBSCRIBE_NON_OK_RESPONSE = 2,
+  SUBSCRIBE_WRONG_OK_RESPONSE = 3,
+  SUBSCRIBE_AUTHENTICATION_FAILED = 4,
+  UNSUBSCRIBE_TIMEOUT = 5,
+  FINAL_NOTIFY_RECEIVED = 6,
+  RECEIVE_BAD_NOTIFY = 7,
+  DIALOG_ERROR = 8
+}
+
+declare enum SubscriberState {
+  STATE_INIT = 0,
+  STATE_NOTIFY_WAIT = 1,
+  STATE_PENDING = 2,
+  STATE_ACTIVE = 3,
+  STATE_TERMINATED = 4
+}
+
+export interface SubscriberAcceptedEvent {
+  response: IncomingResponse;
+}
+
+export interface SubscriberNotifyEvent {
+  request: IncomingRequest;
+  body: string;
+  contentType?: string;
+  isFinal: boolean;
+}
+
+export interface SubscriberTerminatedEvent {
+  terminationCode: SubscriberTerminatedCode;
+  reason: string | null;
+  retryAfter?: number;
+}
+
+export type SubscriberAcceptedListener = (event: SubscriberAcceptedEvent) => void;
+export type SubscriberStateListener = () => void;
+export type SubscriberNotifyListener = (event: SubscriberNotifyEvent) => void;
+export type SubscriberTerminatedListener = (event: SubscriberTerminatedEvent) => void;
+
+export interface SubscriberEventMap {
+  accepted: SubscriberAcceptedListener;
+  pending: SubscriberStateListener;
+  active: SubscriberStateListener;
+  notify: SubscriberNotifyListener;
+  terminated: SubscriberTerminatedListener;
+}
+
+export interface SubscriberOptions extends ExtraHeaders {
+  expires?: number;
+  contentType?: string;
+  allowEvents?: string;
+  body?: string;
+  account?: Account | string;
+  eventHandlers?: Partial<SubscriberEventMap>;
+}
+
+export class Subscriber extends EventEmitter {
+  static get C(): typeof SubscriberTerminatedCode & typeof SubscriberState;
+
+  get C(): typeof SubscriberTerminatedCode & typeof SubscriberState;
+
+  get id(): string;
+
+  get state(): SubscriberState;
+
+  get event_name(): string;
+
+  get account(): Account;
+
+  get data(): any;
+
+  set data(_data: any);
+
+  isTerminated(): boolean;
+
+  subscribe(body?: string): void;
+
+  terminate(body?: string): void;
+
+  on<T extends keyof SubscriberEventMap>(type: T, listener: SubscriberEventMap[T]): this;
+}
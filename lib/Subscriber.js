@@ -0,0 +1,660 @@
+const EventEmitter = require('events').EventEmitter;
+const Logger = require('./Logger');
+const JsSIP_C = require('./Constants');
+const Utils = require('./Utils');
+const Grammar = require('./Grammar');
+const SIPMessage = require('./SIPMessage');
+const RequestSender = require('./RequestSender');
+const Dialog = require('./Dialog');
+
+const logger = new Logger('Subscriber');
+
+const C = {
+  // Termination codes.
+  SUBSCRIBE_RESPONSE_TIMEOUT      : 0,
+  SUBSCRIBE_TRANSPORT_ERROR       : 1,
+  SUBSCRIBE_NON_OK_RESPONSE       : 2,
+  SUBSCRIBE_WRONG_OK_RESPONSE     : 3,
+  SUBSCRIBE_AUTHENTICATION_FAILED : 4,
+  UNSUBSCRIBE_TIMEOUT             : 5,
+  FINAL_NOTIFY_RECEIVED           : 6,
+  RECEIVE_BAD_NOTIFY              : 7,
+  DIALOG_ERROR                    : 8,
+
+  // Subscriber states.
+  STATE_INIT        : 0,
+  STATE_NOTIFY_WAIT : 1,
+  STATE_PENDING     : 2,
+  STATE_ACTIVE      : 3,
+  STATE_TERMINATED  : 4
+};
+
+const DEFAULT_EXPIRES = 900; // In seconds.
+
+// Time to wait for the final NOTIFY after un-SUBSCRIBE.
+const UNSUBSCRIBE_WAIT_TIME = 32000; // In milliseconds.
+
+/**
+ * RFC 6665 subscriber.
+ * Sends SUBSCRIBE requests, keeps the subscription refreshed and processes
+ * the NOTIFY requests received within the subscription dialog.
+ */
+module.exports = class Subscriber extends EventEmitter
+{
+  // Expose C object.
+  static get C()
+  {
+    return C;
+  }
+
+  constructor(ua, target, eventName, accept, options = {})
+  {
+    logger.debug('new()');
+
+    super();
+
+    const originalTarget = target;
+
+    if (target === undefined || eventName === undefined || accept === undefined)
+    {
+      throw new TypeError('Not enough arguments');
+    }
+
+    // Check target validity.
+    target = ua.normalizeTarget(target);
+    if (!target)
+    {
+      throw new TypeError(`Invalid target: ${originalTarget}`);
+    }
+
+    const parsed = Grammar.parse(eventName, 'Event');
+
+    if (parsed === -1)
+    {
+      throw new TypeError(`Invalid event name: ${eventName}`);
+    }
+
+    const extraHeaders = Utils.cloneArray(options.extraHeaders);
+    const eventHandlers = Utils.cloneObject(options.eventHandlers);
+
+    this._ua = ua;
+    this._account = ua._getAccount(options.account);
+    this._target = target;
+    this._event_name = parsed.event;
+    this._event_id = parsed.params && parsed.params.id;
+    this._accept = accept;
+    this._content_type = options.contentType || null;
+
+    this._expires = options.expires;
+    if (this._expires !== 0 && !this._expires)
+    {
+      this._expires = DEFAULT_EXPIRES;
+    }
+
+    // Call-ID, tags and CSeq of the initial SUBSCRIBE.
+    this._call_id = Utils.createRandomToken(22);
+    this._from_tag = Utils.newTag();
+    this._cseq = Math.floor(Math.random() * 10000) + 1;
+
+    this._state = C.STATE_INIT;
+    this._dialog = null;
+    this._accepted = false;
+    this._terminated = false;
+
+    // Refresh timer and expiration timestamp of the subscription.
+    this._expiresTimer = null;
+    this._expiresTimestamp = null;
+
+    // Timer waiting for the final NOTIFY after un-SUBSCRIBE.
+    this._unsubscribeTimer = null;
+
+    // Subsequent SUBSCRIBE requests issued before the dialog is created.
+    this._queue = [];
+
+    let eventValue = this._event_name;
+
+    if (this._event_id)
+    {
+      eventValue += `;id=${this._event_id}`;
+    }
+
+    this._headers = extraHeaders.concat([
+      `Event: ${eventValue}`,
+      `Accept: ${this._accept}`
+    ]);
+
+    if (!this._headers.some((header) => header.toLowerCase().startsWith('contact:')))
+    {
+      this._headers.push(`Contact: ${this._account.contact.toString()}`);
+    }
+
+    if (options.allowEvents)
+    {
+      this._headers.push(`Allow-Events: ${options.allowEvents}`);
+    }
+
+    // Custom subscriber empty object for high level use.
+    this._data = {};
+
+    // Set event handlers.
+    for (const event in eventHandlers)
+    {
+      if (Object.prototype.hasOwnProperty.call(eventHandlers, event))
+      {
+        this.on(event, eventHandlers[event]);
+      }
+    }
+
+    this._ua.newSubscriber(this);
+  }
+
+  get C()
+  {
+    return C;
+  }
+
+  get id()
+  {
+    return `${this._call_id}${this._from_tag}`;
+  }
+
+  get state()
+  {
+    return this._state;
+  }
+
+  get event_name()
+  {
+    return this._event_name;
+  }
+
+  get account()
+  {
+    return this._account;
+  }
+
+  get data()
+  {
+    return this._data;
+  }
+
+  set data(_data)
+  {
+    this._data = _data;
+  }
+
+  isTerminated()
+  {
+    return this._terminated;
+  }
+
+  /**
+   * Send the initial SUBSCRIBE or refresh the subscription.
+   */
+  subscribe(body = null)
+  {
+    logger.debug('subscribe()');
+
+    if (this._terminated)
+    {
+      logger.debug('subscription already terminated');
+
+      return;
+    }
+
+    if (this._state === C.STATE_INIT)
+    {
+      this._sendInitialSubscribe(body);
+    }
+    else
+    {
+      this._sendSubsequentSubscribe(this._expires, body);
+    }
+  }
+
+  /**
+   * Terminate the subscription by sending a SUBSCRIBE with Expires: 0.
+   */
+  terminate(body = null)
+  {
+    logger.debug('terminate()');
+
+    if (this._terminated || this._unsubscribeTimer !== null)
+    {
+      return;
+    }
+
+    // Nothing was sent yet.
+    if (this._state === C.STATE_INIT)
+    {
+      this._dialogTerminated(C.FINAL_NOTIFY_RECEIVED);
+
+      return;
+    }
+
+    this._clearExpiresTimer();
+
+    this._sendSubsequentSubscribe(0, body);
+
+    // Wait for the final NOTIFY.
+    this._unsubscribeTimer = setTimeout(() =>
+    {
+      this._unsubscribeTimer = null;
+      this._dialogTerminated(C.UNSUBSCRIBE_TIMEOUT);
+    }, UNSUBSCRIBE_WAIT_TIME);
+  }
+
+  /**
+   * In-dialog request received (called by the UA and the Dialog).
+   */
+  receiveRequest(request)
+  {
+    if (request.method !== JsSIP_C.NOTIFY)
+    {
+      logger.warn('received non-NOTIFY request');
+      request.reply(405);
+
+      return;
+    }
+
+    // RFC 6665 8.2.1. Check that the Event header matches the subscription.
+    const event = request.parseHeader('event');
+
+    if (!event)
+    {
+      logger.debug('NOTIFY without Event header');
+      request.reply(400);
+
+      return;
+    }
+
+    const event_id = event.params && event.params.id;
+
+    if (event.event !== this._event_name || event_id !== this._event_id)
+    {
+      logger.debug('NOTIFY with non matching Event header');
+      request.reply(489);
+
+      return;
+    }
+
+    const subscription_state = request.parseHeader('subscription-state');
+
+    if (!subscription_state)
+    {
+      logger.debug('NOTIFY without Subscription-State header');
+      request.reply(400);
+
+      return;
+    }
+
+    // The first NOTIFY may arrive before the 2xx response to SUBSCRIBE.
+    if (!this._dialog)
+    {
+      const dialog = new Dialog(this, request, 'UAS');
+
+      if (dialog.error)
+      {
+        logger.warn(dialog.error);
+        request.reply(400);
+        this._dialogTerminated(C.RECEIVE_BAD_NOTIFY);
+
+        return;
+      }
+
+      this._dialog = dialog;
+      this._dialog.local_seqnum = this._cseq;
+      this._sendQueuedSubscribes();
+    }
+
+    request.reply(200);
+
+    const prev_state = this._state;
+    const new_state = this._stateStringToNumber(subscription_state.state);
+
+    if (new_state !== C.STATE_TERMINATED)
+    {
+      this._state = new_state;
+
+      // The notifier may shorten the subscription duration.
+      if (subscription_state.expires !== undefined && this._unsubscribeTimer === null)
+      {
+        const expires = subscription_state.expires;
+        const expires_timestamp = new Date().getTime() + (expires * 1000);
+
+        if (this._expiresTimestamp === null ||
+            this._expiresTimestamp - expires_timestamp > 2000)
+        {
+          this._scheduleSubscribe(expires);
+        }
+      }
+
+      if (prev_state !== C.STATE_PENDING && new_state === C.STATE_PENDING)
+      {
+        logger.debug('emit "pending"');
+
+        this.emit('pending');
+      }
+      else if (prev_state !== C.STATE_ACTIVE && new_state === C.STATE_ACTIVE)
+      {
+        logger.debug('emit "active"');
+
+        this.emit('active');
+      }
+    }
+
+    const is_final = new_state === C.STATE_TERMINATED;
+
+    // Emit "notify" only for NOTIFY requests carrying a body.
+    if (request.body)
+    {
+      logger.debug('emit "notify"');
+
+      this.emit('notify', {
+        request,
+        body        : request.body,
+        contentType : request.getHeader('content-type'),
+        isFinal     : is_final
+      });
+    }
+
+    if (is_final)
+    {
+      let retry_after;
+
+      if (subscription_state.params &&
+          subscription_state.params['retry-after'] !== undefined)
+      {
+        retry_after = parseInt(subscription_state.params['retry-after']);
+      }
+
+      this._dialogTerminated(
+        C.FINAL_NOTIFY_RECEIVED, subscription_state.reason, retry_after);
+    }
+  }
+
+  onTransportError()
+  {
+    this._dialogTerminated(C.SUBSCRIBE_TRANSPORT_ERROR);
+  }
+
+  onRequestTimeout()
+  {
+    this._dialogTerminated(C.SUBSCRIBE_RESPONSE_TIMEOUT);
+  }
+
+  onDialogError()
+  {
+    this._dialogTerminated(C.DIALOG_ERROR);
+  }
+
+  /**
+   * Private API.
+   */
+
+  _sendInitialSubscribe(body)
+  {
+    const extraHeaders = this._headers.slice();
+
+    extraHeaders.push(`Expires: ${this._expires}`);
+
+    if (body && this._content_type)
+    {
+      extraHeaders.push(`Content-Type: ${this._content_type}`);
+    }
+
+    const request = new SIPMessage.OutgoingRequest(
+      JsSIP_C.SUBSCRIBE, this._target, this._ua, {
+        'call_id'  : this._call_id,
+        'from_tag' : this._from_tag,
+        'cseq'     : this._cseq,
+        'account'  : this._account
+      }, extraHeaders, body);
+
+    const request_sender = new RequestSender(this._ua, request, {
+      onRequestTimeout : () =>
+      {
+        this.onRequestTimeout();
+      },
+      onTransportError : () =>
+      {
+        this.onTransportError();
+      },
+      // Increase the CSeq on authentication.
+      onAuthenticated : () =>
+      {
+        this._cseq += 1;
+      },
+      onReceiveResponse : (response) =>
+      {
+        this._receiveSubscribeResponse(response);
+      }
+    });
+
+    this._state = C.STATE_NOTIFY_WAIT;
+
+    request_sender.send();
+  }
+
+  _sendSubsequentSubscribe(expires, body)
+  {
+    // Wait for the dialog to be created.
+    if (!this._dialog)
+    {
+      this._queue.push({ expires, body });
+
+      return;
+    }
+
+    const extraHeaders = this._headers.slice();
+
+    extraHeaders.push(`Expires: ${expires}`);
+
+    if (body && this._content_type)
+    {
+      extraHeaders.push(`Content-Type: ${this._content_type}`);
+    }
+
+    this._dialog.sendRequest(JsSIP_C.SUBSCRIBE, {
+      extraHeaders,
+      body,
+      eventHandlers : {
+        onRequestTimeout : () =>
+        {
+          this.onRequestTimeout();
+        },
+        onTransportError : () =>
+        {
+          this.onTransportError();
+        },
+        onDialogError : () =>
+        {
+          this.onDialogError();
+        },
+        onSuccessResponse : (response) =>
+        {
+          this._receiveSubscribeResponse(response);
+        },
+        onErrorResponse : (response) =>
+        {
+          this._receiveSubscribeResponse(response);
+        }
+      }
+    });
+  }
+
+  _sendQueuedSubscribes()
+  {
+    const queue = this._queue;
+
+    this._queue = [];
+
+    for (const { expires, body } of queue)
+    {
+      this._sendSubsequentSubscribe(expires, body);
+    }
+  }
+
+  _receiveSubscribeResponse(response)
+  {
+    if (this._terminated)
+    {
+      return;
+    }
+
+    switch (true)
+    {
+      case /^1[0-9]{2}$/.test(response.status_code):
+      {
+        // Ignore provisional responses.
+        break;
+      }
+
+      case /^2[0-9]{2}$/.test(response.status_code):
+      {
+        if (!this._dialog)
+        {
+          const dialog = new Dialog(this, response, 'UAC');
+
+          if (dialog.error)
+          {
+            logger.warn(dialog.error);
+            this._dialogTerminated(C.SUBSCRIBE_WRONG_OK_RESPONSE);
+
+            break;
+          }
+
+          this._dialog = dialog;
+          this._sendQueuedSubscribes();
+        }
+
+        if (!this._accepted)
+        {
+          this._accepted = true;
+
+          logger.debug('emit "accepted"');
+
+          this.emit('accepted', { response });
+        }
+
+        // Response to un-SUBSCRIBE, wait for the final NOTIFY.
+        if (this._unsubscribeTimer !== null)
+        {
+          break;
+        }
+
+        let expires = response.getHeader('expires');
+
+        if (expires !== 0 && !expires)
+        {
+          logger.warn('response to SUBSCRIBE without Expires header');
+          expires = this._expires;
+        }
+
+        expires = Number(expires);
+
+        if (expires > 0)
+        {
+          this._scheduleSubscribe(expires);
+        }
+
+        break;
+      }
+
+      case /^(401|407)$/.test(response.status_code):
+      {
+        this._dialogTerminated(C.SUBSCRIBE_AUTHENTICATION_FAILED);
+
+        break;
+      }
+
+      default:
+      {
+        this._dialogTerminated(C.SUBSCRIBE_NON_OK_RESPONSE);
+      }
+    }
+  }
+
+  _scheduleSubscribe(expires)
+  {
+    // Refresh the subscription before it expires, as done for registrations.
+    const timeout = expires > 64
+      ? (expires * 1000 / 2) +
+        Math.floor(((expires / 2) - 32) * 1000 * Math.random())
+      : Math.max((expires * 1000) - 5000, expires * 1000 / 2);
+
+    this._clearExpiresTimer();
+
+    this._expiresTimestamp = new Date().getTime() + (expires * 1000);
+
+    logger.debug(`next SUBSCRIBE refresh in ${Math.floor(timeout / 1000)} seconds`);
+
+    this._expiresTimer = setTimeout(() =>
+    {
+      this._expiresTimer = null;
+      this._sendSubsequentSubscribe(this._expires, null);
+    }, timeout);
+  }
+
+  _clearExpiresTimer()
+  {
+    if (this._expiresTimer !== null)
+    {
+      clearTimeout(this._expiresTimer);
+      this._expiresTimer = null;
+    }
+
+    this._expiresTimestamp = null;
+  }
+
+  _dialogTerminated(terminationCode, reason, retryAfter)
+  {
+    if (this._terminated)
+    {
+      return;
+    }
+
+    this._terminated = true;
+    this._state = C.STATE_TERMINATED;
+
+    this._clearExpiresTimer();
+
+    if (this._unsubscribeTimer !== null)
+    {
+      clearTimeout(this._unsubscribeTimer);
+      this._unsubscribeTimer = null;
+    }
+
+    if (this._dialog)
+    {
+      this._dialog.terminate();
+      this._dialog = null;
+    }
+
+    this._ua.destroySubscriber(this);
+
+    logger.debug(`emit "terminated" [code:${terminationCode}]`);
+
+    this.emit('terminated', {
+      terminationCode,
+      reason : reason || null,
+      retryAfter
+    });
+  }
+
+  _stateStringToNumber(state)
+  {
+    switch (state.toLowerCase())
+    {
+      case 'active':
+        return C.STATE_ACTIVE;
+
+      case 'terminated':
+        return C.STATE_TERMINATED;
+
+      // RFC 6665 4.1.3. Unknown states are treated as "pending".
+      default:
+        return C.STATE_PENDING;
+    }
+  }
+};
@@ -0,0 +1,24 @@
+import { Socket } from './Socket';
+
+export interface TcpConnectionOptions {
+  host: string;
+  port: number;
+  tls: boolean;
+}
+
+export interface TcpStream {
+  on(event: 'connect' | 'secureConnect', listener: () => void): any;
+  on(event: 'data', listener: (data: string | Uint8Array) => void): any;
+  on(event: 'close', listener: (had_error?: boolean) => void): any;
+  on(event: 'error', listener: (error: Error) => void): any;
+  write(data: string): any;
+  destroy(): any;
+}
+
+export interface TcpSocketInterfaceOptions {
+  createConnection: (options: TcpConnectionOptions) => TcpStream;
+}
+
+export class TcpSocketInterface extends Socket {
+  constructor(url: string, options: TcpSocketInterfaceOptions)
+}
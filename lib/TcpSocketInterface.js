@@ -0,0 +1,378 @@
+const Logger = require('./Logger');
+const Grammar = require('./Grammar');
+
+const logger = new Logger('TcpSocketInterface');
+
+const C = {
+  // Default ports.
+  TCP_PORT : 5060,
+  TLS_PORT : 5061,
+
+  // Max size of the headers of a message not yet fully received.
+  MAX_HEADERS_LENGTH : 65535
+};
+
+/**
+ * Convert received data into a binary string (one char per byte) so the
+ * Content-Length of the messages can be honoured.
+ */
+function toBinaryString(data)
+{
+  if (typeof data === 'string')
+  {
+    return unescape(encodeURIComponent(data));
+  }
+
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  let string = '';
+
+  for (let idx = 0; idx < bytes.length; idx += 8192)
+  {
+    string += String.fromCharCode.apply(null, bytes.subarray(idx, idx + 8192));
+  }
+
+  return string;
+}
+
+function fromBinaryString(string)
+{
+  try
+  {
+    return decodeURIComponent(escape(string));
+  }
+  catch (error)
+  {
+    logger.warn('received message is not valid UTF-8');
+
+    return string;
+  }
+}
+
+/**
+ * JsSIP.Socket for SIP over TCP or TLS (RFC 3261 18.3).
+ *
+ * The URL is a SIP URI such as 'sip:pbx.example.com;transport=tcp' or
+ * 'sips:pbx.example.com'.
+ *
+ * The connection itself is created by the given options.createConnection
+ * function which is called with { host, port, tls } and must return a stream
+ * emitting 'connect' (or 'secureConnect' for TLS), 'data', 'error' and 'close'
+ * events, ie: react-native-tcp-socket or the Node net/tls modules.
+ */
+module.exports = class TcpSocketInterface
+{
+  // Expose C object.
+  static get C()
+  {
+    return C;
+  }
+
+  constructor(url, options = {})
+  {
+    logger.debug('new() [url:"%s"]', url);
+
+    this._url = url;
+    this._sip_uri = null;
+    this._via_transport = null;
+    this._host = null;
+    this._port = null;
+    this._createConnection = options.createConnection;
+    this._stream = null;
+    this._connected = false;
+
+    // Received data not yet handed over as a complete message.
+    this._buffer = '';
+
+    // Whether a CRLF keep alive ping was sent and its pong not received yet.
+    this._pong_pending = false;
+
+    if (typeof this._createConnection !== 'function')
+    {
+      throw new TypeError('Invalid argument: createConnection function required');
+    }
+
+    const parsed_url = Grammar.parse(url, 'SIP_URI');
+
+    if (parsed_url === -1)
+    {
+      logger.warn(`invalid SIP URI: ${url}`);
+      throw new TypeError(`Invalid argument: ${url}`);
+    }
+
+    const transport = parsed_url.scheme === 'sips' ?
+      'tls' : (parsed_url.getParam('transport') || 'tcp').toLowerCase();
+
+    if (transport !== 'tcp' && transport !== 'tls')
+    {
+      logger.warn(`invalid SIP URI transport: ${transport}`);
+      throw new TypeError(`Invalid argument: ${url}`);
+    }
+
+    this._host = parsed_url.host;
+    this._port = parsed_url.port ||
+      (transport === 'tls' ? C.TLS_PORT : C.TCP_PORT);
+    this._sip_uri = `sip:${this._host}:${this._port};transport=${transport}`;
+    this._via_transport = transport.toUpperCase();
+  }
+
+  get C()
+  {
+    return C;
+  }
+
+  get via_transport()
+  {
+    return this._via_transport;
+  }
+
+  set via_transport(value)
+  {
+    this._via_transport = value.toUpperCase();
+  }
+
+  get sip_uri()
+  {
+    return this._sip_uri;
+  }
+
+  get url()
+  {
+    return this._url;
+  }
+
+  connect()
+  {
+    logger.debug('connect()');
+
+    if (this.isConnected())
+    {
+      logger.debug(`socket ${this._url} is already connected`);
+
+      return;
+    }
+    else if (this.isConnecting())
+    {
+      logger.debug(`socket ${this._url} is connecting`);
+
+      return;
+    }
+
+    logger.debug(`connecting to ${this._url}`);
+
+    const tls = this._via_transport === 'TLS';
+
+    try
+    {
+      const stream = this._createConnection({
+        host : this._host,
+        port : this._port,
+        tls
+      });
+
+      this._stream = stream;
+      this._buffer = '';
+      this._pong_pending = false;
+
+      stream.on(tls ? 'secureConnect' : 'connect', () =>
+      {
+        if (stream === this._stream)
+        {
+          this._onConnect();
+        }
+      });
+      stream.on('data', (data) =>
+      {
+        if (stream === this._stream)
+        {
+          this._onData(data);
+        }
+      });
+      stream.on('close', (had_error) =>
+      {
+        if (stream === this._stream)
+        {
+          this._onClose(had_error);
+        }
+      });
+      stream.on('error', this._onError.bind(this));
+    }
+    catch (e)
+    {
+      this._onError(e);
+
+      this._stream = null;
+      this._buffer = '';
+
+      this.ondisconnect(true);
+    }
+  }
+
+  disconnect()
+  {
+    logger.debug('disconnect()');
+
+    const stream = this._stream;
+
+    if (stream)
+    {
+      // Ignore any further event of the stream.
+      this._stream = null;
+      this._connected = false;
+      this._buffer = '';
+
+      stream.destroy();
+    }
+  }
+
+  send(message)
+  {
+    logger.debug('send()');
+
+    if (this.isConnected())
+    {
+      if (message === '\r\n\r\n')
+      {
+        this._pong_pending = true;
+      }
+
+      this._stream.write(message);
+
+      return true;
+    }
+    else
+    {
+      logger.warn('unable to send message, socket is not connected');
+
+      return false;
+    }
+  }
+
+  isConnected()
+  {
+    return Boolean(this._stream) && this._connected;
+  }
+
+  isConnecting()
+  {
+    return Boolean(this._stream) && !this._connected;
+  }
+
+
+  /**
+   * Stream Event Handlers
+   */
+
+  _onConnect()
+  {
+    logger.debug(`socket ${this._url} connected`);
+
+    this._connected = true;
+
+    this.onconnect();
+  }
+
+  _onClose(had_error)
+  {
+    logger.debug(`socket ${this._url} closed`);
+
+    this._stream = null;
+    this._connected = false;
+    this._buffer = '';
+
+    this.ondisconnect(Boolean(had_error));
+  }
+
+  _onData(data)
+  {
+    this._buffer += toBinaryString(data);
+
+    // Hand over every complete message in the buffer, if any.
+    while (this._stream && this._buffer.length > 0)
+    {
+      const message = this._readMessage();
+
+      if (message === null)
+      {
+        break;
+      }
+
+      this.ondata(message);
+    }
+  }
+
+  _onError(e)
+  {
+    logger.warn(`socket ${this._url} error: `, e);
+  }
+
+  /**
+   * Extract the next message from the buffer, or null if incomplete.
+   */
+  _readMessage()
+  {
+    // CRLF keep alives (RFC 5626 3.5.1) between messages: a double CRLF ping
+    // or a single CRLF pong.
+    if (this._buffer.startsWith('\r\n'))
+    {
+      // A ping split across reads, wait for the rest of it. A single CRLF is
+      // taken as a pong only if a ping was sent.
+      if (this._buffer === '\r\n\r' || (this._buffer === '\r\n' && !this._pong_pending))
+      {
+        return null;
+      }
+
+      const keep_alive = this._buffer.startsWith('\r\n\r\n') ? '\r\n\r\n' : '\r\n';
+
+      if (keep_alive === '\r\n')
+      {
+        this._pong_pending = false;
+      }
+
+      this._buffer = this._buffer.slice(keep_alive.length);
+
+      return keep_alive;
+    }
+
+    const headers_end = this._buffer.indexOf('\r\n\r\n');
+
+    if (headers_end === -1)
+    {
+      if (this._buffer.length > C.MAX_HEADERS_LENGTH)
+      {
+        this._onFramingError('headers too long');
+      }
+
+      return null;
+    }
+
+    const headers = this._buffer.slice(0, headers_end);
+    const match = headers.match(/^(?:content-length|l)[ \t]*:[ \t]*(\d+)[ \t]*$/im);
+
+    // Content-Length is mandatory over stream transports (RFC 3261 18.3),
+    // assume no body otherwise.
+    const message_length = headers_end + 4 + (match ? parseInt(match[1]) : 0);
+
+    if (this._buffer.length < message_length)
+    {
+      return null;
+    }
+
+    const message = this._buffer.slice(0, message_length);
+
+    this._buffer = this._buffer.slice(message_length);
+
+    return fromBinaryString(message);
+  }
+
+  /**
+   * The stream cannot be framed any more, close it.
+   */
+  _onFramingError(reason)
+  {
+    logger.warn(`socket ${this._url} framing error: ${reason}`);
+
+    this.disconnect();
+
+    this.ondisconnect(true, undefined, reason);
+  }
+};
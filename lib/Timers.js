@@ -4,14 +4,23 @@ module.exports = {
   T1,
   T2,
   T4,
+  TIMER_A                       : T1,
   TIMER_B                       : 64 * T1,
   TIMER_D                       : 0 * T1,
+  TIMER_E                       : T1,
   TIMER_F                       : 64 * T1,
+  TIMER_G                       : T1,
   TIMER_H                       : 64 * T1,
   TIMER_I                       : 0 * T1,
   TIMER_J                       : 0 * T1,
   TIMER_K                       : 0 * T4,
   TIMER_L                       : 64 * T1,
   TIMER_M                       : 64 * T1,
-  PROVISIONAL_RESPONSE_INTERVAL : 60000 // See RFC 3261 Section 13.3.1.1
+  PROVISIONAL_RESPONSE_INTERVAL : 60000, // See RFC 3261 Section 13.3.1.1
+
+  // Values of the wait timers over unreliable transports (UDP).
+  TIMER_D_UNRELIABLE : 64 * T1,
+  TIMER_I_UNRELIABLE : T4,
+  TIMER_J_UNRELIABLE : 64 * T1,
+  TIMER_K_UNRELIABLE : T4
 };
@@ -27,6 +27,41 @@ const C = {
   INVITE_SERVER     : 'ist'
 };
 
+/**
+ * Retransmissions and non zero wait timers only apply to unreliable
+ * transports (RFC 3261 17).
+ */
+function isUnreliable(transport)
+{
+  return String(transport.via_transport).toUpperCase() === 'UDP';
+}
+
+/**
+ * A request waiting in the send queue of the transport could not be sent.
+ */
+function onQueueFailure(cause)
+{
+  if (this.state !== C.STATUS_TERMINATED)
+  {
+    this.onTransportError(cause);
+  }
+}
+
+function createVia(ua, transport, branch)
+{
+  let via = `SIP/2.0/${transport.via_transport}`;
+
+  via += ` ${ua.configuration.via_host};branch=${branch}`;
+
+  // RFC 3581. Get the responses back to the port the request was sent from.
+  if (isUnreliable(transport))
+  {
+    via += ';rport';
+  }
+
+  return via;
+}
+
 class NonInviteClientTransaction extends EventEmitter
 {
   constructor(ua, transport, request, eventHandlers)
@@ -40,11 +75,7 @@ class NonInviteClientTransaction extends EventEmitter
     this.request = request;
     this.eventHandlers = eventHandlers;
 
-    let via = `SIP/2.0/${transport.via_transport}`;
-
-    via += ` ${ua.configuration.via_host};branch=${this.id}`;
-
-    this.request.setHeader('via', via);
+    this.request.setHeader('via', createVia(ua, transport, this.id));
 
     this.ua.newTransaction(this);
   }
@@ -65,25 +96,54 @@ class NonInviteClientTransaction extends EventEmitter
     this.stateChanged(C.STATUS_TRYING);
     this.F = setTimeout(() => { this.timer_F(); }, Timers.TIMER_F);
 
-    if (!this.transport.send(this.request))
+    if (isUnreliable(this.transport))
+    {
+      this.E_interval = Timers.TIMER_E;
+      this.E = setTimeout(() => { this.timer_E(); }, this.E_interval);
+    }
+
+    if (!this.transport.send(this.request, onQueueFailure.bind(this)))
     {
       this.onTransportError();
     }
   }
 
-  onTransportError()
+  onTransportError(cause)
   {
     loggernict.debug(`transport error occurred, deleting transaction ${this.id}`);
+    clearTimeout(this.E);
     clearTimeout(this.F);
     clearTimeout(this.K);
     this.stateChanged(C.STATUS_TERMINATED);
     this.ua.destroyTransaction(this);
-    this.eventHandlers.onTransportError();
+    this.eventHandlers.onTransportError(cause);
+  }
+
+  // RFC 3261 17.1.2.2.
+  timer_E()
+  {
+    loggernict.debug(`Timer E expired for transaction ${this.id}`);
+
+    if (this.state !== C.STATUS_TRYING && this.state !== C.STATUS_PROCEEDING)
+    {
+      return;
+    }
+
+    this.E_interval = this.state === C.STATUS_PROCEEDING ?
+      Timers.T2 : Math.min(2 * this.E_interval, Timers.T2);
+    this.E = setTimeout(() => { this.timer_E(); }, this.E_interval);
+
+    // Not sent yet if still waiting in the send queue of the transport.
+    if (!this.transport.isQueued(this.request) && !this.transport.send(this.request))
+    {
+      this.onTransportError();
+    }
   }
 
   timer_F()
   {
     loggernict.debug(`Timer F expired for transaction ${this.id}`);
+    clearTimeout(this.E);
     this.stateChanged(C.STATUS_TERMINATED);
     this.ua.destroyTransaction(this);
     this.eventHandlers.onRequestTimeout();
@@ -117,6 +177,7 @@ class NonInviteClientTransaction extends EventEmitter
         case C.STATUS_TRYING:
         case C.STATUS_PROCEEDING:
           this.stateChanged(C.STATUS_COMPLETED);
+          clearTimeout(this.E);
           clearTimeout(this.F);
 
           if (status_code === 408)
@@ -128,7 +189,8 @@ class NonInviteClientTransaction extends EventEmitter
             this.eventHandlers.onReceiveResponse(response);
           }
 
-          this.K = setTimeout(() => { this.timer_K(); }, Timers.TIMER_K);
+          this.K = setTimeout(() => { this.timer_K(); },
+            isUnreliable(this.transport) ? Timers.TIMER_K_UNRELIABLE : Timers.TIMER_K);
           break;
         case C.STATUS_COMPLETED:
           break;
@@ -151,11 +213,7 @@ class InviteClientTransaction extends EventEmitter
     this.eventHandlers = eventHandlers;
     request.transaction = this;
 
-    let via = `SIP/2.0/${transport.via_transport}`;
-
-    via += ` ${ua.configuration.via_host};branch=${this.id}`;
-
-    this.request.setHeader('via', via);
+    this.request.setHeader('via', createVia(ua, transport, this.id));
 
     this.ua.newTransaction(this);
   }
@@ -179,14 +237,21 @@ class InviteClientTransaction extends EventEmitter
       this.timer_B();
     }, Timers.TIMER_B);
 
-    if (!this.transport.send(this.request))
+    if (isUnreliable(this.transport))
+    {
+      this.A_interval = Timers.TIMER_A;
+      this.A = setTimeout(() => { this.timer_A(); }, this.A_interval);
+    }
+
+    if (!this.transport.send(this.request, onQueueFailure.bind(this)))
     {
       this.onTransportError();
     }
   }
 
-  onTransportError()
+  onTransportError(cause)
   {
+    clearTimeout(this.A);
     clearTimeout(this.B);
     clearTimeout(this.D);
     clearTimeout(this.M);
@@ -194,7 +259,7 @@ class InviteClientTransaction extends EventEmitter
     if (this.state !== C.STATUS_ACCEPTED)
     {
       loggerict.debug(`transport error occurred, deleting transaction ${this.id}`);
-      this.eventHandlers.onTransportError();
+      this.eventHandlers.onTransportError(cause);
     }
 
     this.stateChanged(C.STATUS_TERMINATED);
@@ -214,10 +279,31 @@ class InviteClientTransaction extends EventEmitter
     }
   }
 
+  // RFC 3261 17.1.1.2.
+  timer_A()
+  {
+    loggerict.debug(`Timer A expired for transaction ${this.id}`);
+
+    if (this.state !== C.STATUS_CALLING)
+    {
+      return;
+    }
+
+    this.A_interval *= 2;
+    this.A = setTimeout(() => { this.timer_A(); }, this.A_interval);
+
+    // Not sent yet if still waiting in the send queue of the transport.
+    if (!this.transport.isQueued(this.request) && !this.transport.send(this.request))
+    {
+      this.onTransportError();
+    }
+  }
+
   // RFC 3261 17.1.1.
   timer_B()
   {
     loggerict.debug(`Timer B expired for transaction ${this.id}`);
+    clearTimeout(this.A);
     if (this.state === C.STATUS_CALLING)
     {
       this.stateChanged(C.STATUS_TERMINATED);
@@ -236,20 +322,25 @@ class InviteClientTransaction extends EventEmitter
 
   sendACK(response)
   {
-    const ack = new SIPMessage.OutgoingRequest(JsSIP_C.ACK, this.request.ruri,
-      this.ua, {
-        'route_set' : this.request.getHeaders('route'),
-        'call_id'   : this.request.getHeader('call-id'),
-        'cseq'      : this.request.cseq
-      });
-
-    ack.setHeader('from', this.request.getHeader('from'));
-    ack.setHeader('via', this.request.getHeader('via'));
-    ack.setHeader('to', response.getHeader('to'));
-
-    this.D = setTimeout(() => { this.timer_D(); }, Timers.TIMER_D);
+    // Retransmissions of the final response get the same ACK.
+    if (!this.ack)
+    {
+      this.ack = new SIPMessage.OutgoingRequest(JsSIP_C.ACK, this.request.ruri,
+        this.ua, {
+          'route_set' : this.request.getHeaders('route'),
+          'call_id'   : this.request.getHeader('call-id'),
+          'cseq'      : this.request.cseq
+        });
+
+      this.ack.setHeader('from', this.request.getHeader('from'));
+      this.ack.setHeader('via', this.request.getHeader('via'));
+      this.ack.setHeader('to', response.getHeader('to'));
+
+      this.D = setTimeout(() => { this.timer_D(); },
+        isUnreliable(this.transport) ? Timers.TIMER_D_UNRELIABLE : Timers.TIMER_D);
+    }
 
-    this.transport.send(ack);
+    this.transport.send(this.ack);
   }
 
   cancel(reason)
@@ -283,6 +374,8 @@ class InviteClientTransaction extends EventEmitter
   {
     const status_code = response.status_code;
 
+    clearTimeout(this.A);
+
     if (status_code >= 100 && status_code <= 199)
     {
       switch (this.state)
@@ -343,11 +436,7 @@ class AckClientTransaction extends EventEmitter
     this.request = request;
     this.eventHandlers = eventHandlers;
 
-    let via = `SIP/2.0/${transport.via_transport}`;
-
-    via += ` ${ua.configuration.via_host};branch=${this.id}`;
-
-    this.request.setHeader('via', via);
+    this.request.setHeader('via', createVia(ua, transport, this.id));
   }
 
   get C()
@@ -357,16 +446,16 @@ class AckClientTransaction extends EventEmitter
 
   send()
   {
-    if (!this.transport.send(this.request))
+    if (!this.transport.send(this.request, this.onTransportError.bind(this)))
     {
       this.onTransportError();
     }
   }
 
-  onTransportError()
+  onTransportError(cause)
   {
     loggeract.debug(`transport error occurred for transaction ${this.id}`);
-    this.eventHandlers.onTransportError();
+    this.eventHandlers.onTransportError(cause);
   }
 }
 
@@ -467,7 +556,7 @@ class NonInviteServerTransaction extends EventEmitter
           this.J = setTimeout(() =>
           {
             this.timer_J();
-          }, Timers.TIMER_J);
+          }, isUnreliable(this.transport) ? Timers.TIMER_J_UNRELIABLE : Timers.TIMER_J);
           if (!this.transport.send(response))
           {
             this.onTransportError();
@@ -522,10 +611,31 @@ class InviteServerTransaction extends EventEmitter
     this.emit('stateChanged');
   }
 
+  // RFC 3261 17.2.1.
+  timer_G()
+  {
+    loggerist.debug(`Timer G expired for transaction ${this.id}`);
+
+    if (this.state !== C.STATUS_COMPLETED)
+    {
+      return;
+    }
+
+    this.G_interval = Math.min(2 * this.G_interval, Timers.T2);
+    this.G = setTimeout(() => { this.timer_G(); }, this.G_interval);
+
+    if (!this.transport.send(this.last_response))
+    {
+      this.onTransportError();
+    }
+  }
+
   timer_H()
   {
     loggerist.debug(`Timer H expired for transaction ${this.id}`);
 
+    clearTimeout(this.G);
+
     if (this.state === C.STATUS_COMPLETED)
     {
       loggerist.debug('ACK not received, dialog will be terminated');
@@ -567,6 +677,7 @@ class InviteServerTransaction extends EventEmitter
         this.resendProvisionalTimer = null;
       }
 
+      clearTimeout(this.G);
       clearTimeout(this.L);
       clearTimeout(this.H);
       clearTimeout(this.I);
@@ -659,6 +770,8 @@ class InviteServerTransaction extends EventEmitter
             this.resendProvisionalTimer = null;
           }
 
+          this.last_response = response;
+
           if (!this.transport.send(response))
           {
             this.onTransportError();
@@ -674,6 +787,13 @@ class InviteServerTransaction extends EventEmitter
             {
               this.timer_H();
             }, Timers.TIMER_H);
+
+            if (isUnreliable(this.transport))
+            {
+              this.G_interval = Timers.TIMER_G;
+              this.G = setTimeout(() => { this.timer_G(); }, this.G_interval);
+            }
+
             if (onSuccess)
             {
               onSuccess();
@@ -716,6 +836,7 @@ function checkTransaction({ _transactions }, request)
         switch (tr.state)
         {
           case C.STATUS_PROCEEDING:
+          case C.STATUS_COMPLETED:
             tr.transport.send(tr.last_response);
             break;
 
@@ -741,7 +862,10 @@ function checkTransaction({ _transactions }, request)
         else if (tr.state === C.STATUS_COMPLETED)
         {
           tr.state = C.STATUS_CONFIRMED;
-          tr.I = setTimeout(() => { tr.timer_I(); }, Timers.TIMER_I);
+          clearTimeout(tr.G);
+          clearTimeout(tr.H);
+          tr.I = setTimeout(() => { tr.timer_I(); },
+            isUnreliable(tr.transport) ? Timers.TIMER_I_UNRELIABLE : Timers.TIMER_I);
 
           return true;
         }
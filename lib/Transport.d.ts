@@ -3,8 +3,56 @@ import {Socket} from './Socket'
 export interface RecoveryOptions {
   min_interval: number;
   max_interval: number;
+  backoff?: string | ((attempt: number, options: RecoveryOptions) => number);
+  max_attempts?: number;
+}
+
+export type SocketSelection = 'weight' | 'latency';
+
+export interface SocketStats {
+  socket: Socket;
+  url: string;
+  weight: number;
+  active: boolean;
+  connected: boolean;
+  error: boolean;
+  rtt: number | null;
+  failures: number;
+  probed_at: Date | null;
+}
+
+export interface KeepAliveOptions {
+  interval?: number;
+  timeout?: number;
+}
+
+export interface SendQueueOptions {
+  size: number;
+  ttl: number;
 }
 
 export class Transport extends Socket {
-  constructor(sockets: Socket | Socket[], recovery_options?: RecoveryOptions)
+  constructor(sockets: Socket | Socket[], recovery_options?: RecoveryOptions, keep_alive_options?: KeepAliveOptions, send_queue_options?: SendQueueOptions, socket_selection?: SocketSelection)
+
+  send(message: string | any, onFailure?: (cause: string) => void): boolean;
+
+  isQueued(message: string | any): boolean;
+
+  setFlowTimer(flow_timer: number | null): void;
+
+  reconnect(): void;
+
+  reconnectNow(): void;
+
+  addSocket(socket: Socket, weight?: number): void;
+
+  removeSocket(socket: Socket): boolean;
+
+  setSocketWeight(socket: Socket, weight: number): void;
+
+  migrate(): void;
+
+  setProbeResult(socket: Socket, rtt: number | null): void;
+
+  stats(): SocketStats[];
 }
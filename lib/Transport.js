@@ -22,10 +22,60 @@ const C = {
     // minimum interval in seconds between recover attempts.
     min_interval : JsSIP_C.CONNECTION_RECOVERY_MIN_INTERVAL,
     // maximum interval in seconds between recover attempts.
-    max_interval : JsSIP_C.CONNECTION_RECOVERY_MAX_INTERVAL
+    max_interval : JsSIP_C.CONNECTION_RECOVERY_MAX_INTERVAL,
+    // backoff policy, a function or the name of a built-in one.
+    backoff      : JsSIP_C.CONNECTION_RECOVERY_BACKOFF,
+    // maximum number of consecutive recover attempts (0 means unlimited).
+    max_attempts : JsSIP_C.CONNECTION_RECOVERY_MAX_ATTEMPTS
+  },
+
+  // How to choose among the sockets with higher weight, 'weight' (randomly)
+  // or 'latency' (the healthy one with lower round-trip time).
+  socket_selection : JsSIP_C.CONNECTION_SOCKET_SELECTION,
+
+  // Keep alive options.
+  keep_alive_options : {
+    // interval in seconds between double-CRLF pings (0 means disabled).
+    interval : JsSIP_C.CONNECTION_KEEP_ALIVE_INTERVAL,
+    // seconds to wait for the CRLF pong before considering the connection dead.
+    timeout  : JsSIP_C.CONNECTION_KEEP_ALIVE_TIMEOUT
+  },
+
+  // Send queue options.
+  send_queue_options : {
+    // max number of requests queued while reconnecting (0 means disabled).
+    size : JsSIP_C.CONNECTION_SEND_QUEUE_SIZE,
+    // seconds a request may stay in the queue.
+    ttl  : JsSIP_C.CONNECTION_SEND_QUEUE_TTL
   }
 };
 
+/**
+ * Built-in backoff policies. Given the attempt number, return the seconds to
+ * wait before it.
+ */
+const BACKOFF = {
+  // Randomized exponential.
+  exponential : (attempt) => Math.floor((Math.random() * Math.pow(2, attempt)) + 1),
+  linear      : (attempt, { min_interval }) => attempt * min_interval,
+  constant    : (attempt, { min_interval }) => min_interval
+};
+
+function checkSocket(socket, weight)
+{
+  if (!Socket.isSocket(socket))
+  {
+    throw new TypeError('Invalid argument.' +
+                        ' invalid \'JsSIP.Socket\' instance');
+  }
+
+  if (weight && !Number(weight))
+  {
+    throw new TypeError('Invalid argument.' +
+                        ' \'weight\' attribute is not a number');
+  }
+}
+
 /*
  * Manages one or multiple JsSIP.Socket instances.
  * Is reponsible for transport recovery logic among all socket instances.
@@ -34,7 +84,10 @@ const C = {
  */
 module.exports = class Transport
 {
-  constructor(sockets, recovery_options = C.recovery_options)
+  constructor(sockets, recovery_options = C.recovery_options,
+    keep_alive_options = C.keep_alive_options,
+    send_queue_options = C.send_queue_options,
+    socket_selection = C.socket_selection)
   {
     logger.debug('new()');
 
@@ -46,10 +99,26 @@ module.exports = class Transport
     // Socket collection.
     this.sockets = [];
 
-    this.recovery_options = recovery_options;
+    this.recovery_options = Object.assign({}, C.recovery_options, recovery_options);
     this.recover_attempts = 0;
     this.recovery_timer = null;
 
+    // Optional callbacks about the recovery.
+    this.onreconnecting = () => {};
+    this.onreconnectionfailed = () => {};
+
+    this.keep_alive_options = Object.assign({}, C.keep_alive_options, keep_alive_options);
+    // Flow-Timer (RFC 5626) given by the registrar, in seconds.
+    this.flow_timer = null;
+    this.keep_alive_timer = null;
+    this.keep_alive_timeout_timer = null;
+
+    this.send_queue_options = Object.assign({}, C.send_queue_options, send_queue_options);
+    // Requests waiting for the connection: [{ message, onFailure, timer }].
+    this.send_queue = [];
+
+    this.socket_selection = socket_selection;
+
     this.close_requested = false;
 
     // It seems that TextDecoder is not available in some versions of React-Native.
@@ -76,22 +145,16 @@ module.exports = class Transport
 
     sockets.forEach(function(socket)
     {
-      if (!Socket.isSocket(socket.socket))
-      {
-        throw new TypeError('Invalid argument.' +
-                            ' invalid \'JsSIP.Socket\' instance');
-      }
-
-      if (socket.weight && !Number(socket.weight))
-      {
-        throw new TypeError('Invalid argument.' +
-                            ' \'weight\' attribute is not a number');
-      }
+      checkSocket(socket.socket, socket.weight);
 
       this.sockets.push({
-        socket : socket.socket,
-        weight : socket.weight || 0,
-        status : C.SOCKET_STATUS_READY
+        socket    : socket.socket,
+        weight    : socket.weight || 0,
+        status    : C.SOCKET_STATUS_READY,
+        // Health probing results.
+        rtt       : null,
+        failures  : 0,
+        probed_at : null
       });
     }, this);
 
@@ -167,6 +230,9 @@ module.exports = class Transport
       this.recovery_timer = null;
     }
 
+    this._stopKeepAlive();
+    this._failQueue(JsSIP_C.causes.CONNECTION_ERROR);
+
     // Unbind socket event callbacks.
     this.socket.onconnect = () => {};
     this.socket.ondisconnect = () => {};
@@ -179,12 +245,272 @@ module.exports = class Transport
     });
   }
 
-  send(data)
+  /**
+   * Drop the current connection, even if it looks alive, and connect again
+   * right away (ie: the network changed).
+   */
+  reconnect()
+  {
+    logger.debug('reconnect()');
+
+    this._restart('Network change');
+  }
+
+  /**
+   * Add a socket to the candidate list. It is used the next time a socket is
+   * chosen.
+   */
+  addSocket(socket, weight = 0)
+  {
+    logger.debug('addSocket()');
+
+    checkSocket(socket, weight);
+
+    if (this._findSocket(socket))
+    {
+      throw new TypeError('Invalid argument. socket already added');
+    }
+
+    this.sockets.push({
+      socket    : socket,
+      weight    : weight || 0,
+      status    : C.SOCKET_STATUS_READY,
+      rtt       : null,
+      failures  : 0,
+      probed_at : null
+    });
+  }
+
+  /**
+   * Remove a socket from the candidate list. Returns true if it is the
+   * connected one, which keeps being used until migrate() is called.
+   */
+  removeSocket(socket)
+  {
+    logger.debug('removeSocket()');
+
+    const entry = this._findSocket(socket);
+
+    if (!entry)
+    {
+      throw new TypeError('Invalid argument. socket not found');
+    }
+
+    if (this.sockets.length === 1)
+    {
+      throw new TypeError('Invalid argument. cannot remove the last socket');
+    }
+
+    this.sockets.splice(this.sockets.indexOf(entry), 1);
+
+    if (socket !== this.socket)
+    {
+      return false;
+    }
+
+    if (this.isConnected())
+    {
+      return true;
+    }
+
+    // Not in use, connect another socket if connecting or get it for the next
+    // reconnection attempt.
+    if (this.isConnecting())
+    {
+      this._restart('Socket removed');
+    }
+    else
+    {
+      this._getSocket();
+    }
+
+    return false;
+  }
+
+  /**
+   * Change the weight of a socket. It is taken into account the next time a
+   * socket is chosen.
+   */
+  setSocketWeight(socket, weight)
+  {
+    logger.debug('setSocketWeight()');
+
+    const entry = this._findSocket(socket);
+
+    if (!entry)
+    {
+      throw new TypeError('Invalid argument. socket not found');
+    }
+
+    checkSocket(socket, weight);
+
+    entry.weight = weight || 0;
+  }
+
+  /**
+   * Record the result of a health probe of the given socket, the round-trip
+   * time in milliseconds or null if it failed.
+   */
+  setProbeResult(socket, rtt)
+  {
+    const entry = this._findSocket(socket);
+
+    if (!entry)
+    {
+      return;
+    }
+
+    entry.probed_at = new Date();
+
+    if (rtt === null)
+    {
+      entry.failures++;
+    }
+    else
+    {
+      entry.rtt = rtt;
+      entry.failures = 0;
+    }
+  }
+
+  /**
+   * Health and latency of each socket.
+   */
+  stats()
+  {
+    return this.sockets.map((entry) =>
+    {
+      const active = entry.socket === this.socket;
+
+      return {
+        socket    : entry.socket,
+        url       : entry.socket.url,
+        weight    : entry.weight,
+        active,
+        connected : active && this.isConnected(),
+        error     : entry.status === C.SOCKET_STATUS_ERROR,
+        rtt       : entry.rtt,
+        failures  : entry.failures,
+        probed_at : entry.probed_at
+      };
+    });
+  }
+
+  /**
+   * Move to another socket if the connected one has been removed.
+   */
+  migrate()
+  {
+    logger.debug('migrate()');
+
+    if (!this.isConnected() || this._findSocket(this.socket))
+    {
+      return;
+    }
+
+    this._restart('Socket removed');
+  }
+
+  /**
+   * Drop the current connection and connect again right away, choosing
+   * another socket if the current one has been removed.
+   */
+  _restart(reason)
+  {
+    if (this.close_requested)
+    {
+      logger.debug('Transport is closed, not reconnecting');
+
+      return;
+    }
+
+    const active = this.isConnected() || this.isConnecting();
+
+    // Clear recovery_timer.
+    if (this.recovery_timer !== null)
+    {
+      clearTimeout(this.recovery_timer);
+      this.recovery_timer = null;
+    }
+
+    this._stopKeepAlive();
+    this.flow_timer = null;
+    this.recover_attempts = 0;
+    this.status = C.STATUS_DISCONNECTED;
+
+    // Unbind socket event callbacks and close it.
+    this.socket.onconnect = () => {};
+    this.socket.ondisconnect = () => {};
+    this.socket.ondata = () => {};
+
+    try
+    {
+      this.socket.disconnect();
+    }
+    catch (error)
+    {
+      logger.warn(`error closing socket: ${error}`);
+    }
+
+    if (active)
+    {
+      this.ondisconnect({
+        socket : this.socket,
+        error  : false,
+        reason
+      });
+    }
+
+    if (!this._findSocket(this.socket))
+    {
+      this._getSocket();
+    }
+
+    this.connect();
+  }
+
+  /**
+   * Connect right away if waiting for the next recover attempt or after
+   * giving up reconnecting.
+   */
+  reconnectNow()
+  {
+    logger.debug('reconnectNow()');
+
+    if (this.close_requested || this.isConnected() || this.isConnecting())
+    {
+      return;
+    }
+
+    // Clear recovery_timer.
+    if (this.recovery_timer !== null)
+    {
+      clearTimeout(this.recovery_timer);
+      this.recovery_timer = null;
+    }
+
+    // Get the next available socket with higher weight.
+    this._getSocket();
+
+    this.connect();
+  }
+
+  /**
+   * Send the given message. If reconnecting and the send queue is enabled, a
+   * request given with an onFailure callback is queued until connected. The
+   * callback is called with the failure cause if it cannot be sent later on.
+   */
+  send(data, onFailure)
   {
     logger.debug('send()');
 
     if (!this.isConnected())
     {
+      if (onFailure && this._isReconnecting())
+      {
+        return this._queue(data, onFailure);
+      }
+
       logger.warn('unable to send message, transport is not connected');
 
       return false;
@@ -197,6 +523,14 @@ module.exports = class Transport
     return this.socket.send(message);
   }
 
+  /**
+   * Whether the given message is waiting in the send queue.
+   */
+  isQueued(data)
+  {
+    return this.send_queue.some((item) => item.data === data);
+  }
+
   isConnected()
   {
     return this.status === C.STATUS_CONNECTED;
@@ -207,17 +541,51 @@ module.exports = class Transport
     return this.status === C.STATUS_CONNECTING;
   }
 
+  /**
+   * Set the Flow-Timer value (RFC 5626 4.4.1) given by the registrar, in seconds.
+   * It overrides the configured keep alive interval while connected.
+   */
+  setFlowTimer(flow_timer)
+  {
+    logger.debug(`setFlowTimer() [flow_timer:${flow_timer}]`);
+
+    this.flow_timer = flow_timer || null;
+
+    // Reschedule the next ping unless waiting for a pong.
+    if (this.isConnected() && this.keep_alive_timeout_timer === null)
+    {
+      this._startKeepAlive();
+    }
+  }
+
   /**
    * Private API.
    */
 
   _reconnect()
   {
+    const { backoff, max_attempts } = this.recovery_options;
+
+    if (max_attempts && this.recover_attempts >= max_attempts)
+    {
+      const attempts = this.recover_attempts;
+
+      logger.warn(`giving up after ${attempts} reconnection attempts`);
+
+      this.recover_attempts = 0;
+      this._failQueue(JsSIP_C.causes.CONNECTION_ERROR);
+      this.onreconnectionfailed({ socket: this.socket, attempts });
+
+      return;
+    }
+
     this.recover_attempts+=1;
 
-    let k = Math.floor((Math.random() * Math.pow(2, this.recover_attempts)) +1);
+    const policy = typeof backoff === 'function' ? backoff : BACKOFF[backoff];
+    let k = policy(this.recover_attempts, this.recovery_options);
 
-    if (k < this.recovery_options.min_interval)
+    // Also for invalid values given by a custom policy.
+    if (!(k >= this.recovery_options.min_interval))
     {
       k = this.recovery_options.min_interval;
     }
@@ -229,6 +597,12 @@ module.exports = class Transport
 
     logger.debug(`reconnection attempt: ${this.recover_attempts}. next connection attempt in ${k} seconds`);
 
+    this.onreconnecting({
+      socket   : this.socket,
+      attempts : this.recover_attempts,
+      delay    : k
+    });
+
     this.recovery_timer = setTimeout(() =>
     {
       if (!this.close_requested && !(this.isConnected() || this.isConnecting()))
@@ -242,15 +616,164 @@ module.exports = class Transport
     }, k * 1000);
   }
 
+  /**
+   * Schedule the next double-CRLF ping.
+   */
+  _startKeepAlive()
+  {
+    this._stopKeepAlive();
+
+    let interval = this.keep_alive_options.interval;
+
+    // RFC 5626 4.4.1. Send keep alives at a random interval between 80% and
+    // 100% of the Flow-Timer value.
+    if (this.flow_timer)
+    {
+      interval = this.flow_timer * (0.8 + (0.2 * Math.random()));
+    }
+
+    if (!interval)
+    {
+      return;
+    }
+
+    this.keep_alive_timer = setTimeout(() =>
+    {
+      this.keep_alive_timer = null;
+      this._sendKeepAlive();
+    }, interval * 1000);
+  }
+
+  _stopKeepAlive()
+  {
+    clearTimeout(this.keep_alive_timer);
+    clearTimeout(this.keep_alive_timeout_timer);
+    this.keep_alive_timer = null;
+    this.keep_alive_timeout_timer = null;
+  }
+
+  _sendKeepAlive()
+  {
+    logger.debug('sending double-CRLF Keep Alive request');
+
+    this.keep_alive_timeout_timer = setTimeout(() =>
+    {
+      this.keep_alive_timeout_timer = null;
+
+      logger.warn('no CRLF Keep Alive response received, connection is dead');
+
+      // Unbind socket event callbacks and close it.
+      this.socket.onconnect = () => {};
+      this.socket.ondisconnect = () => {};
+      this.socket.ondata = () => {};
+
+      try
+      {
+        this.socket.disconnect();
+      }
+      catch (error)
+      {
+        logger.warn(`error closing dead socket: ${error}`);
+      }
+
+      this._onDisconnect(true, undefined, 'Keep Alive timeout');
+    }, this.keep_alive_options.timeout * 1000);
+
+    try
+    {
+      this.socket.send('\r\n\r\n');
+    }
+    catch (error)
+    {
+      logger.warn(`error sending Keep Alive request: ${error}`);
+    }
+  }
+
+  _isReconnecting()
+  {
+    return !this.close_requested &&
+      (this.isConnecting() || this.recovery_timer !== null);
+  }
+
+  _queue(data, onFailure)
+  {
+    const { size, ttl } = this.send_queue_options;
+
+    if (this.send_queue.length >= size)
+    {
+      logger.warn('unable to send message, send queue is full');
+
+      return false;
+    }
+
+    logger.debug('transport is reconnecting, queueing message');
+
+    const item = { data, onFailure, timer: null };
+
+    item.timer = setTimeout(() =>
+    {
+      logger.warn('queued message not sent in time');
+
+      this.send_queue.splice(this.send_queue.indexOf(item), 1);
+      item.onFailure(JsSIP_C.causes.SEND_QUEUE_TIMEOUT);
+    }, ttl * 1000);
+
+    this.send_queue.push(item);
+
+    return true;
+  }
+
+  _flushQueue()
+  {
+    const queue = this.send_queue;
+
+    this.send_queue = [];
+
+    for (const item of queue)
+    {
+      clearTimeout(item.timer);
+
+      if (!this.send(item.data))
+      {
+        item.onFailure(JsSIP_C.causes.CONNECTION_ERROR);
+      }
+    }
+  }
+
+  _failQueue(cause)
+  {
+    const queue = this.send_queue;
+
+    this.send_queue = [];
+
+    for (const item of queue)
+    {
+      clearTimeout(item.timer);
+      item.onFailure(cause);
+    }
+  }
+
+  _findSocket(socket)
+  {
+    return this.sockets.find((entry) => entry.socket === socket);
+  }
+
   /**
    * get the next available socket with higher weight
    */
   _getSocket()
   {
-
+    const latency = this.socket_selection === 'latency';
+    let sockets = this.sockets;
     let candidates = [];
 
-    this.sockets.forEach((socket) =>
+    // Leave out the sockets whose last probe failed, unless all of them did.
+    if (latency && sockets.some((socket) => socket.failures === 0))
+    {
+      sockets = sockets.filter((socket) => socket.failures === 0);
+    }
+
+    sockets.forEach((socket) =>
     {
       if (socket.status === C.SOCKET_STATUS_ERROR)
       {
@@ -284,6 +807,18 @@ module.exports = class Transport
       return;
     }
 
+    // Lower round-trip time first, not probed yet last.
+    if (latency)
+    {
+      const rtt = (socket) =>
+      {
+        return socket.rtt === null ? Infinity : socket.rtt;
+      };
+      const min = Math.min(...candidates.map(rtt));
+
+      candidates = candidates.filter((socket) => rtt(socket) === min);
+    }
+
     const idx = Math.floor((Math.random()* candidates.length));
 
     this.socket = candidates[idx].socket;
@@ -305,11 +840,17 @@ module.exports = class Transport
       this.recovery_timer = null;
     }
 
+    this._startKeepAlive();
+    this._flushQueue();
+
     this.onconnect({ socket: this });
   }
 
   _onDisconnect(error, code, reason)
   {
+    this._stopKeepAlive();
+    this.flow_timer = null;
+
     this.status = C.STATUS_DISCONNECTED;
     this.ondisconnect({
       socket : this.socket,
@@ -340,6 +881,28 @@ module.exports = class Transport
 
   _onData(data)
   {
+    const binary = typeof data !== 'string';
+
+    // Binary message, convert it into string first so binary Keep Alives are
+    // recognized too.
+    if (binary)
+    {
+      try
+      {
+        if (this.textDecoder)
+          data = this.textDecoder.decode(data);
+        else
+          data = String.fromCharCode.apply(null, new Uint8Array(data));
+      }
+      catch (evt)
+      {
+        logger.debug('received binary message failed to be converted into string,' +
+              ' message discarded');
+
+        return;
+      }
+    }
+
     // CRLF Keep Alive request from server, reply.
     if (data === '\r\n\r\n')
     {
@@ -358,32 +921,22 @@ module.exports = class Transport
       return;
     }
 
-    // CRLF Keep Alive response from server, ignore it.
+    // CRLF Keep Alive response from server, schedule the next ping.
     if (data === '\r\n')
     {
       logger.debug('received message with CRLF Keep Alive response');
 
+      if (this.keep_alive_timeout_timer !== null)
+      {
+        this._startKeepAlive();
+      }
+
       return;
     }
 
     // Binary message.
-    else if (typeof data !== 'string')
+    else if (binary)
     {
-      try
-      {
-        if (this.textDecoder)
-          data = this.textDecoder.decode(data);
-        else
-          data = String.fromCharCode.apply(null, new Uint8Array(data));
-      }
-      catch (evt)
-      {
-        logger.debug('received binary message failed to be converted into string,' +
-              ' message discarded');
-
-        return;
-      }
-
       logger.debug(`received binary message:\n\n${data}\n`);
     }
 
@@ -5,8 +5,16 @@ import {AnswerOptions, Originator, RTCSession, RTCSessionEventMap, TerminateOpti
 import {IncomingRequest, IncomingResponse, OutgoingRequest} from './SIPMessage'
 import {Message, SendMessageOptions} from './Message'
 import {Registrator} from './Registrator'
+import {Account, AccountConfiguration} from './Account'
+import {Subscriber, SubscriberOptions} from './Subscriber'
+import {IncomingSubscribeEvent} from './Notifier'
+import {Publisher, PublisherOptions} from './Publisher'
+import {BLF, BLFOptions} from './BLF'
+import {MessageSummary} from './MessageSummary'
 import {URI} from './URI'
+import {SocketStats} from './Transport'
 import {causes} from './Constants'
+import {RegInfoContact, RegInfoContactEvent, RegInfoDocument} from './RegInfo'
 
 export interface UnRegisterOptions {
   all?: boolean;
@@ -17,6 +25,35 @@ export interface CallOptions extends AnswerOptions {
   anonymous?: boolean;
   fromUserName?: string;
   fromDisplayName?: string;
+  account?: Account | string;
+}
+
+export interface CredentialsRequest {
+  realm: string | null;
+  challenges: object[];
+  response: IncomingResponse;
+}
+
+export interface Credentials {
+  username?: string;
+  password?: string;
+  ha1?: string | { [algorithm: string]: string };
+  realm?: string;
+  token?: string;
+}
+
+export type CredentialsProvider =
+  (request: CredentialsRequest) => Credentials | null | Promise<Credentials | null>;
+
+export interface PushNotificationConfiguration {
+  provider: string;
+  param?: string;
+  prid?: string;
+}
+
+export interface PushNotificationData {
+  call_id?: string;
+  [key: string]: any;
 }
 
 export interface UAConfiguration {
@@ -26,9 +63,20 @@ export interface UAConfiguration {
   // optional parameters
   authorization_jwt?: string;
   authorization_user?: string;
+  credentialsProvider?: CredentialsProvider;
   connection_recovery_max_interval?: number;
   connection_recovery_min_interval?: number;
+  connection_recovery_backoff?: 'exponential' | 'linear' | 'constant' | RecoveryBackoff;
+  connection_recovery_max_attempts?: number;
+  connection_keep_alive_interval?: number;
+  connection_keep_alive_timeout?: number;
+  connection_send_queue_size?: number;
+  connection_send_queue_ttl?: number;
+  connection_probe_interval?: number;
+  connection_socket_selection?: 'weight' | 'latency';
+  outbound_flows?: boolean;
   contact_uri?: string;
+  accounts?: AccountConfiguration[];
   display_name?: string;
   instance_id?: string;
   no_answer_timeout?: number;
@@ -37,11 +85,14 @@ export interface UAConfiguration {
   session_timers_force_refresher?: boolean;
   password?: string;
   realm?: string;
-  ha1?: string;
+  ha1?: string | { [algorithm: string]: string };
   register?: boolean;
   register_expires?: number;
   register_from_tag_trail?: string | function() : string;
   registrar_server?: string;
+  subscribe_reg_event?: boolean;
+  push_notification?: PushNotificationConfiguration;
+  push_notification_timeout?: number;
   use_preloaded_route?: boolean;
   user_agent?: string;
   extra_headers?: string[];
@@ -51,6 +102,7 @@ export interface IncomingRTCSessionEvent {
   originator: Originator.REMOTE;
   session: RTCSession;
   request: IncomingRequest;
+  push_notification: PushNotificationData | null;
 }
 
 export interface OutgoingRTCSessionEvent {
@@ -77,13 +129,46 @@ export interface DisconnectEvent {
   reason?: string;
 }
 
+export interface ReconnectingEvent {
+  socket: Socket;
+  attempts: number;
+  delay: number;
+}
+
+export interface ReconnectionFailedEvent {
+  socket: Socket;
+  attempts: number;
+}
+
+export type RecoveryBackoff =
+  (attempt: number, options: { min_interval: number, max_interval: number }) => number;
+
 export interface RegisteredEvent {
   response: IncomingResponse;
+  account: Account;
 }
 
 export interface UnRegisteredEvent {
   response: IncomingResponse;
   cause?: causes;
+  account: Account;
+}
+
+export interface RegistrationExpiringEvent {
+  account: Account;
+}
+
+export interface RegistrationTerminatedEvent {
+  account: Account;
+  reason: RegInfoContactEvent | null;
+  retry_after: number | null;
+}
+
+export interface BindingChangedEvent {
+  account: Account;
+  contact: RegInfoContact;
+  own: boolean;
+  info: RegInfoDocument;
 }
 
 export interface IncomingMessageEvent {
@@ -108,13 +193,51 @@ export interface OutgoingOptionsEvent {
   request: OutgoingRequest;
 }
 
+export interface MWIEvent {
+  originator: Originator.REMOTE;
+  summary: MessageSummary;
+  request: IncomingRequest;
+  subscriber: Subscriber | null;
+  account: Account;
+  unsolicited: boolean;
+}
+
+export interface BearerChallenge {
+  scheme: 'Bearer';
+  realm?: string;
+  scope?: string;
+  authz_server?: string;
+  error?: string;
+}
+
+export interface TokenExpiredEvent {
+  response: IncomingResponse;
+  challenge: BearerChallenge;
+  account: Account;
+  refresh(token: string): void;
+}
+
+export interface PushNotificationMissedEvent {
+  push_notification: PushNotificationData;
+  cause: causes.CANCELED | causes.EXPIRES;
+  request: IncomingRequest | null;
+}
+
+export interface SubscribeMWIOptions extends SubscriberOptions {
+  target?: string | URI;
+}
+
 export type ConnectingListener = (event: ConnectingEvent) => void;
 export type ConnectedListener = (event: ConnectedEvent) => void;
 export type DisconnectedListener = (event: DisconnectEvent) => void;
+export type ReconnectingListener = (event: ReconnectingEvent) => void;
+export type ReconnectionFailedListener = (event: ReconnectionFailedEvent) => void;
 export type RegisteredListener = (event: RegisteredEvent) => void;
 export type UnRegisteredListener = (event: UnRegisteredEvent) => void;
 export type RegistrationFailedListener = UnRegisteredListener;
-export type RegistrationExpiringListener = () => void;
+export type RegistrationExpiringListener = (event: RegistrationExpiringEvent) => void;
+export type RegistrationTerminatedListener = (event: RegistrationTerminatedEvent) => void;
+export type BindingChangedListener = (event: BindingChangedEvent) => void;
 export type IncomingRTCSessionListener = (event: IncomingRTCSessionEvent) => void;
 export type OutgoingRTCSessionListener = (event: OutgoingRTCSessionEvent) => void;
 export type RTCSessionListener = IncomingRTCSessionListener | OutgoingRTCSessionListener;
@@ -124,20 +247,32 @@ export type MessageListener = IncomingMessageListener | OutgoingMessageListener;
 export type IncomingOptionsListener = (event: IncomingOptionsEvent) => void;
 export type OutgoingOptionsListener = (event: OutgoingOptionsEvent) => void;
 export type OptionsListener = IncomingOptionsListener | OutgoingOptionsListener;
+export type IncomingSubscribeListener = (event: IncomingSubscribeEvent) => void;
+export type MWIListener = (event: MWIEvent) => void;
+export type TokenExpiredListener = (event: TokenExpiredEvent) => void;
+export type PushNotificationMissedListener = (event: PushNotificationMissedEvent) => void;
 export type SipEventListener = <T = any>(event: { event: T; request: IncomingRequest; }) => void
 
 export interface UAEventMap {
   connecting: ConnectingListener;
   connected: ConnectedListener;
   disconnected: DisconnectedListener;
+  reconnecting: ReconnectingListener;
+  reconnectionFailed: ReconnectionFailedListener;
   registered: RegisteredListener;
   unregistered: UnRegisteredListener;
   registrationFailed: RegistrationFailedListener;
   registrationExpiring: RegistrationExpiringListener;
+  registrationTerminated: RegistrationTerminatedListener;
+  bindingChanged: BindingChangedListener;
   newRTCSession: RTCSessionListener;
   newMessage: MessageListener;
   sipEvent: SipEventListener;
   newOptions: OptionsListener;
+  newSubscribe: IncomingSubscribeListener;
+  mwi: MWIListener;
+  tokenExpired: TokenExpiredListener;
+  pushNotificationMissed: PushNotificationMissedListener;
 }
 
 export interface UAContactOptions {
@@ -175,6 +310,8 @@ export class UA extends EventEmitter {
 
   get contact(): UAContact;
 
+  get account(): Account;
+
   start(): void;
 
   stop(): void;
@@ -185,12 +322,36 @@ export class UA extends EventEmitter {
 
   registrator(): Registrator;
 
+  accounts(): Account[];
+
   call(target: string, options?: CallOptions): RTCSession;
 
   sendMessage(target: string | URI, body: string, options?: SendMessageOptions): Message;
 
+  subscribe(target: string | URI, eventName: string, accept: string, options?: SubscriberOptions): Subscriber;
+
+  subscribeMWI(options?: SubscribeMWIOptions): Subscriber;
+
+  subscribeBLF(extensions: string[], options?: BLFOptions): BLF;
+
+  publish(eventName: string, body: string, options?: PublisherOptions): Publisher;
+
   terminateSessions(options?: TerminateOptions): void;
 
+  handleNetworkChange(): void;
+
+  reconnectNow(): void;
+
+  handlePushNotification(data?: PushNotificationData): void;
+
+  addSocket(socket: Socket, weight?: number): void;
+
+  removeSocket(socket: Socket): void;
+
+  setSocketWeight(socket: Socket, weight: number): void;
+
+  transportStats(): SocketStats[];
+
   isRegistered(): boolean;
 
   isConnected(): boolean;
@@ -2,11 +2,18 @@ const EventEmitter = require('events').EventEmitter;
 const Logger = require('./Logger');
 const JsSIP_C = require('./Constants');
 const Registrator = require('./Registrator');
+const Account = require('./Account');
 const RTCSession = require('./RTCSession');
 const Message = require('./Message');
 const Options = require('./Options');
+const Subscriber = require('./Subscriber');
+const Notifier = require('./Notifier');
+const Publisher = require('./Publisher');
+const MessageSummary = require('./MessageSummary');
+const BLF = require('./BLF');
 const Transactions = require('./Transactions');
 const Transport = require('./Transport');
+const SocketProber = require('./SocketProber');
 const Utils = require('./Utils');
 const Exceptions = require('./Exceptions');
 const URI = require('./URI');
@@ -55,15 +62,43 @@ module.exports = class UA extends EventEmitter
     };
 
     this._configuration = Object.assign({}, config.settings);
-    this._dynConfiguration = {};
     this._dialogs = {};
 
     // User actions outside any session/dialog (MESSAGE/OPTIONS).
     this._applicants = {};
 
     this._sessions = {};
+
+    // Subscriptions created by ua.subscribe().
+    this._subscribers = {};
+
+    // Subscriptions created by incoming SUBSCRIBE requests.
+    this._notifiers = {};
+
+    // Event state publications created by ua.publish().
+    this._publishers = {};
+
     this._transport = null;
+
+    // Outbound flows (RFC 5626). The first one uses this._transport.
+    this._flows = [];
+
+    // Callbacks waiting for the transactions of a transport to finish, indexed
+    // by transport.
+    this._transportIdleCallbacks = new Map();
+
+    // Push notifications (RFC 8599) waiting for their incoming call,
+    // [{ data, timer }].
+    this._pushNotifications = [];
+
+    // Whether sessions must restart ICE once connected again after a network change.
+    this._networkChanged = false;
+
     this._contact = null;
+
+    // SIP accounts, the main one (given by the configuration) first.
+    this._accounts = [];
+
     this._status = C.STATUS_INIT;
     this._error = null;
     this._transactions = {
@@ -96,8 +131,19 @@ module.exports = class UA extends EventEmitter
       throw e;
     }
 
-    // Initialize registrator.
-    this._registrator = new Registrator(this);
+    // Initialize a registrator for each flow, with its own reg-id.
+    this._flows.forEach((flow, idx) =>
+    {
+      flow.registrator = new Registrator(this, flow.transport, idx + 1);
+    });
+
+    this._registrator = this._flows[0].registrator;
+
+    // The other accounts register through the main transport.
+    for (const account of this._accounts.slice(1))
+    {
+      account._registrator = new Registrator(this, null, 1, account);
+    }
   }
 
   get C()
@@ -120,9 +166,28 @@ module.exports = class UA extends EventEmitter
     return this._configuration;
   }
 
+  /**
+   * The main account.
+   */
+  get account()
+  {
+    return this._accounts[0];
+  }
+
+  /**
+   * Transport for new outgoing requests. The main one unless it is down and
+   * another flow is connected.
+   */
   get transport()
   {
-    return this._transport;
+    if (this._transport.isConnected())
+    {
+      return this._transport;
+    }
+
+    const flow = this._flows.find(({ transport }) => transport.isConnected());
+
+    return flow ? flow.transport : this._transport;
   }
 
   // =================
@@ -139,7 +204,7 @@ module.exports = class UA extends EventEmitter
 
     if (this._status === C.STATUS_INIT)
     {
-      this._transport.connect();
+      this._flows.forEach(({ transport }) => transport.connect());
     }
     else if (this._status === C.STATUS_USER_CLOSED)
     {
@@ -150,12 +215,12 @@ module.exports = class UA extends EventEmitter
       {
         clearTimeout(this._closeTimer);
         this._closeTimer = null;
-        this._transport.disconnect();
+        this._flows.forEach(({ transport }) => transport.disconnect());
       }
 
       // Reconnect.
       this._status = C.STATUS_INIT;
-      this._transport.connect();
+      this._flows.forEach(({ transport }) => transport.connect());
     }
     else if (this._status === C.STATUS_READY)
     {
@@ -167,33 +232,40 @@ module.exports = class UA extends EventEmitter
     }
 
     // Set dynamic configuration.
-    this._dynConfiguration.register = this._configuration.register;
+    for (const account of this._accounts)
+    {
+      account._register = account.configuration.register;
+    }
   }
 
   /**
-   * Register.
+   * Register every account.
    */
   register()
   {
     logger.debug('register()');
 
-    this._dynConfiguration.register = true;
-    this._registrator.register();
+    for (const account of this._accounts)
+    {
+      account.register();
+    }
   }
 
   /**
-   * Unregister.
+   * Unregister every account.
    */
   unregister(options)
   {
     logger.debug('unregister()');
 
-    this._dynConfiguration.register = false;
-    this._registrator.unregister(options);
+    for (const account of this._accounts)
+    {
+      account.unregister(options);
+    }
   }
 
   /**
-   * Get the Registrator instance.
+   * Get the Registrator instance of the main account.
    */
   registrator()
   {
@@ -201,19 +273,74 @@ module.exports = class UA extends EventEmitter
   }
 
   /**
-   * Registration state.
+   * Registration state of the main account (registered through any flow).
    */
   isRegistered()
   {
-    return this._registrator.registered;
+    return this._flows.some(({ registrator }) => registrator.registered);
+  }
+
+  /**
+   * Get the accounts, the main one first.
+   */
+  accounts()
+  {
+    return this._accounts.slice();
   }
 
   /**
-   * Connection state.
+   * Handle a push notification (RFC 8599) waking up the app: start the UA if
+   * needed and register so the proxy forwards the pending request to us.
+   * The incoming call with the 'call_id' of the given data (or the next one if
+   * not given) is correlated with it ('push_notification' in the
+   * 'newRTCSession' event). Otherwise, if cancelled or not received in time,
+   * 'pushNotificationMissed' is emitted.
+   */
+  handlePushNotification(data = {})
+  {
+    logger.debug('handlePushNotification()');
+
+    const push_notification = { data, timer: null };
+
+    push_notification.timer = setTimeout(() =>
+    {
+      const idx = this._pushNotifications.indexOf(push_notification);
+
+      this._pushNotifications.splice(idx, 1);
+      this.emit('pushNotificationMissed', {
+        push_notification : data,
+        cause             : JsSIP_C.causes.EXPIRES,
+        request           : null
+      });
+    }, this._configuration.push_notification_timeout * 1000);
+
+    this._pushNotifications.push(push_notification);
+
+    if (this._status === C.STATUS_INIT || this._status === C.STATUS_USER_CLOSED)
+    {
+      this.start();
+    }
+
+    if (this.isConnected())
+    {
+      this.register();
+    }
+    // Otherwise registered once connected.
+    else
+    {
+      for (const account of this._accounts)
+      {
+        account._register = true;
+      }
+    }
+  }
+
+  /**
+   * Connection state (connected through any flow).
    */
   isConnected()
   {
-    return this._transport.isConnected();
+    return this._flows.some(({ transport }) => transport.isConnected());
   }
 
   /**
@@ -225,11 +352,11 @@ module.exports = class UA extends EventEmitter
    * -throws {TypeError}
    *
    */
-  call(target, options)
+  call(target, options = {})
   {
     logger.debug('call()');
 
-    const session = new RTCSession(this);
+    const session = new RTCSession(this, options.account);
 
     session.connect(target, options);
 
@@ -246,11 +373,11 @@ module.exports = class UA extends EventEmitter
    * -throws {TypeError}
    *
    */
-  sendMessage(target, body, options)
+  sendMessage(target, body, options = {})
   {
     logger.debug('sendMessage()');
 
-    const message = new Message(this);
+    const message = new Message(this, options.account);
 
     message.send(target, body, options);
 
@@ -267,17 +394,104 @@ module.exports = class UA extends EventEmitter
    * -throws {TypeError}
    *
    */
-  sendOptions(target, body, options)
+  sendOptions(target, body, options = {})
   {
     logger.debug('sendOptions()');
 
-    const message = new Options(this);
+    const message = new Options(this, options.account);
 
     message.send(target, body, options);
 
     return message;
   }
 
+  /**
+   * Subscribe to an event package (RFC 6665).
+   *
+   * -param {String} target
+   * -param {String} eventName
+   * -param {String} accept
+   * -param {Object} [options]
+   *
+   * -throws {TypeError}
+   *
+   */
+  subscribe(target, eventName, accept, options = {})
+  {
+    logger.debug('subscribe()');
+
+    const subscriber = new Subscriber(this, target, eventName, accept, options);
+
+    subscriber.subscribe(options.body);
+
+    return subscriber;
+  }
+
+  /**
+   * Subscribe to message-waiting indications (RFC 3842).
+   * Received message summaries are emitted as 'mwi' events.
+   *
+   * -param {Object} [options]
+   * -param {String} [options.target] Account to subscribe to (the account URI by default).
+   *
+   * -throws {TypeError}
+   *
+   */
+  subscribeMWI(options = {})
+  {
+    logger.debug('subscribeMWI()');
+
+    const target = options.target || this._getAccount(options.account).uri;
+    const subscriber = new Subscriber(this, target, 'message-summary',
+      'application/simple-message-summary', options);
+
+    subscriber.on('notify', ({ request, body }) =>
+    {
+      this._receiveMWI(request, body, subscriber, subscriber.account);
+    });
+
+    subscriber.subscribe();
+
+    return subscriber;
+  }
+
+  /**
+   * Monitor the dialog state (RFC 4235) of the given extensions.
+   *
+   * -param {Array} extensions
+   * -param {Object} [options]
+   *
+   * -throws {TypeError}
+   *
+   */
+  subscribeBLF(extensions, options = {})
+  {
+    logger.debug('subscribeBLF()');
+
+    return new BLF(this, extensions, options);
+  }
+
+  /**
+   * Publish event state (RFC 3903).
+   *
+   * -param {String} eventName
+   * -param {String} body
+   * -param {Object} [options]
+   *
+   * -throws {TypeError}
+   *
+   */
+  publish(eventName, body, options = {})
+  {
+    logger.debug('publish()');
+
+    const publisher = new Publisher(this, eventName, options);
+
+    publisher.publish(body);
+
+    return publisher;
+  }
+
   /**
    * Terminate ongoing sessions.
    */
@@ -303,7 +517,21 @@ module.exports = class UA extends EventEmitter
     logger.debug('stop()');
 
     // Remove dynamic settings.
-    this._dynConfiguration = {};
+    for (const account of this._accounts)
+    {
+      account._register = false;
+    }
+
+    // Forget pending socket removals.
+    this._transportIdleCallbacks.clear();
+
+    // And pending push notifications.
+    for (const { timer } of this._pushNotifications)
+    {
+      clearTimeout(timer);
+    }
+
+    this._pushNotifications = [];
 
     if (this._status === C.STATUS_USER_CLOSED)
     {
@@ -312,8 +540,21 @@ module.exports = class UA extends EventEmitter
       return;
     }
 
-    // Close registrator.
-    this._registrator.close();
+    // Close registrators and stop probing.
+    for (const flow of this._flows)
+    {
+      flow.registrator.close();
+
+      if (flow.prober)
+      {
+        flow.prober.stop();
+      }
+    }
+
+    for (const account of this._accounts.slice(1))
+    {
+      account._registrator.close();
+    }
 
     // If there are session wait a bit so CANCEL/BYE can be sent and their responses received.
     const num_sessions = Object.keys(this._sessions).length;
@@ -329,6 +570,30 @@ module.exports = class UA extends EventEmitter
       }
     }
 
+    // Run  _terminate_ on every Subscriber.
+    for (const subscriber in this._subscribers)
+    {
+      if (Object.prototype.hasOwnProperty.call(this._subscribers, subscriber))
+        try { this._subscribers[subscriber].terminate(); }
+        catch (error) {}
+    }
+
+    // Run  _terminate_ on every Notifier.
+    for (const notifier in this._notifiers)
+    {
+      if (Object.prototype.hasOwnProperty.call(this._notifiers, notifier))
+        try { this._notifiers[notifier].terminate(); }
+        catch (error) {}
+    }
+
+    // Run  _terminate_ on every Publisher.
+    for (const publisher in this._publishers)
+    {
+      if (Object.prototype.hasOwnProperty.call(this._publishers, publisher))
+        try { this._publishers[publisher].terminate(); }
+        catch (error) {}
+    }
+
     // Run  _close_ on every applicant.
     for (const applicant in this._applicants)
     {
@@ -347,106 +612,214 @@ module.exports = class UA extends EventEmitter
 
     if (num_transactions === 0 && num_sessions === 0)
     {
-      this._transport.disconnect();
+      this._flows.forEach(({ transport }) => transport.disconnect());
     }
     else
     {
       this._closeTimer = setTimeout(() =>
       {
         this._closeTimer = null;
-        this._transport.disconnect();
+        this._flows.forEach(({ transport }) => transport.disconnect());
       }, 2000);
     }
   }
 
   /**
-   * Normalice a string into a valid SIP request URI
-   * -param {String} target
-   * -returns {JsSIP.URI|undefined}
+   * The network changed (ie: from Wi-Fi to mobile data). Reconnect right away
+   * instead of waiting for the connection to time out, register again and
+   * restart ICE in every established session.
    */
-  normalizeTarget(target)
+  handleNetworkChange()
   {
-    return Utils.normalizeTarget(target, this._configuration.hostport_params);
+    logger.debug('handleNetworkChange()');
+
+    if (this._status === C.STATUS_INIT || this._status === C.STATUS_USER_CLOSED)
+    {
+      logger.debug('UA not started, network change ignored');
+
+      return;
+    }
+
+    this._networkChanged = true;
+
+    for (const id in this._sessions)
+    {
+      if (Object.prototype.hasOwnProperty.call(this._sessions, id))
+      {
+        this._sessions[id].onNetworkChange();
+      }
+    }
+
+    this._flows.forEach(({ transport }) => transport.reconnect());
   }
 
   /**
-   * Allow retrieving configuration and autogenerated fields in runtime.
+   * Connect right away instead of waiting for the next reconnection attempt,
+   * also once given up reconnecting.
    */
-  get(parameter)
+  reconnectNow()
   {
-    switch (parameter)
+    logger.debug('reconnectNow()');
+
+    if (this._status === C.STATUS_INIT || this._status === C.STATUS_USER_CLOSED)
     {
-      case 'authorization_user':
-        return this._configuration.authorization_user;
+      logger.debug('UA not started, not reconnecting');
 
-      case 'realm':
-        return this._configuration.realm;
+      return;
+    }
 
-      case 'ha1':
-        return this._configuration.ha1;
+    this._flows.forEach(({ transport }) => transport.reconnectNow());
+  }
 
-      case 'authorization_jwt':
-        return this._configuration.authorization_jwt;
+  /**
+   * Add a socket at runtime. With outbound_flows a new flow is created and
+   * registered over it, otherwise it becomes a candidate of the transport.
+   */
+  addSocket(socket, weight = 0)
+  {
+    logger.debug('addSocket()');
 
-      default:
-        logger.warn('get() | cannot get "%s" parameter in runtime', parameter);
+    if (!this._configuration.outbound_flows)
+    {
+      this._transport.addSocket(socket, weight);
 
-        return undefined;
+      return;
+    }
+
+    if (this._flows.some(({ transport }) => transport.sockets[0].socket === socket))
+    {
+      throw new TypeError('Invalid argument. socket already added');
+    }
+
+    const flow = this._createFlow([ { socket, weight } ]);
+    const reg_id = Math.max(...this._flows.map(({ registrator }) => registrator.reg_id));
+
+    flow.registrator = new Registrator(this, flow.transport, reg_id + 1);
+    this._flows.push(flow);
+
+    if (this._status !== C.STATUS_INIT && this._status !== C.STATUS_USER_CLOSED)
+    {
+      flow.transport.connect();
     }
   }
 
   /**
-   * Allow configuration changes in runtime.
-   * Returns true if the parameter could be set.
+   * Remove a socket at runtime. If it is in use, current transactions finish
+   * before moving to another socket (or closing its flow, unregistering it).
    */
-  set(parameter, value)
+  removeSocket(socket)
   {
-    switch (parameter)
+    logger.debug('removeSocket()');
+
+    if (!this._configuration.outbound_flows)
     {
-      case 'authorization_user': {
-        this._configuration.authorization_user = String(value);
-        break;
-      }
+      const transport = this._transport;
 
-      case 'password': {
-        this._configuration.password = String(value);
-        break;
+      if (transport.removeSocket(socket))
+      {
+        this._whenTransportIdle(transport, () => transport.migrate());
       }
 
-      case 'realm': {
-        this._configuration.realm = String(value);
-        break;
-      }
+      return;
+    }
 
-      case 'ha1': {
-        this._configuration.ha1 = String(value);
-        // Delete the plain SIP password.
-        this._configuration.password = null;
-        break;
-      }
+    const flow = this._flows.find(({ transport }) =>
+    {
+      return transport.sockets[0].socket === socket;
+    });
 
-      case 'authorization_jwt': {
-        this._configuration.authorization_jwt = String(value);
-        break;
-      }
+    if (!flow)
+    {
+      throw new TypeError('Invalid argument. socket not found');
+    }
 
-      case 'display_name': {
-        this._configuration.display_name = value;
-        break;
-      }
+    if (this._flows.length === 1)
+    {
+      throw new TypeError('Invalid argument. cannot remove the last socket');
+    }
 
-      case 'extra_headers': {
-        this._configuration.extra_headers = value;
-        break;
-      }
+    this._flows.splice(this._flows.indexOf(flow), 1);
 
-      default:
-        logger.warn('set() | cannot set "%s" parameter in runtime', parameter);
+    if (flow.prober)
+    {
+      flow.prober.stop();
+    }
+    this._transport = this._flows[0].transport;
+    this._registrator = this._flows[0].registrator;
+
+    // Unregister the flow once idle, then close it.
+    this._whenTransportIdle(flow.transport, () =>
+    {
+      flow.registrator.close();
+      this._whenTransportIdle(flow.transport, () => flow.transport.disconnect());
+    });
+  }
+
+  /**
+   * Change the weight of a socket at runtime. It is taken into account the
+   * next time a socket is chosen.
+   */
+  setSocketWeight(socket, weight)
+  {
+    logger.debug('setSocketWeight()');
+
+    const flow = this._flows.find(({ transport }) =>
+    {
+      return transport.sockets.some((entry) => entry.socket === socket);
+    });
+
+    if (!flow)
+    {
+      throw new TypeError('Invalid argument. socket not found');
+    }
+
+    flow.transport.setSocketWeight(socket, weight);
+  }
+
+  /**
+   * Health and latency of every socket, as recorded by the socket probers.
+   */
+  transportStats()
+  {
+    return this._flows.reduce((stats, { transport }) =>
+    {
+      return stats.concat(transport.stats());
+    }, []);
+  }
+
+  /**
+   * Normalice a string into a valid SIP request URI
+   * -param {String} target
+   * -returns {JsSIP.URI|undefined}
+   */
+  normalizeTarget(target)
+  {
+    return Utils.normalizeTarget(target, this._configuration.hostport_params);
+  }
+
+  /**
+   * Allow retrieving configuration and autogenerated fields in runtime.
+   */
+  get(parameter)
+  {
+    return this._accounts[0].get(parameter);
+  }
+
+  /**
+   * Allow configuration changes in runtime.
+   * Returns true if the parameter could be set.
+   */
+  set(parameter, value)
+  {
+    if (parameter === 'extra_headers')
+    {
+      this._configuration.extra_headers = value;
 
-        return false;
+      return true;
     }
 
-    return true;
+    // Credentials and display name of the main account.
+    return this._accounts[0].set(parameter, value);
   }
 
   // ==========================
@@ -473,6 +846,13 @@ module.exports = class UA extends EventEmitter
     this.emit('transactionDestroyed', {
       transaction
     });
+
+    const callback = this._transportIdleCallbacks.get(transaction.transport);
+
+    if (callback)
+    {
+      this._whenTransportIdle(transaction.transport, callback);
+    }
   }
 
   /**
@@ -523,6 +903,13 @@ module.exports = class UA extends EventEmitter
   newRTCSession(session, data)
   {
     this._sessions[session.id] = session;
+
+    // Incoming call announced by a push notification, if any.
+    if (data.originator === 'remote')
+    {
+      data.push_notification = this._takePushNotification(data.request);
+    }
+
     this.emit('newRTCSession', data);
   }
 
@@ -534,12 +921,63 @@ module.exports = class UA extends EventEmitter
     delete this._sessions[session.id];
   }
 
+  /**
+   * new Subscriber
+   */
+  newSubscriber(subscriber)
+  {
+    this._subscribers[subscriber.id] = subscriber;
+  }
+
+  /**
+   * Subscriber destroyed.
+   */
+  destroySubscriber(subscriber)
+  {
+    delete this._subscribers[subscriber.id];
+  }
+
+  /**
+   * new Notifier
+   */
+  newNotifier(notifier, data)
+  {
+    this._notifiers[notifier.id] = notifier;
+    this.emit('newSubscribe', data);
+  }
+
+  /**
+   * Notifier destroyed.
+   */
+  destroyNotifier(notifier)
+  {
+    delete this._notifiers[notifier.id];
+  }
+
+  /**
+   * new Publisher
+   */
+  newPublisher(publisher)
+  {
+    this._publishers[publisher.id] = publisher;
+  }
+
+  /**
+   * Publisher destroyed.
+   */
+  destroyPublisher(publisher)
+  {
+    delete this._publishers[publisher.id];
+  }
+
   /**
    * Registered
    */
   registered(data)
   {
     this.emit('registered', data);
+
+    this._recoverSessions();
   }
 
   /**
@@ -556,6 +994,16 @@ module.exports = class UA extends EventEmitter
   registrationFailed(data)
   {
     this.emit('registrationFailed', data);
+
+    this._recoverSessions();
+  }
+
+  /**
+   * Bearer token rejected (RFC 8898)
+   */
+  tokenExpired(data)
+  {
+    this.emit('tokenExpired', data);
   }
 
   // =========================
@@ -568,10 +1016,10 @@ module.exports = class UA extends EventEmitter
   receiveRequest(request)
   {
     const method = request.method;
+    const account = this._findAccount(request);
 
     // Check that request URI points to us.
-    if (request.ruri.user !== this._configuration.uri.user &&
-        request.ruri.user !== this._contact.uri.user)
+    if (!account)
     {
       logger.debug('Request-URI does not point to us');
       if (request.method !== JsSIP_C.ACK)
@@ -590,6 +1038,21 @@ module.exports = class UA extends EventEmitter
       return;
     }
 
+    // CANCEL of a call announced by a push notification and not received.
+    if (method === JsSIP_C.CANCEL && !this._findSession(request))
+    {
+      const push_notification = this._takePushNotification(request);
+
+      if (push_notification)
+      {
+        this.emit('pushNotificationMissed', {
+          push_notification,
+          cause : JsSIP_C.causes.CANCELED,
+          request
+        });
+      }
+    }
+
     // Check transaction.
     if (Transactions.checkTransaction(this, request))
     {
@@ -600,13 +1063,13 @@ module.exports = class UA extends EventEmitter
     if (method === JsSIP_C.INVITE)
     {
       /* eslint-disable no-new */
-      new Transactions.InviteServerTransaction(this, this._transport, request);
+      new Transactions.InviteServerTransaction(this, request.transport, request);
       /* eslint-enable no-new */
     }
     else if (method !== JsSIP_C.ACK && method !== JsSIP_C.CANCEL)
     {
       /* eslint-disable no-new */
-      new Transactions.NonInviteServerTransaction(this, this._transport, request);
+      new Transactions.NonInviteServerTransaction(this, request.transport, request);
       /* eslint-enable no-new */
     }
 
@@ -624,7 +1087,7 @@ module.exports = class UA extends EventEmitter
         return;
       }
 
-      const message = new Options(this);
+      const message = new Options(this, account);
 
       message.init_incoming(request);
     }
@@ -636,7 +1099,7 @@ module.exports = class UA extends EventEmitter
 
         return;
       }
-      const message = new Message(this);
+      const message = new Message(this, account);
 
       message.init_incoming(request);
     }
@@ -650,6 +1113,16 @@ module.exports = class UA extends EventEmitter
         return;
       }
     }
+    else if (method === JsSIP_C.SUBSCRIBE)
+    {
+      // Initial SUBSCRIBE.
+      if (!request.to_tag && this.listeners('newSubscribe').length === 0)
+      {
+        request.reply(405);
+
+        return;
+      }
+    }
 
     let dialog;
     let session;
@@ -687,7 +1160,7 @@ module.exports = class UA extends EventEmitter
             }
             else
             {
-              session = new RTCSession(this);
+              session = new RTCSession(this, account);
               session.init_incoming(request);
             }
           }
@@ -718,7 +1191,20 @@ module.exports = class UA extends EventEmitter
            * and without To tag.
            */
           break;
+        case JsSIP_C.SUBSCRIBE:
+        {
+          const notifier = new Notifier(this, account);
+
+          notifier.init_incoming(request);
+          break;
+        }
         case JsSIP_C.NOTIFY:
+          // Unsolicited message-waiting indication (RFC 3842 3.1).
+          if (request.event && request.event.event === 'message-summary')
+          {
+            this._receiveMWI(request, request.body, null, account);
+          }
+
           // Receive new sip event.
           this.emit('sipEvent', {
             event : request.event,
@@ -742,8 +1228,15 @@ module.exports = class UA extends EventEmitter
       }
       else if (method === JsSIP_C.NOTIFY)
       {
+        // NOTIFY received before the 2xx response to the SUBSCRIBE.
+        const subscriber = this._findSubscriber(request);
+
         session = this._findSession(request);
-        if (session)
+        if (subscriber)
+        {
+          subscriber.receiveRequest(request);
+        }
+        else if (session)
         {
           session.receiveRequest(request);
         }
@@ -795,6 +1288,104 @@ module.exports = class UA extends EventEmitter
     }
   }
 
+  /**
+   * Get (and forget) the pending push notification of the given request, by
+   * Call-ID or else the oldest one without it.
+   */
+  _takePushNotification({ call_id })
+  {
+    let idx = this._pushNotifications.findIndex(({ data }) => data.call_id === call_id);
+
+    if (idx === -1)
+    {
+      idx = this._pushNotifications.findIndex(({ data }) => !data.call_id);
+    }
+
+    if (idx === -1)
+    {
+      return null;
+    }
+
+    const [ { data, timer } ] = this._pushNotifications.splice(idx, 1);
+
+    clearTimeout(timer);
+
+    return data;
+  }
+
+  /**
+   * Parse a message summary and emit 'mwi'.
+   */
+  _receiveMWI(request, body, subscriber, account)
+  {
+    const summary = MessageSummary.parse(body);
+
+    if (!summary)
+    {
+      logger.debug('ignoring invalid message-summary body');
+
+      return;
+    }
+
+    this.emit('mwi', {
+      originator  : 'remote',
+      summary,
+      request,
+      subscriber,
+      account,
+      unsolicited : !subscriber
+    });
+  }
+
+  /**
+   * Get the account the request is addressed to, if any. By Request-URI (its
+   * Contact or AOR) and then by To if several accounts share the user.
+   */
+  _findAccount({ ruri, to })
+  {
+    const accounts = this._accounts.filter(({ uri, contact }) =>
+    {
+      return ruri.user === uri.user || ruri.user === contact.uri.user;
+    });
+
+    return accounts.find(({ contact }) => ruri.user === contact.uri.user) ||
+      accounts.find(({ uri }) => ruri.host === uri.host) ||
+      accounts.find(({ uri }) => to.uri.user === uri.user && to.uri.host === uri.host) ||
+      accounts[0] || null;
+  }
+
+  /**
+   * Get the given account (or the one with the given AOR), the main one by
+   * default.
+   */
+  _getAccount(account = null)
+  {
+    if (!account)
+    {
+      return this._accounts[0];
+    }
+
+    const found = this._accounts.find((element) =>
+    {
+      return element === account || element.uri.toAor() === String(account);
+    });
+
+    if (!found)
+    {
+      throw new TypeError(`Invalid account: ${account}`);
+    }
+
+    return found;
+  }
+
+  /**
+   * Get the subscriber to which the NOTIFY belongs to, if any.
+   */
+  _findSubscriber({ call_id, to_tag })
+  {
+    return this._subscribers[call_id + to_tag] || null;
+  }
+
   /**
    * Get the dialog to which the request belongs to, if any.
    */
@@ -822,6 +1413,106 @@ module.exports = class UA extends EventEmitter
     }
   }
 
+  /**
+   * Get the outbound flow using the given transport.
+   */
+  _getFlow(transport)
+  {
+    return this._flows.find((flow) => flow.transport === transport);
+  }
+
+  /**
+   * Create an outbound flow with a transport over the given sockets and its
+   * socket prober, if enabled. Its registrator is created by the caller.
+   */
+  _createFlow(sockets)
+  {
+    const transport = new Transport(sockets, {
+      // Recovery options.
+      max_interval : this._configuration.connection_recovery_max_interval,
+      min_interval : this._configuration.connection_recovery_min_interval,
+      backoff      : this._configuration.connection_recovery_backoff,
+      max_attempts : this._configuration.connection_recovery_max_attempts
+    }, {
+      // Keep alive options.
+      interval : this._configuration.connection_keep_alive_interval,
+      timeout  : this._configuration.connection_keep_alive_timeout
+    }, {
+      // Send queue options.
+      size : this._configuration.connection_send_queue_size,
+      ttl  : this._configuration.connection_send_queue_ttl
+    }, this._configuration.connection_socket_selection);
+
+    // Transport event callbacks.
+    transport.onconnecting = onTransportConnecting.bind(this);
+    transport.onconnect = onTransportConnect.bind(this, transport);
+    transport.ondisconnect = onTransportDisconnect.bind(this, transport);
+    transport.ondata = onTransportData.bind(this);
+    transport.onreconnecting = onTransportReconnecting.bind(this);
+    transport.onreconnectionfailed = onTransportReconnectionFailed.bind(this);
+
+    // Health probing of its sockets.
+    let prober = null;
+
+    if (this._configuration.connection_probe_interval)
+    {
+      prober = new SocketProber(this, transport,
+        this._configuration.connection_probe_interval, onTransportData.bind(this));
+
+      // Get the probe connection out of the way of the chosen socket.
+      transport.onconnecting = (data) =>
+      {
+        prober.release(data.socket);
+        onTransportConnecting.call(this, data);
+      };
+    }
+
+    return { transport, registrator: null, prober };
+  }
+
+  /**
+   * Run the given callback once no transaction is using the given transport.
+   */
+  _whenTransportIdle(transport, callback)
+  {
+    const busy = Object.keys(this._transactions).some((type) =>
+    {
+      return Object.values(this._transactions[type])
+        .some((transaction) => transaction.transport === transport);
+    });
+
+    if (busy)
+    {
+      this._transportIdleCallbacks.set(transport, callback);
+    }
+    else
+    {
+      this._transportIdleCallbacks.delete(transport);
+      callback();
+    }
+  }
+
+  /**
+   * Restart ICE in the sessions affected by a network change, if any.
+   */
+  _recoverSessions()
+  {
+    if (!this._networkChanged || !this.isConnected())
+    {
+      return;
+    }
+
+    this._networkChanged = false;
+
+    for (const id in this._sessions)
+    {
+      if (Object.prototype.hasOwnProperty.call(this._sessions, id))
+      {
+        this._sessions[id].onNetworkRecovered();
+      }
+    }
+  }
+
   _loadConfig(configuration)
   {
     // Check and load the given configuration.
@@ -860,17 +1551,21 @@ module.exports = class UA extends EventEmitter
     // Transport.
     try
     {
-      this._transport = new Transport(this._configuration.sockets, {
-        // Recovery options.
-        max_interval : this._configuration.connection_recovery_max_interval,
-        min_interval : this._configuration.connection_recovery_min_interval
-      });
+      let flows_sockets = [ this._configuration.sockets ];
+
+      // A flow (RFC 5626) with each socket, the main one with higher weight.
+      // Otherwise a single transport fails over among all of them.
+      if (this._configuration.outbound_flows)
+      {
+        flows_sockets = this._configuration.sockets
+          .slice()
+          .sort((a, b) => (b.weight || 0) - (a.weight || 0))
+          .map((socket) => [ socket ]);
+      }
 
-      // Transport event callbacks.
-      this._transport.onconnecting = onTransportConnecting.bind(this);
-      this._transport.onconnect = onTransportConnect.bind(this);
-      this._transport.ondisconnect = onTransportDisconnect.bind(this);
-      this._transport.ondata = onTransportData.bind(this);
+      this._flows = flows_sockets.map((sockets) => this._createFlow(sockets));
+
+      this._transport = this._flows[0].transport;
     }
     catch (e)
     {
@@ -892,17 +1587,16 @@ module.exports = class UA extends EventEmitter
     // without URI params/headers.
     if (!this._configuration.registrar_server)
     {
-      const registrar_server = this._configuration.uri.clone();
-
-      registrar_server.user = null;
-      registrar_server.clearParams();
-      registrar_server.clearHeaders();
-      this._configuration.registrar_server = registrar_server;
+      this._configuration.registrar_server = registrarServer(this._configuration.uri);
     }
 
     // User no_answer_timeout.
     this._configuration.no_answer_timeout *= 1000;
 
+    // Contact transport, 'ws' for both WS and WSS (RFC 7118).
+    const contact_transport = /^WSS?$/.test(this._transport.via_transport) ?
+      'ws' : this._transport.via_transport.toLowerCase();
+
     // Via Host.
     if (this._configuration.contact_uri)
     {
@@ -912,38 +1606,37 @@ module.exports = class UA extends EventEmitter
     // Contact URI.
     else
     {
-      this._configuration.contact_uri = new URI('sip', Utils.createRandomToken(8), this._configuration.via_host, null, { transport: 'ws' });
+      this._configuration.contact_uri = new URI('sip', Utils.createRandomToken(8), this._configuration.via_host, null, { transport: contact_transport });
     }
 
-    this._contact = {
-      pub_gruu  : null,
-      temp_gruu : null,
-      uri       : this._configuration.contact_uri,
-      toString(options = {})
-      {
-        const anonymous = options.anonymous || null;
-        const outbound = options.outbound || null;
-        let contact = '<';
+    this._contact = createContact(this._configuration.contact_uri, contact_transport);
 
-        if (anonymous)
-        {
-          contact += this.temp_gruu || 'sip:anonymous@anonymous.invalid;transport=ws';
-        }
-        else
-        {
-          contact += this.pub_gruu || this.uri.toString();
-        }
+    // Accounts, each one with its own Contact.
+    this._accounts = [ new Account(this, this._configuration, this._contact) ];
 
-        if (outbound && (anonymous ? !this.temp_gruu : !this.pub_gruu))
-        {
-          contact += ';ob';
-        }
-
-        contact += '>';
+    for (const parameters of this._configuration.accounts || [])
+    {
+      const uri = new URI('sip', Utils.createRandomToken(8), this._configuration.via_host,
+        null, { transport: contact_transport });
+      const account_configuration = Object.assign({
+        display_name        : null,
+        authorization_user  : parameters.uri.user,
+        password            : null,
+        realm               : null,
+        ha1                 : null,
+        authorization_jwt   : null,
+        credentialsProvider : null,
+        register            : this._configuration.register,
+        register_expires    : this._configuration.register_expires,
+        registrar_server    : registrarServer(parameters.uri)
+      }, parameters);
+
+      this._accounts.push(
+        new Account(this, account_configuration, createContact(uri, contact_transport)));
+    }
 
-        return contact;
-      }
-    };
+    // Remove accounts from configuration object.
+    delete this._configuration.accounts;
 
     // Seal the configuration.
     const writable_parameters = [
@@ -1009,7 +1702,7 @@ function onTransportConnecting(data)
 }
 
 // Transport connected event.
-function onTransportConnect(data)
+function onTransportConnect(transport, data)
 {
   if (this._status === C.STATUS_USER_CLOSED)
   {
@@ -1021,14 +1714,43 @@ function onTransportConnect(data)
 
   this.emit('connected', data);
 
-  if (this._dynConfiguration.register)
+  const flow = this._getFlow(transport);
+
+  if (flow && flow.prober)
   {
-    this._registrator.register();
+    flow.prober.start();
+  }
+
+  // Register the flow, also once recovered from a failure (RFC 5626 4.5).
+  if (this._accounts[0]._register)
+  {
+    // Unless it is being removed.
+    if (flow)
+    {
+      flow.registrator.register();
+    }
+  }
+  // Otherwise restart ICE right away after a network change.
+  else
+  {
+    this._recoverSessions();
+  }
+
+  // The other accounts register through the main transport.
+  if (transport === this._transport)
+  {
+    for (const account of this._accounts.slice(1))
+    {
+      if (account._register)
+      {
+        account._registrator.register();
+      }
+    }
   }
 }
 
 // Transport disconnected event.
-function onTransportDisconnect(data)
+function onTransportDisconnect(transport, data)
 {
   // Run _onTransportError_ callback on every client transaction using _transport_.
   const client_transactions = [ 'nict', 'ict', 'nist', 'ist' ];
@@ -1037,7 +1759,10 @@ function onTransportDisconnect(data)
   {
     for (const id in this._transactions[type])
     {
-      if (Object.prototype.hasOwnProperty.call(this._transactions[type], id))
+      // Requests still queued by the transport were not sent yet.
+      if (Object.prototype.hasOwnProperty.call(this._transactions[type], id) &&
+          this._transactions[type][id].transport === transport &&
+          !transport.isQueued(this._transactions[type][id].request))
       {
         this._transactions[type][id].onTransportError();
       }
@@ -1046,16 +1771,42 @@ function onTransportDisconnect(data)
 
   this.emit('disconnected', data);
 
-  // Call registrator _onTransportClosed_.
-  this._registrator.onTransportClosed();
+  const flow = this._getFlow(transport);
 
-  if (this._status !== C.STATUS_USER_CLOSED)
+  // Call the flow registrator _onTransportClosed_, unless already removed.
+  if (flow)
+  {
+    flow.registrator.onTransportClosed();
+  }
+
+  if (transport === this._transport)
+  {
+    for (const account of this._accounts.slice(1))
+    {
+      account._registrator.onTransportClosed();
+    }
+  }
+
+  // Not ready unless another flow is still connected.
+  if (this._status !== C.STATUS_USER_CLOSED && !this.isConnected())
   {
     this._status = C.STATUS_NOT_READY;
     this._error = C.NETWORK_ERROR;
   }
 }
 
+// Transport reconnection scheduled event.
+function onTransportReconnecting(data)
+{
+  this.emit('reconnecting', data);
+}
+
+// Transport gave up reconnecting event.
+function onTransportReconnectionFailed(data)
+{
+  this.emit('reconnectionFailed', data);
+}
+
 // Transport data event.
 function onTransportData(data)
 {
@@ -1117,3 +1868,55 @@ function onTransportData(data)
     }
   }
 }
+
+/**
+ * Contact of an account with the given URI.
+ */
+function createContact(uri, contact_transport)
+{
+  return {
+    pub_gruu  : null,
+    temp_gruu : null,
+    uri,
+    toString(options = {})
+    {
+      const anonymous = options.anonymous || null;
+      const outbound = options.outbound || null;
+      let contact = '<';
+
+      if (anonymous)
+      {
+        contact += this.temp_gruu ||
+          `sip:anonymous@anonymous.invalid;transport=${contact_transport}`;
+      }
+      else
+      {
+        contact += this.pub_gruu || this.uri.toString();
+      }
+
+      if (outbound && (anonymous ? !this.temp_gruu : !this.pub_gruu))
+      {
+        contact += ';ob';
+      }
+
+      contact += '>';
+
+      return contact;
+    }
+  };
+}
+
+/**
+ * Default registrar of the given AOR, without user portion and without URI
+ * params/headers.
+ */
+function registrarServer(uri)
+{
+  const registrar_server = uri.clone();
+
+  registrar_server.user = null;
+  registrar_server.clearParams();
+  registrar_server.clearHeaders();
+
+  return registrar_server;
+}
@@ -0,0 +1,31 @@
+import { Socket } from './Socket';
+
+export interface UdpRemoteInfo {
+  address: string;
+  port: number;
+}
+
+export interface UdpDatagramSocket {
+  on(event: 'listening' | 'close', listener: () => void): any;
+  on(event: 'message', listener: (data: Uint8Array, rinfo: UdpRemoteInfo) => void): any;
+  on(event: 'error', listener: (error: Error) => void): any;
+  bind(port?: number): any;
+  send(message: string, port: number, address: string, callback?: (error?: Error) => void): any;
+  close(): any;
+}
+
+export type UdpLookupFunction = (
+  hostname: string,
+  options: { all: true },
+  callback: (error: Error | null, addresses: { address: string; family: number }[]) => void
+) => void;
+
+export interface UdpSocketInterfaceOptions {
+  createSocket: () => UdpDatagramSocket;
+  localPort?: number;
+  lookup?: UdpLookupFunction;
+}
+
+export class UdpSocketInterface extends Socket {
+  constructor(url: string, options: UdpSocketInterfaceOptions)
+}
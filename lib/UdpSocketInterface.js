@@ -0,0 +1,326 @@
+const Logger = require('./Logger');
+const Grammar = require('./Grammar');
+
+const logger = new Logger('UdpSocketInterface');
+
+const C = {
+  // Default port.
+  UDP_PORT : 5060
+};
+
+/**
+ * JsSIP.Socket for SIP over UDP (RFC 3261 18).
+ *
+ * The URL is a SIP URI such as 'sip:pbx.example.com;transport=udp'.
+ *
+ * The datagram socket itself is created by the given options.createSocket
+ * function and must follow the Node dgram.Socket API (bind(), send(), close()
+ * and the 'listening', 'message', 'error' and 'close' events), ie:
+ * react-native-udp or the Node dgram module. options.localPort is the port to
+ * bind to, a random one by default.
+ *
+ * Only datagrams coming from the server are processed. If the server is given
+ * by name, the optional options.lookup function (with the Node dns.lookup()
+ * API) resolves it on connect(), otherwise only the source port is checked.
+ */
+module.exports = class UdpSocketInterface
+{
+  // Expose C object.
+  static get C()
+  {
+    return C;
+  }
+
+  constructor(url, options = {})
+  {
+    logger.debug('new() [url:"%s"]', url);
+
+    this._url = url;
+    this._sip_uri = null;
+    this._via_transport = 'UDP';
+    this._host = null;
+    this._port = null;
+    this._createSocket = options.createSocket;
+    this._lookup = options.lookup;
+    this._localPort = options.localPort || 0;
+    // Addresses of the server, null if unknown.
+    this._addresses = null;
+    this._socket = null;
+    this._bound = false;
+
+    if (typeof this._createSocket !== 'function')
+    {
+      throw new TypeError('Invalid argument: createSocket function required');
+    }
+
+    const parsed_url = Grammar.parse(url, 'SIP_URI');
+
+    if (parsed_url === -1)
+    {
+      logger.warn(`invalid SIP URI: ${url}`);
+      throw new TypeError(`Invalid argument: ${url}`);
+    }
+    else if (parsed_url.scheme !== 'sip' ||
+      (parsed_url.getParam('transport') || 'udp').toLowerCase() !== 'udp')
+    {
+      logger.warn(`invalid SIP URI for UDP: ${url}`);
+      throw new TypeError(`Invalid argument: ${url}`);
+    }
+
+    this._host = parsed_url.host;
+    this._port = parsed_url.port || C.UDP_PORT;
+    this._sip_uri = `sip:${this._host}:${this._port};transport=udp`;
+
+    if (Grammar.parse(this._host, 'IPv4address') !== -1)
+    {
+      this._addresses = [ this._host ];
+    }
+    else if (Grammar.parse(this._host, 'IPv6reference') !== -1)
+    {
+      this._addresses = [ this._host.slice(1, -1) ];
+    }
+  }
+
+  get C()
+  {
+    return C;
+  }
+
+  get via_transport()
+  {
+    return this._via_transport;
+  }
+
+  set via_transport(value)
+  {
+    this._via_transport = value.toUpperCase();
+  }
+
+  get sip_uri()
+  {
+    return this._sip_uri;
+  }
+
+  get url()
+  {
+    return this._url;
+  }
+
+  connect()
+  {
+    logger.debug('connect()');
+
+    if (this.isConnected())
+    {
+      logger.debug(`socket ${this._url} is already bound`);
+
+      return;
+    }
+    else if (this.isConnecting())
+    {
+      logger.debug(`socket ${this._url} is binding`);
+
+      return;
+    }
+
+    logger.debug(`binding socket for ${this._url}`);
+
+    // Server given by name.
+    if (typeof this._lookup === 'function' && !this._addresses)
+    {
+      this._resolve();
+    }
+
+    try
+    {
+      const socket = this._createSocket();
+
+      this._socket = socket;
+
+      socket.on('listening', () =>
+      {
+        if (socket === this._socket)
+        {
+          this._onListening();
+        }
+      });
+      socket.on('message', (data, rinfo) =>
+      {
+        if (socket === this._socket)
+        {
+          this._onMessage(data, rinfo);
+        }
+      });
+      socket.on('close', () =>
+      {
+        if (socket === this._socket)
+        {
+          this._onClose();
+        }
+      });
+      socket.on('error', (e) =>
+      {
+        if (socket === this._socket)
+        {
+          this._onError(e);
+        }
+      });
+
+      socket.bind(this._localPort);
+    }
+    catch (e)
+    {
+      this._onError(e);
+    }
+  }
+
+  disconnect()
+  {
+    logger.debug('disconnect()');
+
+    const socket = this._socket;
+
+    if (socket)
+    {
+      // Ignore any further event of the socket.
+      this._socket = null;
+      this._bound = false;
+
+      socket.close();
+    }
+  }
+
+  send(message)
+  {
+    logger.debug('send()');
+
+    if (this.isConnected())
+    {
+      const socket = this._socket;
+
+      socket.send(message, this._port, this._host, (error) =>
+      {
+        if (error && socket === this._socket)
+        {
+          this._onError(error);
+        }
+      });
+
+      return true;
+    }
+    else
+    {
+      logger.warn('unable to send message, socket is not bound');
+
+      return false;
+    }
+  }
+
+  isConnected()
+  {
+    return Boolean(this._socket) && this._bound;
+  }
+
+  isConnecting()
+  {
+    return Boolean(this._socket) && !this._bound;
+  }
+
+
+  /**
+   * Socket Event Handlers
+   */
+
+  _onListening()
+  {
+    logger.debug(`socket ${this._url} bound`);
+
+    this._bound = true;
+
+    this.onconnect();
+  }
+
+  _onClose()
+  {
+    logger.debug(`socket ${this._url} closed`);
+
+    this._socket = null;
+    this._bound = false;
+
+    this.ondisconnect(true);
+  }
+
+  _onMessage(data, rinfo)
+  {
+    if (!this._isServer(rinfo))
+    {
+      logger.debug(`ignoring datagram from ${rinfo ? `${rinfo.address}:${rinfo.port}` : 'unknown'}`);
+
+      return;
+    }
+
+    logger.debug(`received datagram from ${rinfo.address}:${rinfo.port}`);
+
+    // Each datagram carries a single message (RFC 3261 18.3), the transport
+    // decodes it.
+    this.ondata(data);
+  }
+
+  /**
+   * Bind or send failure. Drop the socket so the transport recovers.
+   */
+  _onError(e)
+  {
+    logger.warn(`socket ${this._url} error: `, e);
+
+    const socket = this._socket;
+
+    this._socket = null;
+    this._bound = false;
+
+    if (socket)
+    {
+      try
+      {
+        socket.close();
+      }
+      catch (error)
+      {
+        logger.debug(`error closing socket ${this._url}: `, error);
+      }
+    }
+
+    this.ondisconnect(true);
+  }
+
+  /**
+   * Resolve the addresses of the server given by name.
+   */
+  _resolve()
+  {
+    this._lookup(this._host, { all: true }, (error, addresses) =>
+    {
+      if (error)
+      {
+        logger.warn(`unable to resolve ${this._host}: `, error);
+
+        return;
+      }
+
+      this._addresses = addresses.map(({ address }) => address);
+    });
+  }
+
+  /**
+   * Whether the datagram comes from the server.
+   */
+  _isServer(rinfo)
+  {
+    if (!rinfo || rinfo.port !== this._port)
+    {
+      return false;
+    }
+
+    return !this._addresses || this._addresses.indexOf(rinfo.address) !== -1;
+  }
+};
@@ -29,6 +29,10 @@ export function getRandomTestNetIP(): string;
 
 export function calculateMD5(str: string): string;
 
+export function calculateSHA256(str: string): string;
+
+export function calculateSHA512_256(str: string): string;
+
 export function closeMediaStream(stream?: MediaStream): void;
 
 export function cloneArray<T = unknown>(arr: T[]): T[];
@@ -494,6 +494,244 @@ exports.calculateMD5 = (string) =>
   return temp.toLowerCase();
 };
 
+// SHA-2 round constants (FIPS 180-4), as pairs of high and low 32 bit words.
+// SHA-256 uses the high words of the first 64 ones.
+const SHA2_K = [
+  0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd,
+  0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+  0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019,
+  0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+  0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe,
+  0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+  0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1,
+  0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+  0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3,
+  0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+  0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483,
+  0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+  0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210,
+  0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+  0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725,
+  0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+  0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926,
+  0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+  0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8,
+  0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+  0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001,
+  0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+  0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910,
+  0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+  0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53,
+  0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+  0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb,
+  0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+  0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60,
+  0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+  0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9,
+  0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+  0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207,
+  0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+  0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6,
+  0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+  0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493,
+  0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+  0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a,
+  0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+];
+
+/**
+ * UTF-8 encode and pad the given string as required by SHA-2 for the given
+ * block size (64 or 128 bytes). Returns an array of 32 bit big endian words.
+ */
+function sha2Pad(string, blockSize)
+{
+  const utf8 = unescape(encodeURIComponent(string));
+  const bytes = [];
+  const bitLength = utf8.length * 8;
+  // Size of the message length field: 8 bytes for SHA-256, 16 for SHA-512.
+  const lengthSize = blockSize / 8;
+
+  for (let i = 0; i < utf8.length; i++)
+  {
+    bytes.push(utf8.charCodeAt(i));
+  }
+
+  bytes.push(0x80);
+
+  // Leave room for the message length (only the lowest 8 bytes are ever used).
+  while ((bytes.length + lengthSize) % blockSize !== 0)
+  {
+    bytes.push(0);
+  }
+
+  for (let i = 8; i < lengthSize; i++)
+  {
+    bytes.push(0);
+  }
+
+  const words = [];
+
+  for (let i = 0; i < bytes.length; i += 4)
+  {
+    words.push(
+      ((bytes[i] << 24) | (bytes[i+1] << 16) | (bytes[i+2] << 8) | bytes[i+3]) >>> 0);
+  }
+
+  words.push(Math.floor(bitLength / 0x100000000), bitLength >>> 0);
+
+  return words;
+}
+
+function wordsToHex(words)
+{
+  return words.map((word) => `0000000${(word >>> 0).toString(16)}`.slice(-8)).join('');
+}
+
+// SHA-256 (FIPS 180-4).
+exports.calculateSHA256 = (string) =>
+{
+  function rotr(x, n)
+  {
+    return (x >>> n) | (x << (32 - n));
+  }
+
+  const words = sha2Pad(string, 64);
+  const w = new Array(64);
+  const h = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ];
+
+  for (let k = 0; k < words.length; k += 16)
+  {
+    for (let t = 0; t < 64; t++)
+    {
+      if (t < 16)
+      {
+        w[t] = words[k + t];
+      }
+      else
+      {
+        const s0 = rotr(w[t-15], 7) ^ rotr(w[t-15], 18) ^ (w[t-15] >>> 3);
+        const s1 = rotr(w[t-2], 17) ^ rotr(w[t-2], 19) ^ (w[t-2] >>> 10);
+
+        w[t] = (w[t-16] + s0 + w[t-7] + s1) | 0;
+      }
+    }
+
+    let [ a, b, c, d, e, f, g, hh ] = h;
+
+    for (let t = 0; t < 64; t++)
+    {
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ ((~e) & g);
+      const temp1 = (hh + S1 + ch + SHA2_K[t * 2] + w[t]) | 0;
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const temp2 = (S0 + maj) | 0;
+
+      hh = g; g = f; f = e; e = (d + temp1) | 0;
+      d = c; c = b; b = a; a = (temp1 + temp2) | 0;
+    }
+
+    h[0] = (h[0] + a) | 0; h[1] = (h[1] + b) | 0;
+    h[2] = (h[2] + c) | 0; h[3] = (h[3] + d) | 0;
+    h[4] = (h[4] + e) | 0; h[5] = (h[5] + f) | 0;
+    h[6] = (h[6] + g) | 0; h[7] = (h[7] + hh) | 0;
+  }
+
+  return wordsToHex(h);
+};
+
+// SHA-512/256 (FIPS 180-4). 64 bit words are handled as [ high, low ] pairs.
+exports.calculateSHA512_256 = (string) =>
+{
+  function rotr(x, n)
+  {
+    const [ hi, lo ] = n < 32 ? x : [ x[1], x[0] ];
+    const m = n % 32;
+
+    return [ (hi >>> m) | (lo << (32 - m)), (lo >>> m) | (hi << (32 - m)) ];
+  }
+
+  function shr(x, n)
+  {
+    return [ x[0] >>> n, (x[1] >>> n) | (x[0] << (32 - n)) ];
+  }
+
+  function xor(...xs)
+  {
+    return xs.reduce((r, x) => [ r[0] ^ x[0], r[1] ^ x[1] ]);
+  }
+
+  function add(...xs)
+  {
+    let hi = 0;
+    let lo = 0;
+
+    for (const x of xs)
+    {
+      hi += x[0] >>> 0;
+      lo += x[1] >>> 0;
+    }
+
+    return [ (hi + Math.floor(lo / 0x100000000)) | 0, lo | 0 ];
+  }
+
+  const words = sha2Pad(string, 128);
+  const w = new Array(80);
+  const h = [
+    [ 0x22312194, 0xfc2bf72c ], [ 0x9f555fa3, 0xc84c64c2 ],
+    [ 0x2393b86b, 0x6f53b151 ], [ 0x96387719, 0x5940eabd ],
+    [ 0x96283ee2, 0xa88effe3 ], [ 0xbe5e1e25, 0x53863992 ],
+    [ 0x2b0199fc, 0x2c85b8aa ], [ 0x0eb72ddc, 0x81c52ca2 ]
+  ];
+
+  for (let k = 0; k < words.length; k += 32)
+  {
+    for (let t = 0; t < 80; t++)
+    {
+      if (t < 16)
+      {
+        w[t] = [ words[k + (t * 2)], words[k + (t * 2) + 1] ];
+      }
+      else
+      {
+        const s0 = xor(rotr(w[t-15], 1), rotr(w[t-15], 8), shr(w[t-15], 7));
+        const s1 = xor(rotr(w[t-2], 19), rotr(w[t-2], 61), shr(w[t-2], 6));
+
+        w[t] = add(w[t-16], s0, w[t-7], s1);
+      }
+    }
+
+    let [ a, b, c, d, e, f, g, hh ] = h;
+
+    for (let t = 0; t < 80; t++)
+    {
+      const S1 = xor(rotr(e, 14), rotr(e, 18), rotr(e, 41));
+      const ch = [ (e[0] & f[0]) ^ ((~e[0]) & g[0]), (e[1] & f[1]) ^ ((~e[1]) & g[1]) ];
+      const temp1 = add(hh, S1, ch, [ SHA2_K[t * 2], SHA2_K[(t * 2) + 1] ], w[t]);
+      const S0 = xor(rotr(a, 28), rotr(a, 34), rotr(a, 39));
+      const maj = [
+        (a[0] & b[0]) ^ (a[0] & c[0]) ^ (b[0] & c[0]),
+        (a[1] & b[1]) ^ (a[1] & c[1]) ^ (b[1] & c[1])
+      ];
+      const temp2 = add(S0, maj);
+
+      hh = g; g = f; f = e; e = add(d, temp1);
+      d = c; c = b; b = a; a = add(temp1, temp2);
+    }
+
+    [ a, b, c, d, e, f, g, hh ].forEach((x, i) =>
+    {
+      h[i] = add(h[i], x);
+    });
+  }
+
+  // Truncate to 256 bits.
+  return wordsToHex([].concat(...h.slice(0, 4)));
+};
+
 exports.closeMediaStream = (stream) =>
 {
   if (!stream)
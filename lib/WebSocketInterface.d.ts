@@ -1,5 +1,16 @@
 import { Socket } from './Socket';
 
+export interface WebSocketHandshakeParams {
+  url?: string;
+  headers?: Record<string, string>;
+}
+
+export interface WebSocketInterfaceOptions {
+  // Not supported by browsers.
+  headers?: Record<string, string>;
+  handshakeProvider?: () => WebSocketHandshakeParams | Promise<WebSocketHandshakeParams>;
+}
+
 export class WebSocketInterface extends Socket {
-  constructor(url: string)
+  constructor(url: string, options?: WebSocketInterfaceOptions)
 }
@@ -5,7 +5,7 @@ const logger = new Logger('WebSocketInterface');
 
 module.exports = class WebSocketInterface
 {
-  constructor(url)
+  constructor(url, { headers = null, handshakeProvider = null } = {})
   {
     logger.debug('new() [url:"%s"]', url);
 
@@ -14,6 +14,17 @@ module.exports = class WebSocketInterface
     this._via_transport = null;
     this._ws = null;
 
+    // Handshake headers. Not supported by browsers, just by React-Native and
+    // Node 'ws'.
+    this._headers = headers;
+
+    // Function returning (or resolving with) the URL and headers to use in
+    // each connection (ie: with a short-lived token).
+    this._handshakeProvider = handshakeProvider;
+
+    // Pending handshakeProvider call.
+    this._providing = null;
+
     const parsed_url = Grammar.parse(url, 'absoluteURI');
 
     if (parsed_url === -1)
@@ -75,29 +86,53 @@ module.exports = class WebSocketInterface
       this.disconnect();
     }
 
-    logger.debug(`connecting to WebSocket ${this._url}`);
-
-    try
+    if (!this._handshakeProvider)
     {
-      this._ws = new WebSocket(this._url, 'sip');
+      this._open(this._url, this._headers);
 
-      this._ws.binaryType = 'arraybuffer';
-
-      this._ws.onopen = this._onOpen.bind(this);
-      this._ws.onclose = this._onClose.bind(this);
-      this._ws.onmessage = this._onMessage.bind(this);
-      this._ws.onerror = this._onError.bind(this);
-    }
-    catch (e)
-    {
-      this._onError(e);
+      return;
     }
+
+    logger.debug('getting WebSocket handshake params');
+
+    const providing = Promise.resolve()
+      .then(() => this._handshakeProvider());
+
+    this._providing = providing;
+
+    providing
+      .then((params = {}) =>
+      {
+        // Disconnected meanwhile.
+        if (this._providing !== providing)
+        {
+          return;
+        }
+
+        this._providing = null;
+        this._open(params.url || this._url,
+          Object.assign({}, this._headers, params.headers));
+      })
+      .catch((error) =>
+      {
+        if (this._providing !== providing)
+        {
+          return;
+        }
+
+        logger.warn(`WebSocket handshake provider failed: ${error}`);
+
+        this._providing = null;
+        this.ondisconnect(true, undefined, 'Handshake Provider Error');
+      });
   }
 
   disconnect()
   {
     logger.debug('disconnect()');
 
+    this._providing = null;
+
     if (this._ws)
     {
       // Unbind websocket event callbacks.
@@ -136,9 +171,42 @@ module.exports = class WebSocketInterface
 
   isConnecting()
   {
+    if (this._providing)
+    {
+      return true;
+    }
+
     return this._ws && this._ws.readyState === this._ws.CONNECTING;
   }
 
+  _open(url, headers)
+  {
+    logger.debug(`connecting to WebSocket ${this._url}`);
+
+    try
+    {
+      // Handshake headers are given in a third argument.
+      if (headers && Object.keys(headers).length > 0)
+      {
+        this._ws = new WebSocket(url, 'sip', { headers });
+      }
+      else
+      {
+        this._ws = new WebSocket(url, 'sip');
+      }
+
+      this._ws.binaryType = 'arraybuffer';
+
+      this._ws.onopen = this._onOpen.bind(this);
+      this._ws.onclose = this._onClose.bind(this);
+      this._ws.onmessage = this._onMessage.bind(this);
+      this._ws.onerror = this._onError.bind(this);
+    }
+    catch (e)
+    {
+      this._onError(e);
+    }
+  }
 
   /**
    * WebSocket Event Handlers
@@ -153,7 +221,7 @@ module.exports = class WebSocketInterface
 
   _onClose({ wasClean, code, reason })
   {
-    logger.debug(`WebSocket ${this._url} closed`);
+    logger.debug(`WebSocket ${this._url} closed [code:${code}, reason:"${reason}"]`);
 
     if (wasClean === false)
     {
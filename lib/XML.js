@@ -0,0 +1,69 @@
+/**
+ * Minimal XML helpers for the small documents carried in SIP bodies.
+ * Elements are matched by local name, whatever their namespace prefix.
+ */
+
+exports.escape = (value) =>
+{
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+const unescapeXml = exports.unescape = (value) =>
+{
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+};
+
+// Content of the first element with the given local name (any namespace prefix).
+exports.getElementText = (xml, name) =>
+{
+  const regexp = new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`);
+  const match = xml.match(regexp);
+
+  return match ? unescapeXml(match[1].trim()) : null;
+};
+
+// Every element with the given local name (any namespace prefix), including empty elements.
+exports.getElements = (xml, name) =>
+{
+  const regexp = new RegExp(`<(?:[\\w-]+:)?${name}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>)`, 'g');
+  const elements = [];
+  let match;
+
+  while ((match = regexp.exec(xml)) !== null)
+  {
+    elements.push({ attributes: match[1] || '', content: match[2] || '' });
+  }
+
+  return elements;
+};
+
+// Attributes of the first element with the given local name, including empty elements.
+exports.getElementAttributes = (xml, name) =>
+{
+  const regexp = new RegExp(`<(?:[\\w-]+:)?${name}(\\s[^>]*?)?/?>`);
+  const match = xml.match(regexp);
+
+  if (!match)
+  {
+    return null;
+  }
+
+  return match[1] || '';
+};
+
+exports.getAttribute = (attributes, name) =>
+{
+  const match = attributes.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`));
+
+  return match ? unescapeXml(match[1]) : null;
+};
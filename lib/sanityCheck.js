@@ -1,6 +1,7 @@
 const Logger = require('./Logger');
 const JsSIP_C = require('./Constants');
 const SIPMessage = require('./SIPMessage');
+const Transactions = require('./Transactions');
 const Utils = require('./Utils');
 
 const logger = new Logger('sanityCheck');
@@ -140,11 +141,12 @@ function rfc3261_8_2_2_2()
   // INVITE request.
   if (message.method === JsSIP_C.INVITE)
   {
-    // If the branch matches the key of any IST then assume it is a retransmission
-    // and ignore the INVITE.
-    // TODO: we should reply the last response.
+    // If the branch matches the key of any IST then assume it is a retransmission,
+    // reply the last response and ignore the INVITE.
     if (ua._transactions.ist[message.via_branch])
     {
+      Transactions.checkTransaction(ua, message);
+
       return false;
     }
     // Otherwise check whether it is a merged request.
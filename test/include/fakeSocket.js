@@ -0,0 +1,126 @@
+const JsSIP = require('../../');
+const testUA = require('./testUA');
+
+/**
+ * JsSIP.Socket implementation that records the messages sent by the UA and
+ * allows the test to inject incoming messages.
+ */
+class FakeSocket
+{
+  constructor()
+  {
+    this.url = 'ws://localhost:12345';
+    this.via_transport = 'WS';
+    this.sip_uri = 'sip:localhost:12345;transport=ws';
+    this.sent = [];
+  }
+
+  connect()
+  {
+    this.onconnect();
+  }
+
+  disconnect()
+  {
+  }
+
+  send(message)
+  {
+    this.sent.push(message);
+
+    return true;
+  }
+
+  // Deliver a message to the UA.
+  receive(message)
+  {
+    this.ondata(message);
+  }
+
+  // Last sent request with the given method.
+  lastRequest(method)
+  {
+    for (let idx = this.sent.length - 1; idx >= 0; idx--)
+    {
+      if (this.sent[idx].startsWith(`${method} `))
+      {
+        return this.sent[idx];
+      }
+    }
+  }
+}
+
+function getHeader(message, name)
+{
+  const regexp = new RegExp(`^${name}\\s*:\\s*(.*)$`, 'im');
+  const match = message.match(regexp);
+
+  return match ? match[1].trim() : undefined;
+}
+
+/**
+ * Build a response to the given raw request.
+ */
+function createResponse(request, status_code, extraHeaders = [], body = '', to_tag = 'remotetag')
+{
+  let to = getHeader(request, 'To');
+
+  if (!/;tag=/.test(to))
+  {
+    to += `;tag=${to_tag}`;
+  }
+
+  let response = `SIP/2.0 ${status_code} Reason\r\n`;
+
+  response += `Via: ${getHeader(request, 'Via')}\r\n`;
+  response += `To: ${to}\r\n`;
+  response += `From: ${getHeader(request, 'From')}\r\n`;
+  response += `Call-ID: ${getHeader(request, 'Call-ID')}\r\n`;
+  response += `CSeq: ${getHeader(request, 'CSeq')}\r\n`;
+
+  for (const header of extraHeaders)
+  {
+    response += `${header}\r\n`;
+  }
+
+  response += `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+
+  return response;
+}
+
+/**
+ * Build a raw request.
+ */
+function createRequest(method, ruri, headers, body = '')
+{
+  let request = `${method} ${ruri} SIP/2.0\r\n`;
+
+  request += `Via: SIP/2.0/WS remote.invalid;branch=z9hG4bK${Math.floor(Math.random() * 10000000)}\r\n`;
+  request += 'Max-Forwards: 70\r\n';
+
+  for (const header of headers)
+  {
+    request += `${header}\r\n`;
+  }
+
+  request += `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+
+  return request;
+}
+
+/**
+ * Create a UA with the test configuration and the given socket.
+ */
+function createUA(socket, configuration = {})
+{
+  return new JsSIP.UA(
+    Object.assign({}, testUA.UA_CONFIGURATION, { sockets: socket }, configuration));
+}
+
+module.exports = {
+  FakeSocket,
+  getHeader,
+  createResponse,
+  createRequest,
+  createUA
+};
@@ -0,0 +1,110 @@
+const SDP = [
+  'v=0',
+  'o=- 1 1 IN IP4 127.0.0.1',
+  's=-',
+  't=0 0',
+  'c=IN IP4 127.0.0.1',
+  'm=audio 9 RTP/AVP 0',
+  ''
+].join('\r\n');
+
+/**
+ * RTCPeerConnection implementation that resolves every operation right away
+ * with a fixed SDP, enough for RTCSession signaling tests. ICE gathering
+ * completes right after every local description (e.g. on ICE restart).
+ */
+class FakeRTCPeerConnection
+{
+  constructor()
+  {
+    this.iceGatheringState = 'complete';
+    this.iceConnectionState = 'new';
+    this.signalingState = 'stable';
+    this.localDescription = null;
+    this.remoteDescription = null;
+    // Constraints given to every createOffer() call.
+    this.offers = [];
+    this._listeners = {};
+  }
+
+  addEventListener(type, listener)
+  {
+    (this._listeners[type] = this._listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type, listener)
+  {
+    this._listeners[type] = (this._listeners[type] || []).filter((l) => l !== listener);
+  }
+
+  getSenders()
+  {
+    return [];
+  }
+
+  createOffer(constraints)
+  {
+    this.offers.push(constraints);
+
+    return Promise.resolve({ type: 'offer', sdp: SDP });
+  }
+
+  createAnswer()
+  {
+    return Promise.resolve({ type: 'answer', sdp: SDP });
+  }
+
+  setLocalDescription(desc)
+  {
+    this.localDescription = desc;
+
+    // End of candidates.
+    setTimeout(() =>
+    {
+      for (const listener of this._listeners.icecandidate || [])
+      {
+        listener({ candidate: null });
+      }
+    });
+
+    return Promise.resolve();
+  }
+
+  setRemoteDescription(desc)
+  {
+    this.remoteDescription = desc;
+
+    return Promise.resolve();
+  }
+
+  close()
+  {
+  }
+}
+
+function FakeRTCSessionDescription({ type, sdp })
+{
+  this.type = type;
+  this.sdp = sdp;
+}
+
+// Define the WebRTC globals used by RTCSession.
+function install()
+{
+  global.window = { RTCPeerConnection: FakeRTCPeerConnection };
+  global.RTCPeerConnection = FakeRTCPeerConnection;
+  global.RTCSessionDescription = FakeRTCSessionDescription;
+}
+
+function uninstall()
+{
+  delete global.window;
+  delete global.RTCPeerConnection;
+  delete global.RTCSessionDescription;
+}
+
+module.exports = {
+  SDP,
+  install,
+  uninstall
+};
@@ -46,7 +46,9 @@ module.exports = {
     } ],
     'recovery_options' : {
       'min_interval' : 2,
-      'max_interval' : 30
+      'max_interval' : 30,
+      'backoff'      : 'exponential',
+      'max_attempts' : 0
     }
   }
 };
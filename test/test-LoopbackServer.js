@@ -0,0 +1,186 @@
+require('./include/common');
+const { getHeader, createRequest } = require('./include/fakeSocket');
+const JsSIP = require('../');
+
+function createUA(server, user)
+{
+  return new JsSIP.UA({
+    uri      : `sip:${user}@jssip.net`,
+    sockets  : server.createSocket(),
+    register : true
+  });
+}
+
+// Start the given UAs and wait for them to be registered.
+function startAll(uas, callback)
+{
+  let registered = 0;
+
+  for (const ua of uas)
+  {
+    ua.once('registered', () =>
+    {
+      if (++registered === uas.length)
+      {
+        callback();
+      }
+    });
+
+    ua.start();
+  }
+}
+
+module.exports = {
+
+  'register and message' : function(test)
+  {
+    const server = new JsSIP.LoopbackServer();
+    const alice = createUA(server, 'alice');
+    const bob = createUA(server, 'bob');
+
+    startAll([ alice, bob ], () =>
+    {
+      test.deepEqual(server.getBindings('sip:bob@jssip.net'), [ bob.contact.uri.toString() ]);
+
+      bob.on('newMessage', (e) =>
+      {
+        test.strictEqual(e.originator, 'remote');
+        test.strictEqual(e.request.body, 'hello');
+      });
+
+      alice.sendMessage('sip:bob@jssip.net', 'hello', {
+        eventHandlers : {
+          succeeded : () =>
+          {
+            alice.sendMessage('sip:carol@jssip.net', 'hello', {
+              eventHandlers : {
+                failed : (e) =>
+                {
+                  test.strictEqual(e.cause, JsSIP.C.causes.NOT_FOUND);
+
+                  alice.stop();
+                  bob.stop();
+                  server.close();
+                  test.expect(4);
+                  test.done();
+                }
+              }
+            });
+          }
+        }
+      });
+    });
+  },
+
+  'subscribe and notify' : function(test)
+  {
+    const server = new JsSIP.LoopbackServer();
+    const alice = createUA(server, 'alice');
+    const bob = createUA(server, 'bob');
+
+    bob.on('newSubscribe', (e) =>
+    {
+      e.notifier.accept({ expires: 600, body: 'open', contentType: 'application/pidf+xml' });
+    });
+
+    startAll([ alice, bob ], () =>
+    {
+      const subscriber = alice.subscribe('bob', 'presence', 'application/pidf+xml');
+
+      subscriber.on('notify', (e) =>
+      {
+        test.strictEqual(e.body, 'open');
+
+        // In-dialog SUBSCRIBE and NOTIFY.
+        subscriber.terminate();
+      });
+
+      subscriber.on('terminated', () =>
+      {
+        alice.stop();
+        bob.stop();
+        server.close();
+        test.done();
+      });
+    });
+  },
+
+  'INVITE routing' : function(test)
+  {
+    const server = new JsSIP.LoopbackServer();
+    const bob = createUA(server, 'bob');
+    const socket = server.createSocket();
+    const invite = createRequest('INVITE', 'sip:bob@jssip.net', [
+      'To: <sip:bob@jssip.net>',
+      'From: <sip:alice@jssip.net>;tag=alicetag',
+      'Call-ID: loopbackcallid',
+      'CSeq: 1 INVITE',
+      'Contact: <sip:alice@alice.invalid;transport=ws>'
+    ]);
+    // By Call-ID.
+    const responses = {};
+
+    socket.onconnect = () =>
+    {
+      socket.send(invite);
+      socket.send(invite.replace(/sip:bob@/g, 'sip:carol@')
+        .replace('loopbackcallid', 'loopbackcallid2'));
+    };
+    socket.ondisconnect = () => {};
+    socket.ondata = (data) =>
+    {
+      // Final responses only.
+      if (data.startsWith('SIP/2.0 1'))
+      {
+        return;
+      }
+
+      responses[getHeader(data, 'Call-ID')] = data;
+
+      if (Object.keys(responses).length < 2)
+      {
+        return;
+      }
+
+      const rejected = responses.loopbackcallid;
+
+      // Rejected by bob, no newRTCSession listener.
+      test.ok(rejected.startsWith('SIP/2.0 405'));
+      test.strictEqual(getHeader(rejected, 'Via'), getHeader(invite, 'Via'));
+      test.strictEqual(rejected.match(/^Via:/gm).length, 1);
+      // Not registered.
+      test.ok(responses.loopbackcallid2.startsWith('SIP/2.0 404'));
+
+      bob.stop();
+      server.close();
+      test.done();
+    };
+
+    startAll([ bob ], () => socket.connect());
+  },
+
+  'closed connections are forgotten' : function(test)
+  {
+    const server = new JsSIP.LoopbackServer();
+    const alice = createUA(server, 'alice');
+    const bob = createUA(server, 'bob');
+
+    startAll([ alice, bob ], () =>
+    {
+      // Gone without unregistering.
+      bob.transport.disconnect();
+
+      setTimeout(() =>
+      {
+        test.deepEqual(Array.from(server._connections.keys()), [ 1 ]);
+        test.deepEqual(Array.from(server._bindings.keys()), [ 'alice@jssip.net' ]);
+
+        alice.stop();
+        bob.stop();
+        server.close();
+        test.done();
+      });
+    });
+  }
+
+};
@@ -0,0 +1,225 @@
+require('./include/common');
+const EventEmitter = require('events').EventEmitter;
+const net = require('net');
+const testUA = require('./include/testUA');
+const { getHeader, createResponse } = require('./include/fakeSocket');
+const JsSIP = require('../');
+
+/**
+ * In-memory stream given to the socket by createConnection().
+ */
+class FakeStream extends EventEmitter
+{
+  constructor(options)
+  {
+    super();
+
+    this.options = options;
+    this.written = [];
+    this.destroyed = false;
+  }
+
+  write(data)
+  {
+    this.written.push(data);
+  }
+
+  destroy()
+  {
+    this.destroyed = true;
+  }
+}
+
+function createSocket(url, streams)
+{
+  return new JsSIP.TcpSocketInterface(url, {
+    createConnection : (options) =>
+    {
+      const stream = new FakeStream(options);
+
+      streams.push(stream);
+
+      return stream;
+    }
+  });
+}
+
+module.exports = {
+
+  'url parsing' : function(test)
+  {
+    const tcp = createSocket('sip:pbx.example.com', []);
+    const tls = createSocket('sips:pbx.example.com', []);
+    const port = createSocket('sip:pbx.example.com:5080;transport=TLS', []);
+
+    test.strictEqual(tcp.via_transport, 'TCP');
+    test.strictEqual(tcp.sip_uri, 'sip:pbx.example.com:5060;transport=tcp');
+    test.strictEqual(tls.via_transport, 'TLS');
+    test.strictEqual(tls.sip_uri, 'sip:pbx.example.com:5061;transport=tls');
+    test.strictEqual(port.sip_uri, 'sip:pbx.example.com:5080;transport=tls');
+
+    test.throws(() => createSocket('wss://pbx.example.com', []), TypeError);
+    test.throws(() => createSocket('sip:pbx.example.com;transport=udp', []), TypeError);
+    test.throws(() => new JsSIP.TcpSocketInterface('sip:pbx.example.com'), TypeError);
+
+    test.done();
+  },
+
+  'stream framing' : function(test)
+  {
+    const streams = [];
+    const socket = createSocket('sips:pbx.example.com', streams);
+    const received = [];
+    const body = 'ñandú';
+    const message = `MESSAGE sip:a@b SIP/2.0\r\nl: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+    const options = 'OPTIONS sip:a@b SIP/2.0\r\nContent-Length: 0\r\n\r\n';
+
+    socket.onconnect = () => received.push('connect');
+    socket.ondisconnect = (error) => received.push(`disconnect:${error}`);
+    socket.ondata = (data) => received.push(data);
+
+    socket.connect();
+
+    const stream = streams[0];
+
+    test.deepEqual(stream.options, { host: 'pbx.example.com', port: 5061, tls: true });
+    test.ok(socket.isConnecting());
+    test.ok(!socket.send(options));
+
+    stream.emit('secureConnect');
+
+    test.ok(socket.isConnected());
+    test.ok(socket.send(options));
+    test.deepEqual(stream.written, [ options ]);
+
+    // Partial reads, split within a multi-byte character of the body.
+    const bytes = Buffer.from(message);
+
+    stream.emit('data', bytes.subarray(0, 20));
+    stream.emit('data', bytes.subarray(20, bytes.length - 1));
+
+    test.deepEqual(received, [ 'connect' ]);
+
+    stream.emit('data', bytes.subarray(bytes.length - 1));
+
+    test.deepEqual(received, [ 'connect', message ]);
+
+    // Coalesced messages and keep alives.
+    stream.emit('data', `\r\n\r\n${options}\r\n${options}${options.slice(0, 10)}`);
+
+    test.deepEqual(received, [ 'connect', message, '\r\n\r\n', options, '\r\n', options ]);
+
+    stream.emit('close', true);
+
+    test.deepEqual(received.slice(-1), [ 'disconnect:true' ]);
+    test.ok(!socket.isConnected());
+
+    // Events of a disconnected stream are ignored.
+    socket.connect();
+    socket.disconnect();
+    streams[1].emit('secureConnect');
+
+    test.ok(streams[1].destroyed);
+    test.ok(!socket.isConnected());
+    test.strictEqual(received.length, 7);
+
+    test.done();
+  },
+
+  'keep alives split across reads' : function(test)
+  {
+    const streams = [];
+    const socket = createSocket('sip:pbx.example.com', streams);
+    const received = [];
+
+    socket.onconnect = () => {};
+    socket.ondata = (data) => received.push(data);
+    socket.connect();
+    streams[0].emit('connect');
+
+    // Ping from the server.
+    streams[0].emit('data', '\r\n');
+    streams[0].emit('data', '\r\n');
+    streams[0].emit('data', '\r\n\r');
+    streams[0].emit('data', '\n');
+
+    test.deepEqual(received, [ '\r\n\r\n', '\r\n\r\n' ]);
+
+    // Pong to our ping.
+    socket.send('\r\n\r\n');
+    streams[0].emit('data', '\r\n');
+
+    test.deepEqual(received, [ '\r\n\r\n', '\r\n\r\n', '\r\n' ]);
+
+    test.done();
+  },
+
+  'connection failure' : function(test)
+  {
+    const socket = new JsSIP.TcpSocketInterface('sip:pbx.example.com', {
+      createConnection : () =>
+      {
+        throw new Error('no network');
+      }
+    });
+
+    socket.ondisconnect = (error) =>
+    {
+      test.strictEqual(error, true);
+      test.ok(!socket.isConnecting());
+      test.done();
+    };
+
+    socket.connect();
+  },
+
+  'register over node net' : function(test)
+  {
+    const server = net.createServer((connection) =>
+    {
+      connection.setEncoding('utf8');
+      connection.on('data', (data) =>
+      {
+        if (!data.startsWith('REGISTER '))
+        {
+          return;
+        }
+
+        test.ok(getHeader(data, 'Via').startsWith('SIP/2.0/TCP '));
+        test.ok(getHeader(data, 'Contact').includes(';transport=tcp'));
+
+        // 200 written in two chunks, preceded by a keep alive pong.
+        const response = `\r\n${createResponse(data, 200, [
+          `Contact: ${getHeader(data, 'Contact')};expires=600`
+        ])}`;
+
+        connection.write(response.slice(0, 50));
+        setTimeout(() => connection.write(response.slice(50)), 10);
+      });
+    });
+
+    server.listen(0, '127.0.0.1', () =>
+    {
+      const socket = new JsSIP.TcpSocketInterface(
+        `sip:127.0.0.1:${server.address().port};transport=tcp`, {
+          createConnection : ({ host, port }) => net.connect({ host, port })
+        });
+      const config = Object.assign({}, testUA.UA_CONFIGURATION, { sockets: socket });
+      const ua = new JsSIP.UA(config);
+
+      ua.on('connected', () => ua.register());
+      ua.on('registered', () =>
+      {
+        test.ok(ua.isRegistered());
+
+        ua.stop();
+        socket.disconnect();
+        server.close();
+        test.done();
+      });
+
+      ua.start();
+    });
+  }
+
+};
@@ -0,0 +1,217 @@
+require('./include/common');
+const { FakeSocket, getHeader, createResponse, createRequest, createUA } = require('./include/fakeSocket');
+const fakeWebRTC = require('./include/fakeWebRTC');
+const JsSIP = require('../');
+const Timers = require('../lib/Timers');
+
+const MEDIA_CONSTRAINTS = { audio: false, video: false };
+
+function count(socket, method)
+{
+  return socket.sent.filter((message) => message.startsWith(`${method} `)).length;
+}
+
+// Last sent response with the given status code.
+function lastResponse(socket, status_code)
+{
+  return socket.sent.filter((message) => message.startsWith(`SIP/2.0 ${status_code} `)).pop();
+}
+
+function incomingInvite(ua, headers)
+{
+  return createRequest('INVITE', ua.contact.uri.toString(), [
+    'To: <sip:fakeUA@jssip.net>',
+    'From: <sip:bob@jssip.net>;tag=bobtag',
+    'Call-ID: incomingcall',
+    'CSeq: 1 INVITE',
+    'Contact: <sip:bob@bob.invalid;transport=ws>',
+    'Content-Type: application/sdp',
+    ...headers
+  ], fakeWebRTC.SDP);
+}
+
+module.exports = {
+
+  setUp : function(done)
+  {
+    fakeWebRTC.install();
+    done();
+  },
+
+  tearDown : function(done)
+  {
+    fakeWebRTC.uninstall();
+    done();
+  },
+
+  'UAC PRACK and ACK' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+
+    ua.start();
+
+    const session = ua.call('sip:bob@jssip.net', {
+      mediaConstraints : MEDIA_CONSTRAINTS,
+      '100rel'         : 'supported'
+    });
+
+    let invite;
+    let invite_cseq;
+
+    session.on('confirmed', () =>
+    {
+      const ack = socket.lastRequest('ACK');
+
+      test.strictEqual(count(socket, 'ACK'), 1);
+      // Not the CSeq of the last PRACK.
+      test.strictEqual(getHeader(ack, 'CSeq'), `${invite_cseq} ACK`);
+      // The SDP repeated in the 200 is ignored, no new negotiation.
+      test.strictEqual(session.connection.offers.length, 1);
+
+      ua.stop();
+      test.done();
+    });
+
+    function provisional(rseq, body)
+    {
+      socket.receive(createResponse(invite, 183, [
+        'Contact: <sip:bob@bob.invalid;transport=ws>',
+        'Require: 100rel',
+        `RSeq: ${rseq}`,
+        'Content-Type: application/sdp'
+      ], body));
+    }
+
+    // The INVITE is sent once the local description is created.
+    setTimeout(() =>
+    {
+      invite = socket.lastRequest('INVITE');
+      invite_cseq = parseInt(getHeader(invite, 'CSeq'));
+
+      test.ok(getHeader(invite, 'Supported').includes('100rel'));
+
+      provisional(10, fakeWebRTC.SDP);
+
+      const prack = socket.lastRequest('PRACK');
+
+      test.strictEqual(getHeader(prack, 'RAck'), `10 ${invite_cseq} INVITE`);
+      test.strictEqual(getHeader(prack, 'CSeq'), `${invite_cseq + 1} PRACK`);
+      test.ok(getHeader(prack, 'To').includes('tag=remotetag'));
+
+      // Retransmission and response received out of order.
+      provisional(10, fakeWebRTC.SDP);
+      provisional(12, '');
+
+      test.strictEqual(count(socket, 'PRACK'), 1);
+
+      provisional(11, '');
+
+      test.strictEqual(count(socket, 'PRACK'), 2);
+      test.strictEqual(getHeader(socket.lastRequest('PRACK'), 'RAck'), `11 ${invite_cseq} INVITE`);
+
+      // The SDP answer was received within the first reliable provisional
+      // response, repeated in the 200.
+      socket.receive(createResponse(invite, 200, [
+        'Contact: <sip:bob@bob.invalid;transport=ws>',
+        'Content-Type: application/sdp'
+      ], fakeWebRTC.SDP));
+    }, 10);
+  },
+
+  'UAS PRACK' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+
+    ua.on('newRTCSession', ({ session }) =>
+    {
+      session.on('accepted', () =>
+      {
+        const ok = lastResponse(socket, 200);
+
+        // The SDP answer was already sent within the reliable provisional response.
+        test.strictEqual(getHeader(ok, 'Content-Length'), '0');
+        test.strictEqual(getHeader(ok, 'Content-Type'), undefined);
+
+        ua.stop();
+        test.done();
+      });
+
+      // The 180 is not sent reliably unless required.
+      setTimeout(() =>
+      {
+        test.strictEqual(getHeader(lastResponse(socket, 180), 'RSeq'), undefined);
+
+        session.answer({
+          mediaConstraints : MEDIA_CONSTRAINTS,
+          '100rel'         : 'supported'
+        });
+      });
+    });
+
+    ua.start();
+    socket.receive(incomingInvite(ua, [ 'Supported: 100rel' ]));
+
+    setTimeout(() =>
+    {
+      const provisional = lastResponse(socket, 183);
+      const rseq = parseInt(getHeader(provisional, 'RSeq'));
+
+      function prack(cseq, rack)
+      {
+        socket.receive(createRequest('PRACK', 'sip:fakeUA@jssip.net', [
+          `To: ${getHeader(provisional, 'To')}`,
+          'From: <sip:bob@jssip.net>;tag=bobtag',
+          'Call-ID: incomingcall',
+          `CSeq: ${cseq} PRACK`,
+          `RAck: ${rack}`
+        ]));
+
+        return socket.sent[socket.sent.length - 1];
+      }
+
+      test.strictEqual(getHeader(provisional, 'Require'), '100rel');
+      test.ok(provisional.endsWith(fakeWebRTC.SDP));
+      test.strictEqual(lastResponse(socket, 200), undefined);
+
+      test.ok(prack(2, `${rseq + 1} 1 INVITE`).startsWith('SIP/2.0 481 '));
+      test.ok(prack(3, `${rseq} 1 INVITE`).startsWith('SIP/2.0 200 '));
+    }, 10);
+  },
+
+  'UAS PRACK timeout' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+    const T1 = Timers.T1;
+    const T2 = Timers.T2;
+
+    Timers.T1 = 5;
+    Timers.T2 = 40;
+
+    ua.on('newRTCSession', ({ session }) =>
+    {
+      session.on('failed', (e) =>
+      {
+        const provisionals = socket.sent.filter((message) => message.startsWith('SIP/2.0 180 '));
+
+        test.strictEqual(e.cause, JsSIP.C.causes.NO_PRACK);
+        test.ok(provisionals.length > 2);
+        test.ok(provisionals.every((message) =>
+          getHeader(message, 'RSeq') === getHeader(provisionals[0], 'RSeq')));
+        test.ok(lastResponse(socket, 504));
+
+        Timers.T1 = T1;
+        Timers.T2 = T2;
+
+        ua.stop();
+        test.done();
+      });
+    });
+
+    ua.start();
+    socket.receive(incomingInvite(ua, [ 'Require: 100rel' ]));
+  }
+
+};
@@ -0,0 +1,168 @@
+require('./include/common');
+const testUA = require('./include/testUA');
+const { FakeSocket, getHeader, createResponse, createRequest } = require('./include/fakeSocket');
+const JsSIP = require('../');
+
+module.exports = {
+
+  'accounts over one transport' : function(test)
+  {
+    const server = new JsSIP.LoopbackServer();
+    const alice = new JsSIP.UA({
+      uri      : 'sip:alice@jssip.net',
+      sockets  : server.createSocket(),
+      accounts : [ { uri: 'sip:alice2@jssip.net', display_name: 'Line 2' } ]
+    });
+    const bob = new JsSIP.UA({
+      uri     : 'sip:bob@jssip.net',
+      sockets : server.createSocket()
+    });
+    const [ line1, line2 ] = alice.accounts();
+    const registered = [];
+
+    test.strictEqual(alice.account, line1);
+    test.strictEqual(line2.uri.toString(), 'sip:alice2@jssip.net');
+    test.notStrictEqual(line2.contact.uri.user, line1.contact.uri.user);
+
+    alice.on('newMessage', (e) =>
+    {
+      if (e.originator === 'remote')
+      {
+        test.strictEqual(e.message.account, line2);
+
+        // Reply from the same line.
+        alice.sendMessage('sip:bob@jssip.net', 'pong', { account: 'sip:alice2@jssip.net' });
+      }
+    });
+
+    bob.on('newMessage', (e) =>
+    {
+      if (e.originator === 'remote')
+      {
+        test.strictEqual(e.request.from.uri.toString(), 'sip:alice2@jssip.net');
+        test.strictEqual(e.request.from.display_name, 'Line 2');
+
+        alice.stop();
+        bob.stop();
+        server.close();
+        test.done();
+      }
+    });
+
+    alice.on('registered', (e) =>
+    {
+      registered.push(e.account);
+
+      if (registered.length < 2)
+      {
+        return;
+      }
+
+      test.ok(registered.includes(line1) && registered.includes(line2));
+      test.ok(line1.isRegistered() && line2.isRegistered());
+      test.deepEqual(server.getBindings('sip:alice2@jssip.net'), [ line2.contact.uri.toString() ]);
+
+      bob.sendMessage('sip:alice2@jssip.net', 'ping');
+    });
+
+    bob.start();
+    alice.start();
+  },
+
+  'credentials per account' : function(test)
+  {
+    const socket = new FakeSocket();
+    const config = Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets  : socket,
+      accounts : [ {
+        uri                : 'sip:line2@jssip.net',
+        authorization_user : 'line2user',
+        password           : 'secret2'
+      } ]
+    });
+    const ua = new JsSIP.UA(config);
+    const line2 = ua.accounts()[1];
+
+    test.throws(() =>
+    {
+      ua.sendMessage('sip:bob@jssip.net', 'hello', { account: 'sip:nobody@jssip.net' });
+    }, TypeError);
+
+    ua.start();
+    ua.sendMessage('sip:bob@jssip.net', 'hello', {
+      account       : line2,
+      eventHandlers : {
+        succeeded : () =>
+        {
+          // Stored in the account, not in the main one.
+          test.strictEqual(line2.get('realm'), 'jssip.net');
+          test.strictEqual(ua.get('realm'), null);
+
+          ua.stop();
+          test.done();
+        }
+      }
+    });
+
+    const message = socket.lastRequest('MESSAGE');
+
+    test.ok(getHeader(message, 'From').startsWith('<sip:line2@jssip.net>'));
+
+    socket.receive(createResponse(message, 401, [
+      'WWW-Authenticate: Digest realm="jssip.net", nonce="abcd", qop="auth"'
+    ]));
+
+    const authenticated = socket.lastRequest('MESSAGE');
+
+    test.ok(/username="line2user"/.test(getHeader(authenticated, 'Authorization')));
+
+    socket.receive(createResponse(authenticated, 200));
+  },
+
+  'invalid accounts and routing' : function(test)
+  {
+    const create = (accounts) =>
+    {
+      return new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+        sockets : new FakeSocket(),
+        accounts
+      }));
+    };
+
+    test.throws(() => create([ { uri: 'jssip.net' } ]), JsSIP.Exceptions.ConfigurationError);
+    test.throws(() => create([ { uri: 'sip:a@jssip.net' }, { uri: 'sip:a@jssip.net' } ]),
+      JsSIP.Exceptions.ConfigurationError);
+    test.throws(() => create([ { uri: 'sip:a@jssip.net', register: 'yes' } ]),
+      JsSIP.Exceptions.ConfigurationError);
+
+    // Incoming requests are routed by Request-URI.
+    const socket = new FakeSocket();
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets  : socket,
+      accounts : [ { uri: 'sip:line2@jssip.net' } ]
+    }));
+
+    ua.on('newMessage', (e) =>
+    {
+      test.strictEqual(e.message.account, ua.accounts()[1]);
+    });
+
+    const message = (ruri, call_id) => createRequest('MESSAGE', ruri, [
+      'To: <sip:line2@jssip.net>',
+      'From: <sip:bob@jssip.net>;tag=bobtag',
+      `Call-ID: ${call_id}`,
+      'CSeq: 1 MESSAGE'
+    ], 'hello');
+
+    ua.start();
+    socket.receive(message(ua.accounts()[1].contact.uri.toString(), 'message1'));
+    socket.receive(message('sip:nobody@jssip.net', 'message2'));
+
+    test.ok(socket.sent[socket.sent.length - 1].startsWith('SIP/2.0 404'));
+
+    ua.stop();
+    test.expect(5);
+    test.done();
+  }
+
+};
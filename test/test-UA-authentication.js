@@ -0,0 +1,149 @@
+require('./include/common');
+const { FakeSocket, getHeader, createResponse, createUA } = require('./include/fakeSocket');
+
+module.exports = {
+
+  'credentials provider with Digest credentials' : function(test)
+  {
+    const socket = new FakeSocket();
+    const requests = [];
+    const ua = createUA(socket, {
+      password            : null,
+      credentialsProvider : (request) =>
+      {
+        requests.push(request);
+
+        return Promise.resolve({ username: 'alice', password: 'secret' });
+      }
+    });
+
+    ua.start();
+    ua.register();
+
+    const register = socket.lastRequest('REGISTER');
+
+    socket.receive(createResponse(register, 401, [
+      'WWW-Authenticate: Digest realm="jssip.net", nonce="abcd", algorithm=SHA-256, qop="auth"'
+    ]));
+
+    // The provider is called asynchronously.
+    test.strictEqual(socket.lastRequest('REGISTER'), register);
+
+    setTimeout(() =>
+    {
+      const authenticated = socket.lastRequest('REGISTER');
+      const authorization = getHeader(authenticated, 'Authorization');
+
+      test.strictEqual(requests.length, 1);
+      test.strictEqual(requests[0].realm, 'jssip.net');
+      test.strictEqual(requests[0].challenges[0].algorithm, 'SHA-256');
+      test.ok(/^Digest algorithm=SHA-256, username="alice", realm="jssip.net"/.test(authorization));
+      test.strictEqual(getHeader(authenticated, 'CSeq'), '2 REGISTER');
+
+      // Provided credentials are not stored in the UA.
+      test.strictEqual(ua.get('ha1'), null);
+
+      ua.stop();
+      test.done();
+    });
+  },
+
+  'credentials provider with bearer token and no credentials' : function(test)
+  {
+    const socket = new FakeSocket();
+    const tokens = [ 'token1', null ];
+    const ua = createUA(socket, {
+      password            : null,
+      credentialsProvider : () =>
+      {
+        return tokens.length > 0 ? { token: tokens.shift() } : null;
+      }
+    });
+    const statuses = [];
+
+    ua.on('registrationFailed', (e) => statuses.push(e.response.status_code));
+
+    ua.start();
+    ua.register();
+
+    socket.receive(createResponse(socket.lastRequest('REGISTER'), 407, [
+      'Proxy-Authenticate: Bearer realm="jssip.net"'
+    ]));
+
+    setTimeout(() =>
+    {
+      const authenticated = socket.lastRequest('REGISTER');
+
+      test.strictEqual(getHeader(authenticated, 'Proxy-Authorization'), 'Bearer token1');
+
+      // Authenticate once.
+      socket.receive(createResponse(authenticated, 407, [
+        'Proxy-Authenticate: Bearer realm="jssip.net"'
+      ]));
+
+      setTimeout(() =>
+      {
+        test.strictEqual(socket.lastRequest('REGISTER'), authenticated);
+        test.deepEqual(statuses, [ 407 ]);
+
+        ua.stop();
+        test.done();
+      });
+    });
+  },
+
+  'bearer token refresh' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket, {
+      password          : null,
+      authorization_jwt : 'Bearer expired'
+    });
+    const events = [];
+
+    ua.on('tokenExpired', (e) =>
+    {
+      events.push(e);
+      setTimeout(() => e.refresh('fresh'));
+    });
+    ua.on('registered', () => events.push('registered'));
+
+    ua.start();
+    ua.register();
+
+    const register = socket.lastRequest('REGISTER');
+
+    test.strictEqual(getHeader(register, 'Authorization'), 'Bearer expired');
+
+    socket.receive(createResponse(register, 401, [
+      'WWW-Authenticate: Bearer realm="jssip.net", scope="sip", ' +
+        'authz_server="https://as.jssip.net/token", error="invalid_token"'
+    ]));
+
+    test.strictEqual(events.length, 1);
+    test.strictEqual(events[0].challenge.scheme, 'Bearer');
+    test.strictEqual(events[0].challenge.realm, 'jssip.net');
+    test.strictEqual(events[0].challenge.scope, 'sip');
+    test.strictEqual(events[0].challenge.authz_server, 'https://as.jssip.net/token');
+    test.strictEqual(events[0].challenge.error, 'invalid_token');
+
+    setTimeout(() =>
+    {
+      const authenticated = socket.lastRequest('REGISTER');
+
+      test.strictEqual(getHeader(authenticated, 'Authorization'), 'Bearer fresh');
+      test.strictEqual(getHeader(authenticated, 'CSeq'), '2 REGISTER');
+      test.strictEqual(ua.get('authorization_jwt'), 'Bearer fresh');
+
+      socket.receive(createResponse(authenticated, 200, [
+        `Contact: ${ua.contact.toString()};expires=600`
+      ]));
+
+      test.strictEqual(events[1], 'registered');
+
+      ua.stop();
+      test.done();
+    });
+  }
+
+};
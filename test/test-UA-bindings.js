@@ -0,0 +1,119 @@
+require('./include/common');
+const testUA = require('./include/testUA');
+const { FakeSocket, getHeader, createResponse } = require('./include/fakeSocket');
+const JsSIP = require('../');
+
+module.exports = {
+
+  'query and remove bindings' : function(test)
+  {
+    const server = new JsSIP.LoopbackServer();
+    const create = () => new JsSIP.UA({
+      uri      : 'sip:alice@jssip.net',
+      sockets  : server.createSocket(),
+      register : true
+    });
+    const phone = create();
+    const laptop = create();
+    const registrator = phone.registrator();
+    let registered = 0;
+
+    const onRegistered = () =>
+    {
+      if (++registered < 2)
+      {
+        return;
+      }
+
+      registrator.queryBindings()
+        .then((bindings) =>
+        {
+          test.strictEqual(bindings.length, 2);
+
+          const own = bindings.find((binding) => binding.own);
+          const foreign = bindings.find((binding) => !binding.own);
+
+          test.strictEqual(own.uri.toString(), phone.contact.uri.toString());
+          test.strictEqual(own.instance_id, `urn:uuid:${phone.configuration.instance_id}`);
+          test.strictEqual(own.reg_id, 1);
+          test.ok(own.expires > 0);
+          test.strictEqual(foreign.uri.toString(), laptop.contact.uri.toString());
+
+          // Kick the other device.
+          return registrator.removeBinding(foreign);
+        })
+        .then((bindings) =>
+        {
+          test.deepEqual(bindings.map(({ own }) => own), [ true ]);
+          test.deepEqual(server.getBindings('sip:alice@jssip.net'),
+            [ phone.contact.uri.toString() ]);
+
+          phone.on('unregistered', () => test.ok(!phone.isRegistered()));
+
+          return registrator.removeAllBindings();
+        })
+        .then((bindings) =>
+        {
+          test.deepEqual(bindings, []);
+          test.deepEqual(server.getBindings('sip:alice@jssip.net'), []);
+
+          phone.stop();
+          laptop.stop();
+          server.close();
+          test.expect(11);
+          test.done();
+        });
+    };
+
+    phone.once('registered', onRegistered);
+    laptop.once('registered', onRegistered);
+    phone.start();
+    laptop.start();
+  },
+
+  'bindings query request and failure' : function(test)
+  {
+    const socket = new FakeSocket();
+    const config = Object.assign({}, testUA.UA_CONFIGURATION, { sockets: socket });
+    const ua = new JsSIP.UA(config);
+
+    ua.start();
+
+    const query = ua.registrator().queryBindings();
+    const request = socket.lastRequest('REGISTER');
+
+    test.strictEqual(getHeader(request, 'Contact'), undefined);
+
+    socket.receive(createResponse(request, 200, [
+      'Contact: <sip:alice@desk.jssip.net>;q=0.5',
+      'Expires: 300'
+    ]));
+
+    query
+      .then(([ binding ]) =>
+      {
+        test.strictEqual(binding.uri.host, 'desk.jssip.net');
+        test.strictEqual(binding.q, 0.5);
+        test.strictEqual(binding.expires, 300);
+        test.strictEqual(binding.instance_id, null);
+        test.strictEqual(binding.own, false);
+
+        const removal = ua.registrator().removeBinding('sip:alice@desk.jssip.net');
+        const register = socket.lastRequest('REGISTER');
+
+        test.strictEqual(getHeader(register, 'Contact'), '<sip:alice@desk.jssip.net>;expires=0');
+        socket.receive(createResponse(register, 403));
+
+        return removal;
+      })
+      .catch((error) =>
+      {
+        test.strictEqual(error.cause, JsSIP.C.causes.REJECTED);
+        test.strictEqual(error.response.status_code, 403);
+
+        ua.stop();
+        test.done();
+      });
+  }
+
+};
@@ -0,0 +1,208 @@
+require('./include/common');
+const { FakeSocket, getHeader, createResponse, createRequest, createUA } = require('./include/fakeSocket');
+const JsSIP = require('../');
+
+function dialogInfo(version, state, dialogs)
+{
+  return [
+    '<?xml version="1.0"?>',
+    '<dialog-info xmlns="urn:ietf:params:xml:ns:dialog-info"',
+    `    version="${version}" state="${state}" entity="sip:bob@example.com">`,
+    ...dialogs,
+    '</dialog-info>'
+  ].join('\r\n');
+}
+
+const RINGING = [
+  '  <dialog id="d1" call-id="a84b4c76e66710" local-tag="1928301774" direction="recipient">',
+  '    <state>early</state>',
+  '    <remote>',
+  '      <identity display="Alice &amp; Co">sip:alice@example.com</identity>',
+  '      <target uri="sip:alice@pc33.example.com"/>',
+  '    </remote>',
+  '  </dialog>'
+];
+
+const CONFIRMED = [
+  '  <dialog id="d1" call-id="a84b4c76e66710" direction="recipient">',
+  '    <state event="answered" code="200">confirmed</state>',
+  '    <duration>12</duration>',
+  '  </dialog>'
+];
+
+const TRYING = [
+  '  <dialog id="d2" call-id="b84b4c76e66711" direction="recipient">',
+  '    <state>trying</state>',
+  '  </dialog>'
+];
+
+const TERMINATED = [
+  '  <dialog id="d1" call-id="a84b4c76e66710" direction="recipient">',
+  '    <state event="remote-bye">terminated</state>',
+  '  </dialog>'
+];
+
+module.exports = {
+
+  'parse dialog info' : function(test)
+  {
+    const info = JsSIP.DialogInfo.parse(dialogInfo(1, 'full', RINGING));
+    const dialog = info.dialogs[0];
+
+    test.strictEqual(info.entity, 'sip:bob@example.com');
+    test.strictEqual(info.version, 1);
+    test.strictEqual(info.state, 'full');
+    test.strictEqual(dialog.id, 'd1');
+    test.strictEqual(dialog.callId, 'a84b4c76e66710');
+    test.strictEqual(dialog.localTag, '1928301774');
+    test.strictEqual(dialog.remoteTag, null);
+    test.strictEqual(dialog.direction, 'recipient');
+    test.strictEqual(dialog.state, 'early');
+    test.strictEqual(dialog.local, null);
+    test.strictEqual(dialog.remote.uri, 'sip:alice@example.com');
+    test.strictEqual(dialog.remote.display, 'Alice & Co');
+    test.strictEqual(dialog.remote.target, 'sip:alice@pc33.example.com');
+    test.ok(dialog.remote.identity instanceof JsSIP.NameAddrHeader);
+    test.strictEqual(dialog.remote.identity.uri.user, 'alice');
+
+    const confirmed = JsSIP.DialogInfo.parse(dialogInfo(2, 'partial', CONFIRMED)).dialogs[0];
+
+    test.strictEqual(confirmed.event, 'answered');
+    test.strictEqual(confirmed.code, 200);
+    test.strictEqual(confirmed.duration, 12);
+
+    test.strictEqual(JsSIP.DialogInfo.parse('<presence/>'), null);
+
+    const empty = JsSIP.DialogInfo.parse(
+      '<dialog-info xmlns="urn:ietf:params:xml:ns:dialog-info" version="0" state="full"/>');
+
+    test.strictEqual(empty.version, 0);
+    test.deepEqual(empty.dialogs, []);
+
+    test.done();
+  },
+
+  'blf extension states' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+    const states = [];
+
+    ua.start();
+
+    const blf = ua.subscribeBLF([ 'bob' ], {
+      eventHandlers : {
+        change : (e) => states.push(`${e.extension}:${e.state}`)
+      }
+    });
+
+    const subscribe = socket.lastRequest('SUBSCRIBE');
+    let cseq = 1;
+
+    test.deepEqual(blf.extensions, [ 'bob' ]);
+    test.strictEqual(getHeader(subscribe, 'Event'), 'dialog');
+    test.strictEqual(getHeader(subscribe, 'Accept'), 'application/dialog-info+xml');
+    test.strictEqual(blf.getState('bob'), blf.C.STATE_UNKNOWN);
+
+    function notify(body)
+    {
+      socket.receive(createRequest('NOTIFY', ua.contact.uri.toString(), [
+        `To: ${getHeader(subscribe, 'From')}`,
+        `From: ${getHeader(subscribe, 'To')};tag=remotetag`,
+        `Call-ID: ${getHeader(subscribe, 'Call-ID')}`,
+        `CSeq: ${cseq++} NOTIFY`,
+        'Contact: <sip:bob@remote.invalid;transport=ws>',
+        'Event: dialog',
+        'Subscription-State: active;expires=900',
+        'Content-Type: application/dialog-info+xml'
+      ], body));
+    }
+
+    socket.receive(createResponse(subscribe, 200, [
+      'Contact: <sip:bob@remote.invalid;transport=ws>',
+      'Expires: 900'
+    ]));
+
+    notify(dialogInfo(0, 'full', []));
+    notify(dialogInfo(1, 'partial', TRYING));
+    // Still ringing.
+    notify(dialogInfo(2, 'full', RINGING));
+    notify(dialogInfo(3, 'partial', CONFIRMED));
+
+    test.strictEqual(blf.getDialogs('bob').length, 1);
+
+    // Outdated document.
+    notify(dialogInfo(1, 'partial', RINGING));
+    notify(dialogInfo(4, 'partial', TERMINATED));
+
+    test.deepEqual(states, [ 'bob:idle', 'bob:ringing', 'bob:busy', 'bob:idle' ]);
+    test.strictEqual(blf.getDialogs('bob').length, 0);
+
+    blf.remove('bob');
+
+    test.strictEqual(getHeader(socket.lastRequest('SUBSCRIBE'), 'Expires'), '0');
+    test.deepEqual(blf.extensions, []);
+
+    ua.stop();
+    test.done();
+  },
+
+  'blf subscribes again' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+    const states = [];
+    const count = () => socket.sent.filter((m) => m.startsWith('SUBSCRIBE ')).length;
+
+    ua.start();
+
+    const blf = ua.subscribeBLF([ 'bob' ], {
+      eventHandlers : {
+        change : (e) => states.push(e.state)
+      }
+    });
+
+    function terminate(subscriptionState)
+    {
+      const subscribe = socket.lastRequest('SUBSCRIBE');
+
+      socket.receive(createResponse(subscribe, 200, [
+        'Contact: <sip:bob@remote.invalid;transport=ws>',
+        'Expires: 900'
+      ]));
+      socket.receive(createRequest('NOTIFY', ua.contact.uri.toString(), [
+        `To: ${getHeader(subscribe, 'From')}`,
+        `From: ${getHeader(subscribe, 'To')};tag=remotetag`,
+        `Call-ID: ${getHeader(subscribe, 'Call-ID')}`,
+        'CSeq: 1 NOTIFY',
+        'Contact: <sip:bob@remote.invalid;transport=ws>',
+        'Event: dialog',
+        `Subscription-State: ${subscriptionState}`
+      ]));
+    }
+
+    terminate('terminated;reason=deactivated;retry-after=0');
+
+    test.strictEqual(count(), 1);
+    test.strictEqual(blf.getState('bob'), blf.C.STATE_UNKNOWN);
+
+    setTimeout(() =>
+    {
+      test.strictEqual(count(), 2);
+
+      terminate('terminated;reason=noresource');
+
+      setTimeout(() =>
+      {
+        test.strictEqual(count(), 2);
+        test.deepEqual(blf.extensions, [ 'bob' ]);
+        // Unknown since the beginning.
+        test.deepEqual(states, []);
+
+        ua.stop();
+        test.done();
+      }, 10);
+    }, 10);
+  }
+
+};
@@ -0,0 +1,127 @@
+require('./include/common');
+const { FakeSocket, createResponse, createUA } = require('./include/fakeSocket');
+const Transport = require('../lib/Transport');
+
+function countPings(socket)
+{
+  return socket.sent.filter((message) => message === '\r\n\r\n').length;
+}
+
+module.exports = {
+
+  'keep alive pings and dead connection' : function(test)
+  {
+    const socket = new FakeSocket();
+    const transport = new Transport({ socket }, undefined, {
+      interval : 0.01,
+      timeout  : 0.02
+    });
+    const disconnections = [];
+
+    transport.onconnecting = () => {};
+    transport.onconnect = () => {};
+    transport.ondata = () => {};
+    transport.ondisconnect = (e) => disconnections.push(e);
+
+    transport.connect();
+
+    setTimeout(() =>
+    {
+      test.strictEqual(countPings(socket), 1);
+
+      // Pong.
+      socket.receive('\r\n');
+
+      setTimeout(() =>
+      {
+        test.strictEqual(countPings(socket), 2);
+        test.strictEqual(disconnections.length, 0);
+
+        // No pong this time.
+        setTimeout(() =>
+        {
+          test.strictEqual(disconnections.length, 1);
+          test.strictEqual(disconnections[0].error, true);
+          test.strictEqual(disconnections[0].reason, 'Keep Alive timeout');
+          test.ok(!transport.isConnected());
+
+          transport.disconnect();
+          test.done();
+        }, 40);
+      }, 15);
+    }, 15);
+  },
+
+  'default keep alive timeout' : function(test)
+  {
+    const socket = new FakeSocket();
+    const transport = new Transport({ socket }, undefined, { interval: 0.01 });
+    const disconnections = [];
+
+    transport.onconnecting = () => {};
+    transport.onconnect = () => {};
+    transport.ondata = () => {};
+    transport.ondisconnect = (e) => disconnections.push(e);
+
+    transport.connect();
+
+    // Still waiting for the pong, during the default timeout.
+    setTimeout(() =>
+    {
+      test.strictEqual(countPings(socket), 1);
+      test.strictEqual(disconnections.length, 0);
+      test.ok(transport.isConnected());
+
+      transport.disconnect();
+      test.done();
+    }, 50);
+  },
+
+  'binary keep alives' : function(test)
+  {
+    const socket = new FakeSocket();
+    const transport = new Transport({ socket });
+    const received = [];
+
+    transport.onconnecting = () => {};
+    transport.onconnect = () => {};
+    transport.ondisconnect = () => {};
+    transport.ondata = ({ message }) => received.push(message);
+
+    transport.connect();
+
+    // As passed by UdpSocketInterface.
+    socket.receive(Buffer.from('\r\n\r\n'));
+    socket.receive(Buffer.from('OPTIONS ð→€ł'));
+
+    test.deepEqual(socket.sent, [ '\r\n' ]);
+    test.deepEqual(received, [ 'OPTIONS ð→€ł' ]);
+
+    transport.disconnect();
+    test.done();
+  },
+
+  'flow timer from registrar' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+
+    ua.start();
+    ua.register();
+
+    // Keep alives disabled by default.
+    test.strictEqual(ua.transport.keep_alive_timer, null);
+
+    socket.receive(createResponse(socket.lastRequest('REGISTER'), 200, [
+      `Contact: ${ua.contact.toString()};expires=600`,
+      'Flow-Timer: 25'
+    ]));
+
+    test.strictEqual(ua.transport.flow_timer, 25);
+    test.notStrictEqual(ua.transport.keep_alive_timer, null);
+
+    ua.stop();
+    test.done();
+  }
+
+};
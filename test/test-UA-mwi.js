@@ -0,0 +1,120 @@
+require('./include/common');
+const testUA = require('./include/testUA');
+const { FakeSocket, getHeader, createResponse, createRequest, createUA } = require('./include/fakeSocket');
+const JsSIP = require('../');
+
+const SUMMARY = [
+  'Messages-Waiting: yes',
+  'Message-Account: sip:alice@vmail.example.com',
+  'Voice-Message: 2/8 (0/2)',
+  'Fax-Message: 1/0',
+  '',
+  'To: <alice@atlanta.example.com>',
+  'Subject: Lunch'
+].join('\r\n');
+
+module.exports = {
+
+  'parse message summary' : function(test)
+  {
+    test.deepEqual(JsSIP.MessageSummary.parse(SUMMARY), {
+      messagesWaiting : true,
+      messageAccount  : 'sip:alice@vmail.example.com',
+      messages        :
+      {
+        voice :
+        {
+          newMessages       : 2,
+          oldMessages       : 8,
+          newUrgentMessages : 0,
+          oldUrgentMessages : 2
+        },
+        fax :
+        {
+          newMessages       : 1,
+          oldMessages       : 0,
+          newUrgentMessages : 0,
+          oldUrgentMessages : 0
+        }
+      }
+    });
+
+    test.strictEqual(JsSIP.MessageSummary.parse('Messages-Waiting: no').messagesWaiting, false);
+    test.strictEqual(JsSIP.MessageSummary.parse('Voice-Message: 2/8'), null);
+
+    test.done();
+  },
+
+  'mwi subscription' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+
+    ua.start();
+
+    const subscriber = ua.subscribeMWI();
+
+    ua.on('mwi', (e) =>
+    {
+      test.strictEqual(e.unsolicited, false);
+      test.strictEqual(e.subscriber, subscriber);
+      test.strictEqual(e.summary.messages.voice.newMessages, 2);
+    });
+
+    const subscribe = socket.lastRequest('SUBSCRIBE');
+
+    test.strictEqual(subscribe.split(' ')[1], ua.configuration.uri.toString());
+    test.strictEqual(getHeader(subscribe, 'Event'), 'message-summary');
+
+    socket.receive(createResponse(subscribe, 200, [
+      'Contact: <sip:vmail@remote.invalid;transport=ws>',
+      'Expires: 900'
+    ]));
+
+    socket.receive(createRequest('NOTIFY', ua.contact.uri.toString(), [
+      `To: ${getHeader(subscribe, 'From')}`,
+      `From: ${getHeader(subscribe, 'To')};tag=remotetag`,
+      `Call-ID: ${getHeader(subscribe, 'Call-ID')}`,
+      'CSeq: 1 NOTIFY',
+      'Contact: <sip:vmail@remote.invalid;transport=ws>',
+      'Event: message-summary',
+      'Subscription-State: active;expires=900',
+      'Content-Type: application/simple-message-summary'
+    ], SUMMARY));
+
+    ua.stop();
+    test.expect(5);
+    test.done();
+  },
+
+  'unsolicited mwi' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+
+    ua.start();
+
+    ua.on('mwi', (e) =>
+    {
+      test.strictEqual(e.unsolicited, true);
+      test.strictEqual(e.subscriber, null);
+      test.strictEqual(e.summary.messageAccount, 'sip:alice@vmail.example.com');
+    });
+
+    socket.receive(createRequest('NOTIFY', ua.contact.uri.toString(), [
+      `To: <${testUA.UA_CONFIGURATION.uri}>`,
+      'From: <sip:vmail@remote.invalid>;tag=remotetag',
+      'Call-ID: unsolicitedmwi',
+      'CSeq: 1 NOTIFY',
+      'Event: message-summary',
+      'Content-Type: application/simple-message-summary'
+    ], SUMMARY));
+
+    test.strictEqual(socket.sent[socket.sent.length - 1].split('\r\n')[0], 'SIP/2.0 200 OK');
+
+    ua.stop();
+    test.expect(4);
+    test.done();
+  }
+
+};
@@ -0,0 +1,211 @@
+require('./include/common');
+const { FakeSocket, getHeader, createResponse, createRequest, createUA } = require('./include/fakeSocket');
+const fakeWebRTC = require('./include/fakeWebRTC');
+
+/**
+ * Start an outgoing call and answer it, then call the given callback once
+ * confirmed.
+ */
+function establish(ua, socket, callback)
+{
+  const session = ua.call('sip:bob@jssip.net', {
+    mediaConstraints : { audio: false, video: false }
+  });
+
+  session.on('confirmed', () => callback(session));
+
+  // The INVITE is sent once the local description is created.
+  setTimeout(() =>
+  {
+    socket.receive(createResponse(socket.lastRequest('INVITE'), 200, [
+      'Contact: <sip:bob@bob.invalid;transport=ws>',
+      'Content-Type: application/sdp'
+    ], fakeWebRTC.SDP));
+  }, 10);
+}
+
+// Answer the last re-INVITE.
+function answerReinvite(socket)
+{
+  socket.receive(createResponse(socket.lastRequest('INVITE'), 200, [
+    'Contact: <sip:bob@bob.invalid;transport=ws>',
+    'Content-Type: application/sdp'
+  ], fakeWebRTC.SDP));
+}
+
+module.exports = {
+
+  'reconnect and register again' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+    const events = [];
+    let connections = 0;
+
+    socket.connect = function()
+    {
+      connections++;
+      this.onconnect();
+    };
+
+    // Ignored until started.
+    ua.handleNetworkChange();
+
+    test.strictEqual(connections, 0);
+
+    ua.on('connected', () => events.push('connected'));
+    ua.on('disconnected', (e) => events.push(`disconnected:${e.reason}`));
+    ua.on('registered', () => events.push('registered'));
+    ua.on('unregistered', () => events.push('unregistered'));
+
+    ua.start();
+    ua.register();
+
+    let register = socket.lastRequest('REGISTER');
+
+    socket.receive(createResponse(register, 200, [
+      `Contact: ${getHeader(register, 'Contact')};expires=600`
+    ]));
+
+    ua.handleNetworkChange();
+
+    test.strictEqual(connections, 2);
+    test.ok(ua.isConnected());
+    test.notStrictEqual(socket.lastRequest('REGISTER'), register);
+
+    register = socket.lastRequest('REGISTER');
+
+    socket.receive(createResponse(register, 200, [
+      `Contact: ${getHeader(register, 'Contact')};expires=600`
+    ]));
+
+    test.deepEqual(events, [
+      'connected',
+      'registered',
+      'unregistered',
+      'disconnected:Network change',
+      'connected',
+      'registered'
+    ]);
+    test.ok(ua.isRegistered());
+
+    ua.stop();
+    test.done();
+  },
+
+  'restart ICE in established sessions' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+    const events = [];
+
+    fakeWebRTC.install();
+    ua.start();
+
+    establish(ua, socket, (session) =>
+    {
+      const invites = socket.sent.filter((m) => m.startsWith('INVITE ')).length;
+
+      session.on('networkchange', ({ state }) =>
+      {
+        events.push(state);
+
+        if (state !== 'reconnected')
+        {
+          return;
+        }
+
+        test.deepEqual(events, [ 'reconnecting', 'restartingIce', 'reconnected' ]);
+
+        fakeWebRTC.uninstall();
+        ua.stop();
+        test.done();
+      });
+
+      // New GRUU assigned on the new connection.
+      ua.contact.pub_gruu = 'sip:fakeUA@jssip.net;gr=urn:uuid:f81d4fae-7dec-11d0-a765-00a0c91e6bf6';
+
+      ua.handleNetworkChange();
+
+      test.deepEqual(events, [ 'reconnecting', 'restartingIce' ]);
+
+      setTimeout(() =>
+      {
+        const reinvite = socket.lastRequest('INVITE');
+        const offers = session.connection.offers;
+
+        test.strictEqual(socket.sent.filter((m) => m.startsWith('INVITE ')).length, invites + 1);
+        test.strictEqual(getHeader(reinvite, 'Contact'), `<${ua.contact.pub_gruu}>`);
+        test.strictEqual(offers[offers.length - 1].iceRestart, true);
+
+        answerReinvite(socket);
+      }, 10);
+    });
+  },
+
+  'defer ICE restart during a negotiation' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+    const events = [];
+
+    fakeWebRTC.install();
+    ua.start();
+
+    establish(ua, socket, (session) =>
+    {
+      const invite = socket.sent[0];
+      let answer;
+
+      session.on('networkchange', ({ state }) =>
+      {
+        events.push(state);
+
+        if (state !== 'restartingIce')
+        {
+          return;
+        }
+
+        test.deepEqual(events, [ 'reconnecting', 'restartingIce' ]);
+
+        setTimeout(() =>
+        {
+          const offers = session.connection.offers;
+
+          test.ok(socket.lastRequest('INVITE').startsWith('INVITE sip:bob@bob.invalid'));
+          test.strictEqual(offers[offers.length - 1].iceRestart, true);
+
+          fakeWebRTC.uninstall();
+          ua.stop();
+          test.done();
+        }, 10);
+      });
+
+      // Create the answer to the remote re-INVITE later.
+      session.connection.createAnswer = () => new Promise((resolve) =>
+      {
+        answer = resolve;
+      });
+
+      socket.receive(createRequest('INVITE', ua.contact.uri.toString(), [
+        `To: ${getHeader(invite, 'From')}`,
+        `From: ${getHeader(invite, 'To')};tag=remotetag`,
+        `Call-ID: ${getHeader(invite, 'Call-ID')}`,
+        'CSeq: 1 INVITE',
+        'Contact: <sip:bob@bob.invalid;transport=ws>',
+        'Content-Type: application/sdp'
+      ], fakeWebRTC.SDP));
+
+      setTimeout(() =>
+      {
+        ua.handleNetworkChange();
+
+        // Not failed, waiting for the local description in progress.
+        test.deepEqual(events, [ 'reconnecting' ]);
+
+        answer({ type: 'answer', sdp: fakeWebRTC.SDP });
+      }, 10);
+    });
+  }
+
+};
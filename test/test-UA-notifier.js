@@ -0,0 +1,167 @@
+require('./include/common');
+const { FakeSocket, getHeader, createResponse, createRequest, createUA } = require('./include/fakeSocket');
+const Timers = require('../lib/Timers');
+
+function createSubscribe(ua, cseq, expires, to_tag = null)
+{
+  let to = `<${ua.configuration.uri}>`;
+
+  if (to_tag)
+  {
+    to += `;tag=${to_tag}`;
+  }
+
+  return createRequest('SUBSCRIBE', ua.contact.uri.toString(), [
+    `To: ${to}`,
+    'From: <sip:bob@remote.invalid>;tag=remotetag',
+    'Call-ID: notifiercallid',
+    `CSeq: ${cseq} SUBSCRIBE`,
+    'Contact: <sip:bob@remote.invalid;transport=ws>',
+    'Event: presence',
+    'Accept: application/pidf+xml',
+    `Expires: ${expires}`
+  ]);
+}
+
+function lastResponse(socket)
+{
+  return socket.sent[socket.sent.length - 2];
+}
+
+module.exports = {
+
+  'subscribe accepted and unsubscribed' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+    const events = [];
+    let notifier;
+
+    ua.start();
+
+    ua.on('newSubscribe', (e) =>
+    {
+      notifier = e.notifier;
+
+      test.strictEqual(e.originator, 'remote');
+      test.strictEqual(e.event.event, 'presence');
+
+      notifier.on('subscribe', (data) => events.push(data.isUnsubscribe ? 'unsubscribe' : 'subscribe'));
+      notifier.on('terminated', (data) =>
+      {
+        events.push('terminated');
+        test.strictEqual(data.terminationCode, notifier.C.RECEIVE_UNSUBSCRIBE);
+      });
+
+      notifier.accept({ expires: 600, body: 'open', contentType: 'application/pidf+xml' });
+    });
+
+    socket.receive(createSubscribe(ua, 1, 3600));
+
+    const response = lastResponse(socket);
+    const to_tag = getHeader(response, 'To').match(/;tag=(.*)$/)[1];
+    let notify = socket.lastRequest('NOTIFY');
+
+    test.strictEqual(response.split('\r\n')[0], 'SIP/2.0 200 OK');
+    test.strictEqual(getHeader(response, 'Expires'), '600');
+    test.ok(notify, 'NOTIFY sent');
+    test.strictEqual(getHeader(notify, 'Event'), 'presence');
+    test.ok(/^active;expires=\d+$/.test(getHeader(notify, 'Subscription-State')));
+    test.strictEqual(getHeader(notify, 'Content-Type'), 'application/pidf+xml');
+    test.strictEqual(getHeader(notify, 'Call-ID'), 'notifiercallid');
+    test.strictEqual(notifier.state, notifier.C.STATE_ACTIVE);
+
+    socket.receive(createResponse(notify, 200));
+
+    socket.receive(createSubscribe(ua, 2, 0, to_tag));
+
+    notify = socket.lastRequest('NOTIFY');
+
+    test.strictEqual(lastResponse(socket).split('\r\n')[0], 'SIP/2.0 200 OK');
+    test.strictEqual(getHeader(notify, 'Subscription-State'), 'terminated');
+    test.deepEqual(events, [ 'unsubscribe', 'terminated' ]);
+    test.ok(notifier.isTerminated());
+
+    ua.stop();
+    test.done();
+  },
+
+  'subscribe without listeners' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+
+    ua.start();
+
+    socket.receive(createSubscribe(ua, 1, 3600));
+
+    test.strictEqual(socket.sent[socket.sent.length - 1].split('\r\n')[0], 'SIP/2.0 405 Method Not Allowed');
+
+    ua.stop();
+    test.done();
+  },
+
+  'fetch' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+    const terminations = [];
+
+    ua.start();
+
+    ua.on('newSubscribe', ({ notifier }) =>
+    {
+      notifier.on('terminated', ({ terminationCode }) => terminations.push(terminationCode));
+      notifier.accept({ body: 'open', contentType: 'application/pidf+xml' });
+
+      test.deepEqual(terminations, [ notifier.C.SUBSCRIPTION_EXPIRED ]);
+    });
+
+    socket.receive(createSubscribe(ua, 1, 0));
+
+    setTimeout(() =>
+    {
+      const notifies = socket.sent.filter((message) => message.startsWith('NOTIFY '));
+
+      test.strictEqual(getHeader(lastResponse(socket), 'Expires'), '0');
+      test.strictEqual(notifies.length, 1);
+      test.strictEqual(getHeader(notifies[0], 'Subscription-State'), 'terminated;reason=timeout');
+      test.ok(notifies[0].endsWith('\r\n\r\nopen'));
+      test.strictEqual(terminations.length, 1);
+
+      ua.stop();
+      test.done();
+    }, 10);
+  },
+
+  'subscribe not replied' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+    const TIMER_F = Timers.TIMER_F;
+
+    Timers.TIMER_F = 20;
+
+    ua.start();
+
+    ua.on('newSubscribe', ({ notifier }) =>
+    {
+      notifier.on('terminated', ({ terminationCode }) =>
+      {
+        const response = socket.sent[socket.sent.length - 1];
+
+        test.strictEqual(terminationCode, notifier.C.SUBSCRIBE_NOT_REPLIED);
+        test.ok(response.startsWith('SIP/2.0 480 '));
+        test.ok(notifier.isTerminated());
+
+        Timers.TIMER_F = TIMER_F;
+
+        ua.stop();
+        test.done();
+      });
+    });
+
+    socket.receive(createSubscribe(ua, 1, 3600));
+  }
+
+};
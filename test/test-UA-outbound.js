@@ -0,0 +1,74 @@
+require('./include/common');
+const testUA = require('./include/testUA');
+const { FakeSocket, getHeader, createResponse } = require('./include/fakeSocket');
+const JsSIP = require('../');
+
+function register200(socket)
+{
+  const register = socket.lastRequest('REGISTER');
+
+  socket.receive(createResponse(register, 200, [
+    `Contact: ${getHeader(register, 'Contact').replace(/;expires=\d+/, '')};expires=600`
+  ]));
+}
+
+module.exports = {
+
+  'a registered flow per socket' : function(test)
+  {
+    const primary = new FakeSocket();
+    const secondary = new FakeSocket();
+    const config = Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets : [
+        { socket: secondary, weight: 1 },
+        { socket: primary, weight: 10 }
+      ],
+      outbound_flows : true
+    });
+    const ua = new JsSIP.UA(config);
+    const events = [];
+
+    ua.on('registered', () => events.push('registered'));
+    ua.on('unregistered', () => events.push('unregistered'));
+
+    ua.start();
+    ua.register();
+
+    const register1 = primary.lastRequest('REGISTER');
+    const register2 = secondary.lastRequest('REGISTER');
+
+    test.ok(/;reg-id=1;/.test(getHeader(register1, 'Contact')));
+    test.ok(/;reg-id=2;/.test(getHeader(register2, 'Contact')));
+    test.notStrictEqual(getHeader(register1, 'Call-ID'), getHeader(register2, 'Call-ID'));
+
+    register200(primary);
+    register200(secondary);
+
+    test.deepEqual(events, [ 'registered', 'registered' ]);
+
+    // The primary edge proxy dies.
+    primary.ondisconnect(true);
+
+    test.deepEqual(events, [ 'registered', 'registered', 'unregistered' ]);
+    test.ok(ua.isConnected());
+    test.ok(ua.isRegistered());
+
+    // New requests go through the remaining flow.
+    ua.sendMessage('sip:bob@jssip.net', 'hello');
+
+    test.ok(secondary.lastRequest('MESSAGE'));
+    test.strictEqual(primary.lastRequest('MESSAGE'), undefined);
+
+    // The flow is registered again once recovered.
+    const sent = primary.sent.length;
+
+    ua._flows[0].transport.connect();
+
+    test.strictEqual(primary.sent.length, sent + 1);
+    test.ok(/;reg-id=1;/.test(getHeader(primary.lastRequest('REGISTER'), 'Contact')));
+
+    ua.stop();
+    test.done();
+  }
+
+};
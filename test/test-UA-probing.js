@@ -0,0 +1,156 @@
+require('./include/common');
+const testUA = require('./include/testUA');
+const { FakeSocket, getHeader, createResponse } = require('./include/fakeSocket');
+const JsSIP = require('../');
+const Transport = require('../lib/Transport');
+
+/**
+ * FakeSocket that keeps its connection state, like the real sockets.
+ */
+class StatefulSocket extends FakeSocket
+{
+  connect()
+  {
+    if (this.connected)
+    {
+      return;
+    }
+
+    this.connected = true;
+    this.onconnect();
+  }
+
+  disconnect()
+  {
+    this.connected = false;
+  }
+}
+
+module.exports = {
+
+  'probe sockets with OPTIONS' : function(test)
+  {
+    const active = new FakeSocket();
+    const idle = new FakeSocket();
+    const config = Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets : [
+        { socket: active, weight: 10 },
+        { socket: idle, weight: 1 }
+      ],
+      connection_probe_interval : 1
+    });
+    const ua = new JsSIP.UA(config);
+    let closed = false;
+
+    idle.disconnect = () => { closed = true; };
+
+    ua.start();
+
+    setTimeout(() =>
+    {
+      const options = active.lastRequest('OPTIONS');
+
+      test.strictEqual(getHeader(options, 'Max-Forwards'), '0');
+      test.ok(idle.lastRequest('OPTIONS'));
+
+      active.receive(createResponse(options, 200));
+      idle.receive(createResponse(idle.lastRequest('OPTIONS'), 483));
+
+      const stats = ua.transportStats();
+
+      test.strictEqual(stats.length, 2);
+      test.ok(stats[0].active && stats[0].connected);
+      test.ok(!stats[1].active && !stats[1].connected);
+      test.ok(stats.every(({ rtt, failures }) => rtt >= 0 && failures === 0));
+      test.ok(stats[1].probed_at instanceof Date);
+      test.ok(closed);
+
+      ua.stop();
+      test.done();
+    }, 1100);
+  },
+
+  'latency selection' : function(test)
+  {
+    const sockets = [ new FakeSocket(), new FakeSocket(), new FakeSocket() ];
+
+    // Connect choosing a socket given the probe results.
+    const connect = (results) =>
+    {
+      const transport = new Transport(
+        sockets.map((socket) => ({ socket })), undefined, undefined, undefined, 'latency');
+
+      transport.onconnecting = () => {};
+      transport.onconnect = () => {};
+      transport.ondisconnect = () => {};
+      transport.ondata = () => {};
+
+      results.forEach((rtt, idx) =>
+      {
+        if (rtt !== undefined)
+        {
+          transport.setProbeResult(sockets[idx], rtt);
+        }
+      });
+      transport.reconnectNow();
+      transport.disconnect();
+
+      return transport;
+    };
+
+    test.strictEqual(connect([ 50, 10, null ]).socket, sockets[1]);
+    test.strictEqual(connect([ 50, 10, null ]).stats()[2].failures, 1);
+
+    // The healthy one.
+    test.strictEqual(connect([ 50, null, null ]).socket, sockets[0]);
+
+    // Not probed yet last.
+    test.strictEqual(connect([ undefined, 30, undefined ]).socket, sockets[1]);
+
+    test.done();
+  },
+
+  'switch to a socket being probed' : function(test)
+  {
+    const active = new StatefulSocket();
+    const idle = new StatefulSocket();
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets : [
+        { socket: active, weight: 10 },
+        { socket: idle, weight: 1 }
+      ],
+      connection_probe_interval : 1
+    }));
+    let connections = 0;
+
+    ua.on('connected', () => connections++);
+    ua.start();
+
+    setTimeout(() =>
+    {
+      const options = idle.lastRequest('OPTIONS');
+
+      test.ok(options);
+
+      // The main transport moves to the idle socket while its probe is pending.
+      ua.transport.setSocketWeight(idle, 20);
+      active.disconnect();
+      active.ondisconnect(true);
+      ua.transport.reconnectNow();
+
+      test.strictEqual(ua.transport.socket, idle);
+      test.ok(ua.transport.isConnected());
+      test.strictEqual(connections, 2);
+
+      // The cancelled probe records nothing.
+      idle.receive(createResponse(options, 200));
+
+      test.strictEqual(ua.transportStats()[1].rtt, null);
+      test.strictEqual(ua.transportStats()[1].failures, 0);
+
+      ua.stop();
+      test.done();
+    }, 1100);
+  }
+
+};
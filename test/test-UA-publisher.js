@@ -0,0 +1,136 @@
+require('./include/common');
+const { FakeSocket, getHeader, createResponse, createUA } = require('./include/fakeSocket');
+const JsSIP = require('../');
+
+function getBody(message)
+{
+  return message.split('\r\n\r\n').slice(1)
+    .join('\r\n\r\n');
+}
+
+module.exports = {
+
+  'pidf build and parse' : function(test)
+  {
+    const pidf = JsSIP.PIDF.build({
+      entity     : 'sip:alice@example.com',
+      basic      : 'open',
+      note       : 'On the phone & busy',
+      activities : [ 'on-the-phone' ],
+      id         : 't1'
+    });
+
+    test.deepEqual(JsSIP.PIDF.parse(pidf), {
+      entity     : 'sip:alice@example.com',
+      basic      : 'open',
+      note       : 'On the phone & busy',
+      activities : [ 'on-the-phone' ],
+      tuples     : [ { id: 't1', basic: 'open', contact: null, note: 'On the phone & busy' } ]
+    });
+
+    test.strictEqual(JsSIP.PIDF.parse('Messages-Waiting: yes'), null);
+    test.throws(() => JsSIP.PIDF.build({ entity: 'sip:alice@example.com', basic: 'away' }), TypeError);
+    test.throws(() => JsSIP.PIDF.build({
+      entity     : 'sip:alice@example.com',
+      activities : [ 'away/><rpid:busy' ]
+    }), TypeError);
+    test.throws(() => JsSIP.PIDF.build({
+      entity     : 'sip:alice@example.com',
+      activities : [ 'on the phone' ]
+    }), TypeError);
+
+    test.done();
+  },
+
+  'publish, modify, 412 recovery and removal' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+    const events = [];
+    const available = JsSIP.PIDF.build({ entity: ua.configuration.uri.toString() });
+    const away = JsSIP.PIDF.build({ entity: ua.configuration.uri.toString(), activities: [ 'away' ] });
+
+    ua.start();
+
+    const publisher = ua.publish('presence', available, {
+      expires       : 600,
+      eventHandlers : {
+        published : (e) => events.push(`published:${e.etag}`),
+        removed   : () => events.push('removed')
+      }
+    });
+
+    let publish = socket.lastRequest('PUBLISH');
+
+    test.strictEqual(getHeader(publish, 'Event'), 'presence');
+    test.strictEqual(getHeader(publish, 'Expires'), '600');
+    test.strictEqual(getHeader(publish, 'Content-Type'), 'application/pidf+xml');
+    test.strictEqual(getHeader(publish, 'SIP-If-Match'), undefined);
+    test.strictEqual(getBody(publish), available);
+
+    socket.receive(createResponse(publish, 200, [ 'SIP-ETag: etag1', 'Expires: 600' ]));
+
+    test.strictEqual(publisher.state, publisher.C.STATE_PUBLISHED);
+
+    // Modify the published state.
+    publisher.publish(away);
+    publish = socket.lastRequest('PUBLISH');
+
+    test.strictEqual(getHeader(publish, 'SIP-If-Match'), 'etag1');
+    test.strictEqual(getBody(publish), away);
+
+    // The compositor lost our state, publish it again from scratch.
+    socket.receive(createResponse(publish, 412));
+    publish = socket.lastRequest('PUBLISH');
+
+    test.strictEqual(getHeader(publish, 'SIP-If-Match'), undefined);
+    test.strictEqual(getBody(publish), away);
+
+    socket.receive(createResponse(publish, 200, [ 'SIP-ETag: etag2', 'Expires: 600' ]));
+
+    // ua.stop() removes the publication.
+    ua.stop();
+    publish = socket.lastRequest('PUBLISH');
+
+    test.strictEqual(getHeader(publish, 'Expires'), '0');
+    test.strictEqual(getHeader(publish, 'SIP-If-Match'), 'etag2');
+    test.strictEqual(getBody(publish), '');
+
+    socket.receive(createResponse(publish, 200, [ 'SIP-ETag: etag2', 'Expires: 0' ]));
+
+    test.deepEqual(events, [ 'published:etag1', 'published:etag2', 'removed' ]);
+    test.ok(publisher.isTerminated());
+
+    test.done();
+  },
+
+  'refresh with short expiration' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+
+    ua.start();
+    ua.publish('presence', JsSIP.PIDF.build({ entity: ua.configuration.uri.toString() }), {
+      expires : 600
+    });
+
+    socket.receive(createResponse(socket.lastRequest('PUBLISH'), 200, [
+      'SIP-ETag: etag1',
+      'Expires: 1'
+    ]));
+
+    const count = () => socket.sent.filter((message) => message.startsWith('PUBLISH ')).length;
+
+    // Not refreshed right away, but in the middle of the granted interval.
+    setTimeout(() => test.strictEqual(count(), 1), 100);
+    setTimeout(() =>
+    {
+      test.strictEqual(count(), 2);
+      test.strictEqual(getHeader(socket.lastRequest('PUBLISH'), 'SIP-If-Match'), 'etag1');
+
+      ua.stop();
+      test.done();
+    }, 700);
+  }
+
+};
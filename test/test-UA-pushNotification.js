@@ -0,0 +1,108 @@
+require('./include/common');
+const testUA = require('./include/testUA');
+const { FakeSocket, getHeader, createResponse, createRequest } = require('./include/fakeSocket');
+const JsSIP = require('../');
+
+const PUSH_NOTIFICATION = {
+  provider : 'apns',
+  param    : 'DEF123GHIJ.com.example.voip',
+  prid     : '00fc13adff785122b4ad28809a3420982341241421348097878e577c991de8f0'
+};
+
+function createUA(socket, options)
+{
+  return new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+    sockets           : socket,
+    push_notification : PUSH_NOTIFICATION
+  }, options));
+}
+
+module.exports = {
+
+  'push notification Contact params' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+
+    test.throws(() => createUA(new FakeSocket(), { push_notification: { prid: 'abcd' } }),
+      JsSIP.Exceptions.ConfigurationError);
+    test.throws(() => createUA(new FakeSocket(), { push_notification: { provider: 'a b' } }),
+      JsSIP.Exceptions.ConfigurationError);
+
+    ua.on('registrationFailed', (e) =>
+    {
+      test.strictEqual(e.cause, JsSIP.C.causes.PUSH_NOTIFICATION_NOT_SUPPORTED);
+
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+    ua.register();
+
+    const register = socket.lastRequest('REGISTER');
+
+    // URI params.
+    test.ok(getHeader(register, 'Contact').includes(
+      `;pn-provider=apns;pn-param=${PUSH_NOTIFICATION.param};pn-prid=${PUSH_NOTIFICATION.prid}>`));
+
+    socket.receive(createResponse(register, 555, [ 'Feature-Caps: *;+sip.pns="fcm"' ]));
+  },
+
+  'push notification wake-up' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket, { push_notification_timeout: 1 });
+    const request = (method, call_id) => createRequest(method, 'sip:fakeUA@jssip.net', [
+      'To: <sip:fakeUA@jssip.net>',
+      'From: <sip:bob@jssip.net>;tag=bobtag',
+      `Call-ID: ${call_id}`,
+      `CSeq: 1 ${method}`,
+      'Contact: <sip:bob@bob.invalid;transport=ws>'
+    ]);
+    const missed = [];
+
+    // Incoming calls need WebRTC.
+    global.window = { RTCPeerConnection: function() {} };
+
+    ua.on('newRTCSession', (e) =>
+    {
+      test.deepEqual(e.push_notification, { call_id: 'pushcall1' });
+
+      e.session.terminate();
+    });
+
+    ua.on('pushNotificationMissed', (e) =>
+    {
+      missed.push(e);
+
+      if (missed.length < 2)
+      {
+        return;
+      }
+
+      test.deepEqual(missed.map(({ cause }) => cause),
+        [ JsSIP.C.causes.CANCELED, JsSIP.C.causes.EXPIRES ]);
+      test.strictEqual(missed[0].push_notification.call_id, 'pushcall2');
+      test.strictEqual(missed[0].request.method, 'CANCEL');
+      test.deepEqual(missed[1].push_notification, { id: 3 });
+
+      delete global.window;
+      ua.stop();
+      test.done();
+    });
+
+    // Not started yet.
+    ua.handlePushNotification({ call_id: 'pushcall1' });
+
+    test.ok(ua.isConnected());
+    test.ok(socket.lastRequest('REGISTER'));
+
+    ua.handlePushNotification({ call_id: 'pushcall2' });
+    ua.handlePushNotification({ id: 3 });
+
+    socket.receive(request('INVITE', 'pushcall1'));
+    socket.receive(request('CANCEL', 'pushcall2'));
+  }
+
+};
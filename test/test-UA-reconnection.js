@@ -0,0 +1,109 @@
+require('./include/common');
+const testUA = require('./include/testUA');
+const { FakeSocket } = require('./include/fakeSocket');
+const JsSIP = require('../');
+const Transport = require('../lib/Transport');
+
+// Socket whose connection attempts fail while `failing` is set.
+function createSocket()
+{
+  const socket = new FakeSocket();
+
+  socket.failing = false;
+  socket.connect = function()
+  {
+    if (this.failing)
+    {
+      this.ondisconnect(true);
+    }
+    else
+    {
+      this.onconnect();
+    }
+  };
+
+  return socket;
+}
+
+module.exports = {
+
+  'custom backoff and max attempts' : function(test)
+  {
+    const socket = createSocket();
+    const transport = new Transport({ socket }, {
+      min_interval : 0.01,
+      max_interval : 0.05,
+      backoff      : (attempt) => attempt * 0.02,
+      max_attempts : 3
+    });
+    const delays = [];
+
+    transport.onconnecting = () => {};
+    transport.onconnect = () => {};
+    transport.ondisconnect = () => {};
+    transport.ondata = () => {};
+    transport.onreconnecting = (e) => delays.push(e.delay);
+    transport.onreconnectionfailed = (e) =>
+    {
+      test.strictEqual(e.attempts, 3);
+      test.deepEqual(delays, [ 0.02, 0.04, 0.05 ]);
+      test.ok(!transport.isConnected());
+
+      // Connect again on demand.
+      socket.failing = false;
+      transport.reconnectNow();
+
+      test.ok(transport.isConnected());
+
+      transport.disconnect();
+      test.done();
+    };
+
+    socket.failing = true;
+    transport.connect();
+  },
+
+  'reconnecting events and reconnect now' : function(test)
+  {
+    const socket = createSocket();
+    const config = Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets                          : socket,
+      connection_recovery_backoff      : 'constant',
+      connection_recovery_max_attempts : 1
+    });
+    const ua = new JsSIP.UA(config);
+    const events = [];
+
+    ua.on('connected', () => events.push('connected'));
+    ua.on('reconnecting', (e) => events.push(`reconnecting:${e.attempts}:${e.delay}`));
+    ua.on('reconnectionFailed', (e) => events.push(`reconnectionFailed:${e.attempts}`));
+
+    ua.start();
+
+    // Connection lost, next attempt in min_interval seconds.
+    socket.failing = true;
+    socket.ondisconnect(true);
+
+    // Do not wait for it, then give up.
+    ua.reconnectNow();
+
+    socket.failing = false;
+    ua.reconnectNow();
+
+    test.deepEqual(events, [
+      'connected',
+      'reconnecting:1:2',
+      'reconnectionFailed:1',
+      'connected'
+    ]);
+
+    test.throws(() =>
+    {
+      return new JsSIP.UA(Object.assign({}, config, { connection_recovery_backoff: 'random' }));
+    }, JsSIP.Exceptions.ConfigurationError);
+
+    ua.stop();
+    test.done();
+  }
+
+};
@@ -0,0 +1,160 @@
+require('./include/common');
+const testUA = require('./include/testUA');
+const { FakeSocket, getHeader, createResponse, createRequest } = require('./include/fakeSocket');
+const JsSIP = require('../');
+
+const INSTANCE = '"&lt;urn:uuid:8f1fa16a-1165-4a96-8341-785b1ef24f12&gt;"';
+
+function reginfo(version, state, contacts)
+{
+  return [
+    '<?xml version="1.0"?>',
+    `<reginfo xmlns="urn:ietf:params:xml:ns:reginfo" version="${version}" state="${state}">`,
+    '  <registration aor="sip:fakeUA@jssip.net" id="a7" state="active">',
+    ...contacts,
+    '  </registration>',
+    '</reginfo>'
+  ].join('\r\n');
+}
+
+function contact(id, uri, attributes, instance = null)
+{
+  return [
+    `    <contact id="${id}" ${attributes}>`,
+    `      <uri>${uri}</uri>`,
+    instance ? `      <unknown-param name="+sip.instance">${instance}</unknown-param>` : '',
+    instance ? '      <unknown-param name="reg-id">1</unknown-param>' : '',
+    '    </contact>'
+  ].join('\r\n');
+}
+
+function register200(socket)
+{
+  const register = socket.lastRequest('REGISTER');
+
+  socket.receive(createResponse(register, 200, [
+    `Contact: ${getHeader(register, 'Contact').replace(/;expires=\d+/, '')};expires=600`
+  ]));
+}
+
+module.exports = {
+
+  'parse reginfo' : function(test)
+  {
+    const info = JsSIP.RegInfo.parse(reginfo(3, 'partial', [
+      contact('76', 'sip:fakeUA@pc887.jssip.net',
+        'state="terminated" event="probation" retry-after="60" q="0.8"', INSTANCE)
+    ]));
+    const registration = info.registrations[0];
+    const {
+      id, state, event, uri, retryAfter, q, expires, params
+    } = registration.contacts[0];
+
+    test.strictEqual(info.version, 3);
+    test.strictEqual(info.state, 'partial');
+    test.strictEqual(registration.aor, 'sip:fakeUA@jssip.net');
+    test.strictEqual(registration.state, 'active');
+    test.deepEqual([ id, state, event, uri ],
+      [ '76', 'terminated', 'probation', 'sip:fakeUA@pc887.jssip.net' ]);
+    test.deepEqual([ retryAfter, q, expires ], [ 60, 0.8, null ]);
+    test.deepEqual(params, {
+      '+sip.instance' : '"<urn:uuid:8f1fa16a-1165-4a96-8341-785b1ef24f12>"',
+      'reg-id'        : '1'
+    });
+    test.strictEqual(JsSIP.RegInfo.parse('<presence/>'), null);
+
+    // Registration without contacts.
+    const init = JsSIP.RegInfo.parse([
+      '<reginfo xmlns="urn:ietf:params:xml:ns:reginfo" version="0" state="full">',
+      '  <registration aor="sip:fakeUA@jssip.net" id="a7" state="init"/>',
+      '</reginfo>'
+    ].join('\r\n'));
+
+    test.deepEqual(init.registrations, [
+      { aor: 'sip:fakeUA@jssip.net', id: 'a7', state: 'init', contacts: [] }
+    ]);
+
+    test.done();
+  },
+
+  'registration terminated' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets             : socket,
+      subscribe_reg_event : true
+    }));
+    const count = (method) => socket.sent.filter((m) => m.startsWith(`${method} `)).length;
+    const changes = [];
+    const terminations = [];
+    let cseq = 1;
+
+    ua.on('bindingChanged', (e) => changes.push(`${e.contact.id}:${e.contact.event}:${e.own}`));
+    ua.on('registrationTerminated', (e) => terminations.push(e.reason));
+
+    ua.start();
+    ua.register();
+    register200(socket);
+
+    const subscribe = socket.lastRequest('SUBSCRIBE');
+    const own = contact.bind(null, '1', ua.contact.uri.toString());
+
+    test.strictEqual(getHeader(subscribe, 'Event'), 'reg');
+    test.strictEqual(getHeader(subscribe, 'Accept'), 'application/reginfo+xml');
+    test.ok(getHeader(subscribe, 'To').startsWith('<sip:fakeUA@jssip.net>'));
+
+    socket.receive(createResponse(subscribe, 200, [
+      'Contact: <sip:registrar.jssip.net;transport=ws>',
+      'Expires: 900'
+    ]));
+
+    function notify(body)
+    {
+      socket.receive(createRequest('NOTIFY', ua.contact.uri.toString(), [
+        `To: ${getHeader(subscribe, 'From')}`,
+        `From: ${getHeader(subscribe, 'To')};tag=remotetag`,
+        `Call-ID: ${getHeader(subscribe, 'Call-ID')}`,
+        `CSeq: ${cseq++} NOTIFY`,
+        'Contact: <sip:registrar.jssip.net;transport=ws>',
+        'Event: reg',
+        'Subscription-State: active;expires=900',
+        'Content-Type: application/reginfo+xml'
+      ], body));
+    }
+
+    notify(reginfo(0, 'full', [
+      own('state="active" event="registered"', INSTANCE),
+      contact('2', 'sip:fakeUA@laptop.jssip.net', 'state="active" event="registered"')
+    ]));
+    // Unchanged.
+    notify(reginfo(1, 'partial', [ own('state="active" event="registered"', INSTANCE) ]));
+
+    test.deepEqual(changes, [ '1:registered:true', '2:registered:false' ]);
+
+    // Registered again right away.
+    notify(reginfo(2, 'partial', [ own('state="terminated" event="deactivated"', INSTANCE) ]));
+
+    test.deepEqual(terminations, [ 'deactivated' ]);
+    test.ok(!ua.isRegistered());
+    test.strictEqual(count('REGISTER'), 2);
+
+    register200(socket);
+
+    test.ok(ua.isRegistered());
+    test.strictEqual(count('SUBSCRIBE'), 1);
+
+    // Outdated.
+    notify(reginfo(2, 'partial', [ own('state="terminated" event="rejected"', INSTANCE) ]));
+    // Removed by the other device, not registered again.
+    notify(reginfo(3, 'partial', [ own('state="terminated" event="unregistered"') ]));
+
+    test.deepEqual(terminations, [ 'deactivated', 'unregistered' ]);
+    test.ok(!ua.isRegistered());
+    test.strictEqual(count('REGISTER'), 2);
+    test.strictEqual(getHeader(socket.lastRequest('SUBSCRIBE'), 'Expires'), '0');
+
+    ua.stop();
+    test.done();
+  }
+
+};
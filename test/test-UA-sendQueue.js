@@ -0,0 +1,121 @@
+require('./include/common');
+const testUA = require('./include/testUA');
+const { FakeSocket, createResponse } = require('./include/fakeSocket');
+const JsSIP = require('../');
+const Transport = require('../lib/Transport');
+
+// Socket whose connection attempts fail while `failing` is set.
+function createSocket()
+{
+  const socket = new FakeSocket();
+
+  socket.failing = false;
+  socket.connect = function()
+  {
+    if (this.failing)
+    {
+      this.ondisconnect(true);
+    }
+    else
+    {
+      this.onconnect();
+    }
+  };
+
+  return socket;
+}
+
+module.exports = {
+
+  'requests queued while reconnecting' : function(test)
+  {
+    const socket = createSocket();
+    const config = Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets                    : socket,
+      connection_send_queue_size : 1
+    });
+    const ua = new JsSIP.UA(config);
+    const events = [];
+
+    ua.start();
+
+    // Connection lost.
+    socket.failing = true;
+    socket.ondisconnect(true);
+
+    ua.sendMessage('sip:bob@jssip.net', 'first', {
+      eventHandlers : {
+        succeeded : () => events.push('first:succeeded'),
+        failed    : (e) => events.push(`first:${e.cause}`)
+      }
+    });
+
+    // Queue full.
+    ua.sendMessage('sip:bob@jssip.net', 'second', {
+      eventHandlers : {
+        failed : (e) => events.push(`second:${e.cause}`)
+      }
+    });
+
+    test.strictEqual(socket.lastRequest('MESSAGE'), undefined);
+    test.deepEqual(events, [ `second:${JsSIP.C.causes.CONNECTION_ERROR}` ]);
+
+    socket.failing = false;
+    ua.reconnectNow();
+
+    const message = socket.lastRequest('MESSAGE');
+
+    test.ok(message.endsWith('first'));
+
+    socket.receive(createResponse(message, 200));
+
+    test.deepEqual(events, [
+      `second:${JsSIP.C.causes.CONNECTION_ERROR}`,
+      'first:succeeded'
+    ]);
+
+    test.throws(() =>
+    {
+      return new JsSIP.UA(Object.assign({}, config, { connection_send_queue_ttl: 0 }));
+    }, JsSIP.Exceptions.ConfigurationError);
+
+    ua.stop();
+    test.done();
+  },
+
+  'queued request timeout' : function(test)
+  {
+    const socket = createSocket();
+    const transport = new Transport({ socket }, {
+      min_interval : 1,
+      max_interval : 1
+    }, undefined, {
+      size : 10,
+      ttl  : 0.05
+    });
+
+    transport.onconnecting = () => {};
+    transport.onconnect = () => {};
+    transport.ondisconnect = () => {};
+    transport.ondata = () => {};
+
+    // Not queued without a failure callback nor when not reconnecting.
+    test.ok(!transport.send('OPTIONS sip:bob@jssip.net SIP/2.0\r\n\r\n', () => {}));
+
+    transport.connect();
+    socket.failing = true;
+    socket.ondisconnect(true);
+
+    test.ok(!transport.send('OPTIONS sip:bob@jssip.net SIP/2.0\r\n\r\n'));
+    test.ok(transport.send('MESSAGE sip:bob@jssip.net SIP/2.0\r\n\r\n', (cause) =>
+    {
+      test.strictEqual(cause, JsSIP.C.causes.SEND_QUEUE_TIMEOUT);
+      test.strictEqual(transport.send_queue.length, 0);
+
+      transport.disconnect();
+      test.done();
+    }));
+    test.ok(transport.isQueued('MESSAGE sip:bob@jssip.net SIP/2.0\r\n\r\n'));
+  }
+
+};
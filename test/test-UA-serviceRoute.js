@@ -0,0 +1,75 @@
+require('./include/common');
+const testUA = require('./include/testUA');
+const { FakeSocket, getHeader, createResponse } = require('./include/fakeSocket');
+const JsSIP = require('../');
+
+function getRoutes(message)
+{
+  return (message.match(/^Route: .*$/gm) || []).map((line) => line.slice(7));
+}
+
+function register200(socket, extraHeaders)
+{
+  const register = socket.lastRequest('REGISTER');
+
+  socket.receive(createResponse(register, 200, [
+    `Contact: ${getHeader(register, 'Contact').replace(/;expires=\d+/, '')};expires=600`
+  ].concat(extraHeaders)));
+}
+
+module.exports = {
+
+  'service route preloaded in requests out of dialog' : function(test)
+  {
+    const socket = new FakeSocket();
+    const config = Object.assign({}, testUA.UA_CONFIGURATION, { sockets: socket });
+    const ua = new JsSIP.UA(config);
+    const outbound_proxy = '<sip:localhost:12345;transport=ws;lr>';
+
+    ua.start();
+    ua.register();
+
+    test.ok(/\bpath\b/.test(getHeader(socket.lastRequest('REGISTER'), 'Supported')));
+
+    register200(socket, [
+      'Service-Route: <sip:orig@scscf.jssip.net;lr>, <sip:pcscf.jssip.net;lr>'
+    ]);
+
+    test.deepEqual(ua.account.service_route,
+      [ '<sip:orig@scscf.jssip.net;lr>', '<sip:pcscf.jssip.net;lr>' ]);
+
+    ua.sendMessage('sip:bob@jssip.net', 'hello');
+
+    test.deepEqual(getRoutes(socket.lastRequest('MESSAGE')), [
+      outbound_proxy, '<sip:orig@scscf.jssip.net;lr>', '<sip:pcscf.jssip.net;lr>'
+    ]);
+
+    // Not for REGISTER, and replaced on every refresh.
+    ua.register();
+
+    test.deepEqual(getRoutes(socket.lastRequest('REGISTER')), [ outbound_proxy ]);
+
+    register200(socket, [ 'Service-Route: <sip:orig@scscf2.jssip.net;lr>' ]);
+    ua.sendOptions('sip:bob@jssip.net');
+
+    test.deepEqual(getRoutes(socket.lastRequest('OPTIONS')),
+      [ outbound_proxy, '<sip:orig@scscf2.jssip.net;lr>' ]);
+
+    ua.register();
+    register200(socket, []);
+    ua.subscribe('sip:bob@jssip.net', 'presence', 'application/pidf+xml');
+
+    test.deepEqual(getRoutes(socket.lastRequest('SUBSCRIBE')), [ outbound_proxy ]);
+
+    // Forgotten once unregistered.
+    ua.register();
+    register200(socket, [ 'Service-Route: <sip:orig@scscf.jssip.net;lr>' ]);
+    socket.ondisconnect(true);
+
+    test.deepEqual(ua.account.service_route, []);
+
+    ua.stop();
+    test.done();
+  }
+
+};
@@ -0,0 +1,108 @@
+require('./include/common');
+const testUA = require('./include/testUA');
+const { FakeSocket, getHeader, createResponse } = require('./include/fakeSocket');
+const JsSIP = require('../');
+
+function register200(socket)
+{
+  const register = socket.lastRequest('REGISTER');
+
+  socket.receive(createResponse(register, 200, [
+    `Contact: ${getHeader(register, 'Contact').replace(/;expires=\d+/, '')};expires=600`
+  ]));
+}
+
+module.exports = {
+
+  'migrate after current transactions' : function(test)
+  {
+    const first = new FakeSocket();
+    const second = new FakeSocket();
+    const config = Object.assign({}, testUA.UA_CONFIGURATION, { sockets: first });
+    const ua = new JsSIP.UA(config);
+    const events = [];
+
+    ua.on('connected', () => events.push('connected'));
+    ua.on('disconnected', (e) => events.push(`disconnected:${e.reason}`));
+
+    ua.start();
+    ua.register();
+    register200(first);
+
+    test.throws(() => ua.removeSocket(first), TypeError);
+    test.throws(() => ua.setSocketWeight(second, 1), TypeError);
+
+    ua.addSocket(second, 1);
+    ua.setSocketWeight(second, 5);
+
+    test.throws(() => ua.addSocket(second), TypeError);
+
+    ua.sendMessage('sip:bob@jssip.net', 'hello');
+
+    // Still in use by the MESSAGE transaction.
+    ua.removeSocket(first);
+
+    test.strictEqual(second.sent.length, 0);
+
+    first.receive(createResponse(first.lastRequest('MESSAGE'), 200));
+
+    // Wait for the transactions to terminate.
+    setTimeout(() =>
+    {
+      test.deepEqual(events, [ 'connected', 'disconnected:Socket removed', 'connected' ]);
+      test.strictEqual(ua.transport.socket, second);
+      test.ok(second.lastRequest('REGISTER'));
+
+      ua.stop();
+      test.done();
+    }, 50);
+  },
+
+  'outbound flow per added socket' : function(test)
+  {
+    const first = new FakeSocket();
+    const second = new FakeSocket();
+    const config = Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets        : first,
+      outbound_flows : true
+    });
+    const ua = new JsSIP.UA(config);
+
+    ua.start();
+    ua.register();
+    register200(first);
+
+    ua.addSocket(second, 5);
+
+    test.ok(/;reg-id=2;/.test(getHeader(second.lastRequest('REGISTER'), 'Contact')));
+
+    register200(second);
+
+    setTimeout(() =>
+    {
+      let closed = false;
+
+      second.disconnect = () => { closed = true; };
+
+      // Unregister the flow, then close it.
+      ua.removeSocket(second);
+
+      const unregister = second.lastRequest('REGISTER');
+
+      test.ok(/;expires=0/.test(getHeader(unregister, 'Contact')));
+
+      second.receive(createResponse(unregister, 200));
+
+      setTimeout(() =>
+      {
+        test.ok(closed);
+        test.ok(ua.isRegistered());
+        test.throws(() => ua.removeSocket(first), TypeError);
+
+        ua.stop();
+        test.done();
+      }, 50);
+    }, 50);
+  }
+
+};
@@ -0,0 +1,123 @@
+require('./include/common');
+const { FakeSocket, getHeader, createResponse, createRequest, createUA } = require('./include/fakeSocket');
+
+// In-dialog NOTIFY for the subscription created by the given SUBSCRIBE.
+function createNotify(ua, subscribe, cseq, state, body = '', contentType = null)
+{
+  const headers = [
+    `To: ${getHeader(subscribe, 'From')}`,
+    `From: ${getHeader(subscribe, 'To')};tag=remotetag`,
+    `Call-ID: ${getHeader(subscribe, 'Call-ID')}`,
+    `CSeq: ${cseq} NOTIFY`,
+    'Contact: <sip:bob@remote.invalid;transport=ws>',
+    `Event: ${getHeader(subscribe, 'Event')}`,
+    `Subscription-State: ${state}`
+  ];
+
+  if (body)
+  {
+    headers.push(`Content-Type: ${contentType}`);
+  }
+
+  return createRequest('NOTIFY', ua.contact.uri.toString(), headers, body);
+}
+
+module.exports = {
+
+  'subscribe, notify and unsubscribe' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+    const events = [];
+
+    ua.start();
+
+    const subscriber = ua.subscribe('bob', 'message-summary', 'application/simple-message-summary', {
+      expires       : 3600,
+      eventHandlers : {
+        accepted : () => events.push('accepted'),
+        active   : () => events.push('active'),
+        notify   : (e) =>
+        {
+          events.push('notify');
+          test.strictEqual(e.body, 'Messages-Waiting: yes');
+          test.strictEqual(e.contentType, 'application/simple-message-summary');
+        },
+        terminated : (e) =>
+        {
+          events.push('terminated');
+          test.strictEqual(e.terminationCode, subscriber.C.FINAL_NOTIFY_RECEIVED);
+          test.strictEqual(e.reason, 'timeout');
+        }
+      }
+    });
+
+    const subscribe = socket.lastRequest('SUBSCRIBE');
+
+    test.ok(subscribe, 'SUBSCRIBE sent');
+    test.strictEqual(getHeader(subscribe, 'Event'), 'message-summary');
+    test.strictEqual(getHeader(subscribe, 'Expires'), '3600');
+    test.strictEqual(getHeader(subscribe, 'Accept'), 'application/simple-message-summary');
+
+    socket.receive(createResponse(subscribe, 200, [
+      'Contact: <sip:bob@remote.invalid;transport=ws>',
+      'Expires: 3600'
+    ]));
+
+    test.strictEqual(subscriber.state, subscriber.C.STATE_NOTIFY_WAIT);
+
+    socket.receive(createNotify(ua, subscribe, 1, 'active;expires=3600',
+      'Messages-Waiting: yes', 'application/simple-message-summary'));
+
+    test.strictEqual(socket.sent[socket.sent.length - 1].split('\r\n')[0], 'SIP/2.0 200 OK');
+    test.strictEqual(subscriber.state, subscriber.C.STATE_ACTIVE);
+
+    // NOTIFY for a different event package is rejected.
+    socket.receive(createNotify(ua, subscribe, 2, 'active').replace(
+      /^Event: .*$/m, 'Event: presence'));
+
+    test.strictEqual(socket.sent[socket.sent.length - 1].split('\r\n')[0], 'SIP/2.0 489 Bad Event');
+
+    subscriber.terminate();
+
+    const unsubscribe = socket.lastRequest('SUBSCRIBE');
+
+    test.notStrictEqual(unsubscribe, subscribe);
+    test.strictEqual(getHeader(unsubscribe, 'Expires'), '0');
+    test.strictEqual(getHeader(unsubscribe, 'Call-ID'), getHeader(subscribe, 'Call-ID'));
+    test.ok(/;tag=remotetag/.test(getHeader(unsubscribe, 'To')));
+
+    socket.receive(createResponse(unsubscribe, 200, [ 'Expires: 0' ]));
+    socket.receive(createNotify(ua, subscribe, 3, 'terminated;reason=timeout'));
+
+    test.deepEqual(events, [ 'accepted', 'active', 'notify', 'terminated' ]);
+    test.ok(subscriber.isTerminated());
+
+    ua.stop();
+    test.done();
+  },
+
+  'subscribe rejected' : function(test)
+  {
+    const socket = new FakeSocket();
+    const ua = createUA(socket);
+
+    ua.start();
+
+    const subscriber = ua.subscribe('bob', 'presence', 'application/pidf+xml');
+
+    subscriber.on('terminated', (e) =>
+    {
+      test.strictEqual(e.terminationCode, subscriber.C.SUBSCRIBE_NON_OK_RESPONSE);
+    });
+
+    socket.receive(createResponse(socket.lastRequest('SUBSCRIBE'), 489));
+
+    test.ok(subscriber.isTerminated());
+
+    ua.stop();
+    test.expect(2);
+    test.done();
+  }
+
+};
@@ -0,0 +1,256 @@
+require('./include/common');
+const dgram = require('dgram');
+const EventEmitter = require('events').EventEmitter;
+const testUA = require('./include/testUA');
+const { FakeSocket, getHeader, createResponse, createRequest, createUA } = require('./include/fakeSocket');
+const JsSIP = require('../');
+
+function createUdpSocket()
+{
+  const socket = new FakeSocket();
+
+  socket.url = 'sip:localhost:12345;transport=udp';
+  socket.via_transport = 'UDP';
+  socket.sip_uri = 'sip:localhost:12345;transport=udp';
+
+  return socket;
+}
+
+function count(socket, start_line)
+{
+  return socket.sent.filter((message) => message.startsWith(start_line)).length;
+}
+
+module.exports = {
+
+  'non-INVITE client transaction retransmissions' : function(test)
+  {
+    const socket = createUdpSocket();
+    const ua = createUA(socket);
+
+    ua.start();
+    ua.register();
+
+    const register = socket.lastRequest('REGISTER');
+
+    test.ok(/^SIP\/2\.0\/UDP .*;rport$/.test(getHeader(register, 'Via')));
+    test.ok(getHeader(register, 'Contact').includes(';transport=udp'));
+
+    // Timer E fires after T1 and 2*T1.
+    setTimeout(() =>
+    {
+      test.strictEqual(count(socket, 'REGISTER '), 3);
+      test.strictEqual(socket.lastRequest('REGISTER'), register);
+
+      socket.receive(createResponse(register, 200, [
+        `Contact: ${getHeader(register, 'Contact')};expires=600`
+      ]));
+
+      test.ok(ua.isRegistered());
+
+      setTimeout(() =>
+      {
+        test.strictEqual(count(socket, 'REGISTER '), 3);
+
+        ua.stop();
+        test.done();
+      }, 1000);
+    }, 1600);
+  },
+
+  'INVITE server transaction retransmissions' : function(test)
+  {
+    const socket = createUdpSocket();
+    const ua = createUA(socket);
+    const headers = [
+      'To: <sip:fakeUA@jssip.net>',
+      'From: <sip:bob@remote.invalid>;tag=remotetag',
+      'Call-ID: udpcallid',
+      'CSeq: 1 INVITE',
+      'Contact: <sip:bob@remote.invalid;transport=udp>'
+    ];
+    const invite = createRequest('INVITE', ua.contact.uri.toString(), headers)
+      .replace('SIP/2.0/WS', 'SIP/2.0/UDP');
+
+    ua.start();
+
+    // No newRTCSession listener, rejected with 405.
+    socket.receive(invite);
+
+    test.strictEqual(count(socket, 'SIP/2.0 405'), 1);
+
+    // Retransmitted INVITE.
+    socket.receive(invite);
+
+    test.strictEqual(count(socket, 'SIP/2.0 405'), 2);
+
+    // Timer G fires after T1.
+    setTimeout(() =>
+    {
+      test.strictEqual(count(socket, 'SIP/2.0 405'), 3);
+
+      const response = socket.sent[socket.sent.length - 1];
+      const ack = createRequest('ACK', ua.contact.uri.toString(), [
+        `To: ${getHeader(response, 'To')}`,
+        'From: <sip:bob@remote.invalid>;tag=remotetag',
+        'Call-ID: udpcallid',
+        'CSeq: 1 ACK'
+      ]).replace(/^Via: .*$/m, `Via: ${getHeader(invite, 'Via')}`);
+
+      socket.receive(ack);
+
+      setTimeout(() =>
+      {
+        test.strictEqual(count(socket, 'SIP/2.0 405'), 3);
+
+        ua.stop();
+        test.done();
+      }, 1100);
+    }, 600);
+  },
+
+  'register over node dgram' : function(test)
+  {
+    const server = dgram.createSocket('udp4');
+    const stranger = dgram.createSocket('udp4');
+    let last_register = null;
+
+    server.on('message', (data, rinfo) =>
+    {
+      const request = data.toString();
+
+      if (!request.startsWith('REGISTER '))
+      {
+        return;
+      }
+
+      test.ok(getHeader(request, 'Via').startsWith('SIP/2.0/UDP '));
+
+      // Lose the first transmission.
+      if (request === last_register)
+      {
+        server.send(createResponse(request, 200, [
+          `Contact: ${getHeader(request, 'Contact')};expires=600`
+        ]), rinfo.port, rinfo.address);
+      }
+      // Ignored, not coming from the server.
+      else
+      {
+        stranger.send(createResponse(request, 403), rinfo.port, rinfo.address);
+      }
+
+      last_register = request;
+    });
+
+    server.bind(0, '127.0.0.1', () =>
+    {
+      const socket = new JsSIP.UdpSocketInterface(
+        `sip:127.0.0.1:${server.address().port}`, {
+          createSocket : () => dgram.createSocket('udp4')
+        });
+      const ua = createUA(socket);
+
+      test.strictEqual(socket.via_transport, 'UDP');
+      test.throws(() => new JsSIP.UdpSocketInterface('sips:127.0.0.1', {
+        createSocket : () => null
+      }), TypeError);
+
+      ua.on('connected', () => ua.register());
+      ua.on('registrationFailed', () => test.ok(false, 'response from a stranger'));
+      ua.on('registered', ({ response }) =>
+      {
+        // Decoded as UTF-8.
+        test.strictEqual(response.from.display_name,
+          testUA.UA_CONFIGURATION.display_name);
+
+        ua.stop();
+        socket.disconnect();
+        server.close();
+        stranger.close();
+        test.done();
+      });
+
+      ua.start();
+    });
+  },
+
+  'datagrams from the server only' : function(test)
+  {
+    const datagram_socket = new EventEmitter();
+    const received = [];
+
+    datagram_socket.bind = () => datagram_socket.emit('listening');
+
+    const socket = new JsSIP.UdpSocketInterface('sip:pbx.jssip.net:5080', {
+      createSocket : () => datagram_socket,
+      lookup       : (hostname, options, callback) =>
+      {
+        test.strictEqual(hostname, 'pbx.jssip.net');
+        callback(null, [ { address: '192.0.2.1', family: 4 } ]);
+      }
+    });
+
+    socket.onconnect = () => {};
+    socket.ondata = (data) => received.push(data);
+    socket.connect();
+
+    datagram_socket.emit('message', Buffer.from('from server ð→€ł'),
+      { address: '192.0.2.1', port: 5080 });
+    datagram_socket.emit('message', Buffer.from('wrong port'), { address: '192.0.2.1', port: 5060 });
+    datagram_socket.emit('message', Buffer.from('wrong address'), { address: '192.0.2.2', port: 5080 });
+
+    // Passed as received, decoded by the transport.
+    test.deepEqual(received, [ Buffer.from('from server ð→€ł') ]);
+    test.done();
+  },
+
+  'bind failure' : function(test)
+  {
+    const server = dgram.createSocket('udp4');
+
+    server.bind(0, '127.0.0.1', () =>
+    {
+      // Port already in use.
+      const socket = new JsSIP.UdpSocketInterface('sip:127.0.0.1:5080', {
+        createSocket : () => dgram.createSocket('udp4'),
+        localPort    : server.address().port
+      });
+
+      socket.onconnect = () => test.ok(false, 'bound to a port in use');
+      socket.ondisconnect = (error) =>
+      {
+        test.strictEqual(error, true);
+        test.ok(!socket.isConnecting() && !socket.isConnected());
+
+        server.close();
+        test.done();
+      };
+
+      socket.connect();
+    });
+  },
+
+  'send failure' : function(test)
+  {
+    const datagram_socket = new EventEmitter();
+    const disconnections = [];
+
+    datagram_socket.bind = () => datagram_socket.emit('listening');
+    datagram_socket.send = (message, port, address, callback) => callback(new Error('EHOSTUNREACH'));
+    datagram_socket.close = () => datagram_socket.emit('close');
+
+    const socket = new JsSIP.UdpSocketInterface('sip:192.0.2.1:5080', {
+      createSocket : () => datagram_socket
+    });
+
+    socket.onconnect = () => {};
+    socket.ondisconnect = (error) => disconnections.push(error);
+    socket.connect();
+
+    test.ok(socket.send('OPTIONS'));
+    test.deepEqual(disconnections, [ true ]);
+    test.ok(!socket.isConnected());
+    test.done();
+  }
+
+};
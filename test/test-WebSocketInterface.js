@@ -0,0 +1,179 @@
+require('./include/common');
+const testUA = require('./include/testUA');
+const JsSIP = require('../');
+
+/**
+ * global.WebSocket replacement recording the created instances.
+ */
+class FakeWebSocket
+{
+  constructor(url, protocols, options)
+  {
+    this.url = url;
+    this.protocols = protocols;
+    this.options = options;
+    this.readyState = this.CONNECTING;
+
+    FakeWebSocket.instances.push(this);
+  }
+
+  get CONNECTING() { return 0; }
+  get OPEN() { return 1; }
+  get CLOSED() { return 3; }
+
+  open()
+  {
+    this.readyState = this.OPEN;
+    this.onopen();
+  }
+
+  close()
+  {
+    this.readyState = this.CLOSED;
+  }
+
+  // Closed by the server.
+  remoteClose(code, reason)
+  {
+    this.readyState = this.CLOSED;
+    this.onclose({ wasClean: false, code, reason });
+  }
+}
+
+FakeWebSocket.instances = [];
+
+function withFakeWebSocket(fn)
+{
+  return function(test)
+  {
+    const WebSocket = global.WebSocket;
+    const done = test.done;
+
+    FakeWebSocket.instances = [];
+    global.WebSocket = FakeWebSocket;
+
+    test.done = () =>
+    {
+      global.WebSocket = WebSocket;
+      done.call(test);
+    };
+
+    fn(test);
+  };
+}
+
+function lastWebSocket()
+{
+  return FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+}
+
+module.exports = {
+
+  'handshake headers and close codes' : withFakeWebSocket((test) =>
+  {
+    const socket = new JsSIP.WebSocketInterface('wss://edge.example.com', {
+      headers : { Authorization: 'Bearer token' }
+    });
+    const config = Object.assign({}, testUA.UA_CONFIGURATION, { sockets: socket });
+    const ua = new JsSIP.UA(config);
+
+    ua.once('disconnected', (e) =>
+    {
+      test.ok(e.error);
+      test.strictEqual(e.code, 4001);
+      test.strictEqual(e.reason, 'Token expired');
+
+      ua.stop();
+      test.done();
+    });
+
+    ua.start();
+
+    const ws = lastWebSocket();
+
+    test.strictEqual(ws.url, 'wss://edge.example.com');
+    test.strictEqual(ws.protocols, 'sip');
+    test.deepEqual(ws.options, { headers: { Authorization: 'Bearer token' } });
+
+    ws.open();
+
+    test.ok(ua.isConnected());
+
+    ws.remoteClose(4001, 'Token expired');
+  }),
+
+  'handshake provider on each connect' : withFakeWebSocket((test) =>
+  {
+    let token = 0;
+    const socket = new JsSIP.WebSocketInterface('wss://edge.example.com', {
+      headers           : { 'X-Client': 'jssip' },
+      handshakeProvider : () =>
+      {
+        token++;
+
+        if (token === 3)
+        {
+          return Promise.reject(new Error('offline'));
+        }
+
+        return Promise.resolve({
+          url     : `wss://edge.example.com/?token=${token}`,
+          headers : { Authorization: `Bearer ${token}` }
+        });
+      }
+    });
+    const disconnections = [];
+
+    socket.onconnect = () => {};
+    socket.ondata = () => {};
+    socket.ondisconnect = (error, code, reason) => disconnections.push(reason);
+
+    socket.connect();
+
+    test.ok(socket.isConnecting());
+    test.strictEqual(FakeWebSocket.instances.length, 0);
+
+    setTimeout(() =>
+    {
+      const ws = lastWebSocket();
+
+      test.strictEqual(ws.url, 'wss://edge.example.com/?token=1');
+      test.deepEqual(ws.options.headers, { 'X-Client': 'jssip', Authorization: 'Bearer 1' });
+
+      ws.open();
+      ws.remoteClose(1006, '');
+
+      // New token.
+      socket.connect();
+
+      setTimeout(() =>
+      {
+        test.strictEqual(lastWebSocket().url, 'wss://edge.example.com/?token=2');
+
+        socket.disconnect();
+
+        // The provider fails.
+        socket.connect();
+
+        setTimeout(() =>
+        {
+          test.strictEqual(FakeWebSocket.instances.length, 2);
+          test.deepEqual(disconnections, [ '', 'Handshake Provider Error' ]);
+
+          // Disconnected while waiting for the provider.
+          socket.connect();
+          socket.disconnect();
+
+          setTimeout(() =>
+          {
+            test.strictEqual(FakeWebSocket.instances.length, 2);
+            test.ok(!socket.isConnecting());
+
+            test.done();
+          }, 10);
+        }, 10);
+      }, 10);
+    }, 10);
+  })
+
+};
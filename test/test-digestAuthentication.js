@@ -157,6 +157,118 @@ module.exports = {
 
     test.strictEqual(digest._response, '7bf0e9de3fbb5da121974509d617f532');
 
+    test.done();
+  },
+
+  'digest authenticate SHA-256 and SHA-512-256 -RFC 7616-' : function(test)
+  {
+    const method = 'GET';
+    const ruri = '/dir/index.html';
+    const cnonce = 'f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ';
+    const credentials =
+    {
+      username : 'Mufasa',
+      password : 'Circle of Life',
+      realm    : 'http-auth@example.org',
+      ha1      : null
+    };
+    const responses =
+    {
+      'SHA-256'          : '753927fa0e85d155564e2e272a28d1802ca10daf4496794697cf8db5856cb6c1',
+      'SHA-256-SESS'     : '2fd51b3a77ad75bad6afad6003e818d767133c46d9e2749e7f5232ae1ea3efd7',
+      'SHA-512-256'      : '430d05014cecc49cab6fbe03176d41a1da86cbfe24a16580e22aaad928d960d0',
+      'SHA-512-256-SESS' : '3f2a34f923c38b0fb26dce2fdfc2ce326c23cecf86fbb1444f3e51fbbc2cb92e',
+      'MD5-SESS'         : 'e783283f46242139c486a698fec7211d'
+    };
+
+    for (const algorithm in responses)
+    {
+      if (!Object.prototype.hasOwnProperty.call(responses, algorithm))
+      {
+        continue;
+      }
+
+      const challenge =
+      {
+        algorithm,
+        realm  : 'http-auth@example.org',
+        nonce  : '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v',
+        opaque : 'FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS',
+        stale  : null,
+        qop    : [ 'auth' ]
+      };
+
+      const digest = new DigestAuthentication(credentials);
+
+      test.ok(digest.authenticate({ method, ruri }, challenge, cnonce));
+      test.strictEqual(digest._response, responses[algorithm]);
+    }
+
+    test.done();
+  },
+
+  'digest choose the strongest challenge and ha1 per algorithm' : function(test)
+  {
+    const ha1 =
+    {
+      'MD5'     : '3d78807defe7de2157e2b0b6573a855f',
+      'SHA-256' : '7987c64c30e25f1b74be53f966b49b90f2808aa92faf9a00262392d7b4794232'
+    };
+    const challenge =
+    {
+      realm : 'http-auth@example.org',
+      nonce : '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v',
+      qop   : [ 'auth' ]
+    };
+    const md5 = Object.assign({ algorithm: 'MD5' }, challenge);
+    const sha256 = Object.assign({ algorithm: 'SHA-256' }, challenge);
+    const sha512 = Object.assign({ algorithm: 'SHA-512-256' }, challenge);
+    const unknown = Object.assign({ algorithm: 'SHA3' }, challenge);
+
+    const withPassword = new DigestAuthentication({
+      username : 'Mufasa',
+      password : 'Circle of Life',
+      realm    : null,
+      ha1      : null
+    });
+
+    test.strictEqual(
+      withPassword.selectChallenge([ md5, sha512, sha256, unknown ]), sha512);
+    test.strictEqual(withPassword.selectChallenge([ unknown ]), undefined);
+
+    // Algorithm names are case-insensitive.
+    const lowerSha256 = Object.assign({ algorithm: 'sha-256' }, challenge);
+
+    test.strictEqual(withPassword.selectChallenge([ md5, lowerSha256 ]), lowerSha256);
+
+    // Without password, only algorithms with a stored ha1 are usable.
+    const withHa1 = new DigestAuthentication({
+      username : 'Mufasa',
+      password : null,
+      realm    : 'http-auth@example.org',
+      ha1
+    });
+
+    test.strictEqual(withHa1.selectChallenge([ md5, sha512, sha256 ]), sha256);
+    test.ok(withHa1.authenticate({ method: 'GET', ruri: '/dir/index.html' }, sha256,
+      'f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ'));
+    test.strictEqual(withHa1._response,
+      '753927fa0e85d155564e2e272a28d1802ca10daf4496794697cf8db5856cb6c1');
+    test.deepEqual(withHa1.get('ha1'), ha1);
+    test.ok(/^Digest algorithm=SHA-256, /.test(withHa1.toString()));
+
+    // Plain MD5 ha1 keeps being a string.
+    const withMD5Ha1 = new DigestAuthentication({
+      username : 'Mufasa',
+      password : null,
+      realm    : 'http-auth@example.org',
+      ha1      : ha1.MD5
+    });
+
+    test.strictEqual(withMD5Ha1.selectChallenge([ sha256, md5 ]), md5);
+    test.ok(withMD5Ha1.authenticate({ method: 'GET', ruri: '/dir/index.html' }, md5));
+    test.strictEqual(withMD5Ha1.get('ha1'), ha1.MD5);
+
     test.done();
   }
 };